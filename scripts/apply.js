@@ -1,15 +1,40 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
+const vm = require('vm');
+const { spawnSync } = require('child_process');
 
 const { VersionValidator } = require('./version-validator.js');
+const { LiteralMatcher } = require('./literal-matcher.js');
+const { TranslationEntry, FALLBACK_GROUP } = require('./translation-entry.js');
+const { LocaleManager, DEFAULT_LOCALE } = require('./locale-manager.js');
+const { MatchHistory } = require('./match-history.js');
+const { ProtectedTerms } = require('./protected-terms.js');
+const { PlaceholderChecker } = require('./placeholder-checker.js');
+const { JsonReader } = require('./json-reader.js');
 
 const JS_FILE_NAME = 'workbench.desktop.main.js';
 const JS_FILE_SUB_PATH = path.join('out', 'vs', 'workbench');
 const BACKUP_SUFFIX = '.original';
+const STATE_SUFFIX = '.patch-state.json';
+const BACKUP_HASH_LENGTH = 12;
+const MANIFEST_SUFFIX = '.json';
+// 文件中出现多少个不同的本项目中文译文片段时判定为已汉化，少量中文可能来自 Cursor 自带的语言名称
+const PATCHED_RUN_THRESHOLD = 5;
+const PRODUCT_FILE_NAME = 'product.json';
+// 中文与日文译文共用的文字范围（假名 + 汉字）
+const CJK_RUN = /[\u3040-\u30ff\u4e00-\u9fff]{2,}/g;
+// 旧格式备份无法确认对应的 Cursor 版本时记录的版本号
+const UNKNOWN_VERSION = 'unknown';
+const BILINGUAL_MARKER = /\\n[\u3040-\u30ff\u4e00-\u9fff]/;
+// 旧版本双语模式为译文与原文相同的词条写入的 "原文\n原文"
+const DUPLICATED_BILINGUAL = /(["'`])([A-Za-z][^"'`\\\r\n]*)\\n\2\1/;
 const TEMP_SUFFIX = '.temp';
 const MAX_TRANSLATION_LENGTH = 500;
 const MIN_TRANSLATIONS_REQUIRED = 10;
+const RISK_REPORT_FILE = 'risk-report.json';
+const MAX_RISK_REPORT_ITEMS = 2000;
 
 class Logger {
     static quietMode = true;
@@ -101,6 +126,70 @@ class FileUtils {
         }
     }
 
+    // vm.Script 与 node --check 的错误信息以 "文件名:行号" 开头，随后是出错的源码行及指向出错列的 ^ 标记
+    static getSyntaxErrorLocation(details, content) {
+        const lines = String(details || '').split('\n');
+        const header = lines.findIndex(line => /:\d+$/.test(line));
+        if (header === -1) {
+            return null;
+        }
+
+        const line = parseInt(lines[header].match(/:(\d+)$/)[1], 10);
+        const caret = (lines[header + 2] || '').indexOf('^');
+        const column = caret === -1 ? 1 : caret + 1;
+
+        let offset = null;
+        if (content) {
+            offset = 0;
+            for (let i = 1; i < line && offset !== -1; i++) {
+                offset = content.indexOf('\n', offset);
+                offset = offset === -1 ? -1 : offset + 1;
+            }
+            offset = offset === -1 ? null : offset + column - 1;
+        }
+
+        return { line, column, offset };
+    }
+
+    static checkSyntax(content, filePath) {
+        try {
+            new vm.Script(content, { filename: filePath });
+            return { valid: true, error: null, location: null };
+        } catch (error) {
+            if (!/\b(import|export|await)\b/.test(error.message)) {
+                return { valid: false, error, location: this.getSyntaxErrorLocation(error.stack, content) };
+            }
+        }
+
+        // ES 模块语法无法用 vm.Script 编译，改用 node --check 检查
+        const tempFile = path.join(os.tmpdir(), `cursor-translation-${process.pid}-${Date.now()}.mjs`);
+        try {
+            fs.writeFileSync(tempFile, content, 'utf-8');
+            const result = spawnSync(process.execPath, ['--check', tempFile], { encoding: 'utf-8', maxBuffer: 64 * 1024 * 1024 });
+            if (result.status === 0) {
+                return { valid: true, error: null, location: null };
+            }
+            const stderr = (result.stderr || '').trim();
+            const message = stderr.split('\n').find(line => /^\w*Error:/.test(line)) || '语法检查失败';
+            return { valid: false, error: new SyntaxError(message), location: this.getSyntaxErrorLocation(stderr, content) };
+        } catch (error) {
+            return { valid: false, error, location: null };
+        } finally {
+            try {
+                fs.unlinkSync(tempFile);
+            } catch (error) {
+                // 临时文件不存在时无需处理
+            }
+        }
+    }
+
+    static describeSyntaxError(syntax) {
+        const message = syntax.error ? syntax.error.message : '未知错误';
+        return syntax.location
+            ? `语法错误 (第 ${syntax.location.line} 行第 ${syntax.location.column} 列): ${message}`
+            : `语法错误: ${message}`;
+    }
+
     static validateFile(filePath, isJSFile = true) {
         try {
             if (!fs.existsSync(filePath)) {
@@ -116,8 +205,10 @@ class FileUtils {
 
             if (isJSFile) {
                 const content = fs.readFileSync(filePath, 'utf-8');
-                if (!content.includes('function') && !content.includes('var') && !content.includes('const')) {
-                    Logger.warning(`文件可能不是有效的JavaScript文件: ${filePath}`);
+                const syntax = this.checkSyntax(content, filePath);
+                if (!syntax.valid) {
+                    Logger.warning(`文件不是有效的JavaScript文件: ${filePath}`);
+                    Logger.warning(this.describeSyntaxError(syntax));
                     return false;
                 }
             }
@@ -202,8 +293,37 @@ class CursorPathFinder {
 }
 
 class TranslationProcessor {
-    static loadTranslations(projectRoot) {
-        const translationMapPath = path.join(projectRoot, 'translations', 'zh-cn.json');
+    static loadTranslations(projectRoot, locale = DEFAULT_LOCALE) {
+        // 按回退链从后往前加载，优先级高的语言覆盖回退语言中的同名词条，都没有的词条保留英文原文
+        const chain = LocaleManager.getFallbackChain(locale);
+        const translations = {};
+
+        for (const current of [...chain].reverse()) {
+            const isPrimary = current === chain[0];
+            const loaded = this.loadTranslationFile(path.join(projectRoot, 'translations', `${current}.json`), isPrimary);
+            if (!loaded) {
+                if (isPrimary) {
+                    return null;
+                }
+                continue;
+            }
+            if (!isPrimary) {
+                Logger.info(`已加载回退语言 ${current} 的 ${Object.keys(loaded).length} 个词条`);
+            }
+            Object.assign(translations, loaded);
+        }
+
+        Logger.success(`成功加载 ${Object.keys(translations).length} 个翻译条目 (语言: ${chain.join(' → ')})`);
+        return translations;
+    }
+
+    static loadTranslationFile(translationMapPath, required = true) {
+        if (!fs.existsSync(translationMapPath)) {
+            if (required) {
+                Logger.error(`翻译文件不存在: ${translationMapPath}`);
+            }
+            return null;
+        }
         Logger.info(`正在读取翻译文件: ${translationMapPath}`);
         
         try {
@@ -213,13 +333,15 @@ class TranslationProcessor {
                 return null;
             }
             
-            const groupedTranslations = JSON.parse(content);
+            const { value: groupedTranslations, duplicates } = JsonReader.parse(content, translationMapPath);
+            duplicates.forEach(duplicate => Logger.error(JsonReader.describeDuplicate(duplicate, translationMapPath)));
             
             if (!this.validateTranslationStructure(groupedTranslations)) {
                 Logger.error('翻译文件结构无效');
                 return null;
             }
             
+            this.reportDuplicateSources(groupedTranslations);
             const translations = this.flattenTranslations(groupedTranslations);
             
             const validationResult = this.validateTranslations(translations);
@@ -227,7 +349,6 @@ class TranslationProcessor {
                 Logger.warning(`翻译验证发现问题: ${validationResult.issues.join(', ')}`);
             }
             
-            Logger.success(`成功加载 ${Object.keys(translations).length} 个翻译条目`);
             return translations;
         } catch (error) {
             Logger.error(`解析翻译文件失败: ${error.message}`);
@@ -259,20 +380,72 @@ class TranslationProcessor {
     static flattenTranslations(groupedTranslations) {
         const translations = {};
         
-        for (const [groupName, group] of Object.entries(groupedTranslations)) {
-            for (const [key, value] of Object.entries(group)) {
-                if (!value || typeof value !== 'string' || value.trim() === '') {
+        // 同一原文出现在多个分组时按 orderGroups 的优先级处理：靠后的分组优先，fallback 分组最后
+        for (const groupName of TranslationEntry.orderGroups(groupedTranslations)) {
+            for (const [key, value] of Object.entries(groupedTranslations[groupName])) {
+                const translated = TranslationEntry.getValue(value);
+                if (!translated || translated.trim() === '') {
                     Logger.warning(`跳过无效翻译: ${groupName}.${key}`);
                     continue;
                 }
+                // 产品名、技术名词与快捷键单独出现时保持原样
+                if (ProtectedTerms.isProtected(key)) {
+                    Logger.warning(`跳过受保护的术语: ${groupName}.${key}`);
+                    continue;
+                }
                 
-                translations[key] = value;
+                // fallback 分组都是 "Open"、"Run" 这类常被代码当作枚举值使用的短词，仅在展示位置替换；
+                // 其他分组中同一原文的译文优先，按该分组的译文正常替换
+                const entry = groupName === FALLBACK_GROUP
+                    ? TranslationEntry.normalizeVariants(value).map(variant => ({ ...variant, displayOnly: true }))
+                    : value;
+                translations[key] = key in translations
+                    ? this.combineVariants(translations[key], entry)
+                    : entry;
             }
         }
         
         return translations;
     }
 
+    /**
+     * 输出在多个分组中定义了不同译文的原文及实际采用的译文
+     * @param {Object} groupedTranslations 按分组组织的翻译
+     */
+    static reportDuplicateSources(groupedTranslations) {
+        const duplicates = TranslationEntry.findDuplicateSources(groupedTranslations);
+        const conflicts = duplicates.filter(item => item.conflict);
+        if (conflicts.length > 0) {
+            Logger.error(`有 ${conflicts.length} 条原文在多个分组中的译文不同，采用文件中靠后分组的译文（${FALLBACK_GROUP} 分组优先级最低），可运行 npm run validate:missing 查看`);
+            for (const { source, entries, previousGroup } of conflicts) {
+                const [winner, ...others] = entries;
+                const change = previousGroup ? `（旧版本采用 ${previousGroup} 的译文）` : '';
+                Logger.warning(`  "${source}": 采用 ${winner.group} 的 "${winner.value}"${change}，忽略 ${others.map(entry => `${entry.group} 的 "${entry.value}"`).join('、')}`);
+            }
+        }
+        if (duplicates.length > conflicts.length) {
+            Logger.info(`有 ${duplicates.length - conflicts.length} 条原文在多个分组中的译文相同`);
+        }
+    }
+
+    /**
+     * 合并多个分组中同一原文的词条：带作用域的变体全部保留，
+     * 无作用域的变体以优先级较高（先处理）的分组为准
+     * @param {*} existing 优先级较高的分组中的词条
+     * @param {*} incoming 优先级较低的分组中的词条
+     * @returns {Array} 变体列表
+     */
+    static combineVariants(existing, incoming) {
+        const previous = TranslationEntry.normalizeVariants(existing) || [];
+        const next = TranslationEntry.normalizeVariants(incoming) || [];
+        const hasUnscoped = previous.some(variant => !variant.scope);
+
+        return [
+            ...previous,
+            ...next.filter(variant => variant.scope || !hasUnscoped)
+        ];
+    }
+
     static validateTranslations(translations) {
         const issues = [];
         const stats = {
@@ -284,7 +457,8 @@ class TranslationProcessor {
             valid: 0
         };
         
-        for (const [key, value] of Object.entries(translations)) {
+        for (const [key, entry] of Object.entries(translations)) {
+            const value = TranslationEntry.getValue(entry);
             if (!key || key.trim() === '') {
                 issues.push(`发现空键`);
                 stats.emptyKeys++;
@@ -324,50 +498,27 @@ class TranslationProcessor {
     }
 
     static applyTranslations(content, translations, mode) {
-        let replacementsCount = 0;
-        let notFound = [];
-        let errors = [];
+        const errors = [];
         
         Logger.info('正在查找并替换词条...');
         
-        const sortedEntries = Object.entries(translations).sort((a, b) => b[0].length - a[0].length);
-        
-        const batchSize = 100;
-        const totalEntries = sortedEntries.length;
-        
-        for (let i = 0; i < sortedEntries.length; i++) {
-            const [original, translated] = sortedEntries[i];
-            
-            if (i % batchSize === 0) {
-                const progress = Math.round((i / totalEntries) * 100);
-                Logger.debug(`翻译进度: ${progress}% (${i}/${totalEntries})`);
-            }
-            
-            try {
-                const regex = new RegExp(`(["'])${this.escapeRegExp(original)}\\1`, 'g');
-                const originalContent = content;
-                
-                let replacementString;
-                if (mode === 'bilingual') {
-                    const escapedOriginalForReplacement = original.replace(/\$/g, '$$$$');
-                    replacementString = `$1${escapedOriginalForReplacement}\\n${translated}$1`;
-                } else {
-                    replacementString = `$1${translated}$1`;
-                }
-                
-                content = content.replace(regex, replacementString);
-
-                if (originalContent !== content) {
-                    replacementsCount++;
-                } else {
-                    notFound.push(original);
-                }
-            } catch (error) {
-                errors.push(`处理翻译 "${original}" 时出错: ${error.message}`);
+        let result;
+        try {
+            const matcher = new LiteralMatcher(translations);
+            Logger.debug(`单次扫描匹配 ${matcher.entries.length} 个词条，其中模板词条 ${matcher.templateLookup.size} 个`);
+            for (const invalid of matcher.invalidEntries) {
+                errors.push(`词条 "${invalid.original}" 无效: ${invalid.reason}`);
             }
+            result = matcher.replace(content, mode);
+        } catch (error) {
+            errors.push(`替换词条时出错: ${error.message}`);
+            return { content, replacementsCount: 0, notFound: Object.keys(translations), errors, hitCounts: {}, stats: { literal: 0, template: 0 }, skipped: [], ranges: [] };
         }
 
+        const { replacementsCount, notFound, hitCounts, stats, skipped, ranges } = result;
+
         Logger.info(`翻译统计: 成功替换 ${replacementsCount} 个，未找到 ${notFound.length} 个，错误 ${errors.length} 个`);
+        Logger.info(`替换位置: 字符串 ${stats.literal} 处，模板字符串 ${stats.template} 处，因用途跳过 ${skipped.length} 处`);
         
         if (notFound.length > 0) {
             Logger.warning(`未找到的翻译: ${notFound.slice(0, 5).join(', ')}${notFound.length > 5 ? '...' : ''}`);
@@ -377,7 +528,26 @@ class TranslationProcessor {
             Logger.error(`翻译错误: ${errors.slice(0, 3).join(', ')}${errors.length > 3 ? '...' : ''}`);
         }
 
-        return { content, replacementsCount, notFound, errors };
+        return { content: result.content, replacementsCount, notFound, errors, hitCounts, stats, skipped, ranges };
+    }
+
+    // 根据语法错误位置找出最可能引起错误的词条：优先取包含该位置的替换，其次取同一行中位于其前方的最近替换
+    static findEntryAt(ranges, offset, content) {
+        if (!ranges || offset === null || offset === undefined) {
+            return null;
+        }
+
+        const lineStart = content ? content.lastIndexOf('\n', offset - 1) + 1 : 0;
+        let nearest = null;
+        for (const range of ranges) {
+            if (range.start <= offset && offset <= range.end + 1) {
+                return range.original;
+            }
+            if (range.end <= offset && range.start >= lineStart && (!nearest || range.end > nearest.end)) {
+                nearest = range;
+            }
+        }
+        return nearest ? nearest.original : null;
     }
 
     static createFallbackTranslations(translations) {
@@ -410,7 +580,7 @@ class TranslationProcessor {
         
         for (const [key, value] of Object.entries(commonFallbacks)) {
             if (!fallbackTranslations[key]) {
-                fallbackTranslations[key] = value;
+                fallbackTranslations[key] = { value, displayOnly: true };
             }
         }
         
@@ -418,10 +588,442 @@ class TranslationProcessor {
     }
 }
 
+// 备份按 Cursor 版本与内容哈希命名，目标文件旁的状态文件记录当前备份及最近一次补丁输出的哈希，
+// 目标文件与两者都不一致时说明 Cursor 已更新，需要以新文件重新建立备份
+class BackupManager {
+    static hashContent(content) {
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    static getStateFile(targetFile) {
+        return `${targetFile}${STATE_SUFFIX}`;
+    }
+
+    static getManifestPath(backupFile) {
+        return `${backupFile}${MANIFEST_SUFFIX}`;
+    }
+
+    static getBackupPath(targetFile, version, hash) {
+        const safeVersion = String(version).replace(/[^\w.-]/g, '_');
+        return `${targetFile}.${safeVersion}.${hash.slice(0, BACKUP_HASH_LENGTH)}${BACKUP_SUFFIX}`;
+    }
+
+    static loadState(targetFile) {
+        const content = FileUtils.safeReadFile(this.getStateFile(targetFile));
+        if (!content) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(content);
+        } catch (error) {
+            Logger.warning(`补丁状态文件无法解析，将忽略: ${error.message}`);
+            return null;
+        }
+    }
+
+    static saveState(targetFile, state) {
+        return FileUtils.safeWriteFile(this.getStateFile(targetFile), JSON.stringify(state, null, 2));
+    }
+
+    static findBackup(targetFile) {
+        const state = this.loadState(targetFile);
+        if (state && state.backup) {
+            const backupFile = path.join(path.dirname(targetFile), state.backup);
+            if (fs.existsSync(backupFile)) {
+                return { backupFile, state };
+            }
+        }
+
+        const legacyFile = `${targetFile}${BACKUP_SUFFIX}`;
+        if (fs.existsSync(legacyFile)) {
+            return { backupFile: legacyFile, state: null };
+        }
+
+        return null;
+    }
+
+    static collectTranslatedRuns(translations) {
+        const runs = new Set();
+        for (const entry of Object.values(translations || {})) {
+            for (const value of TranslationEntry.getValues(entry)) {
+                for (const run of value.match(CJK_RUN) || []) {
+                    runs.add(run);
+                }
+            }
+        }
+        return runs;
+    }
+
+    // 判断待备份内容是否为 Cursor 原始文件：不能是上次的汉化输出，同版本时需与首次记录的哈希一致，且不含双语标记与本项目的译文
+    static checkPristine(content, version, guard = {}) {
+        const reasons = [];
+        const hash = this.hashContent(content);
+        const { state, translatedRuns } = guard;
+
+        if (state && hash === state.patchedHash) {
+            reasons.push('文件内容与上次汉化输出的哈希一致');
+        } else if (state && state.originalHash && state.version === version && hash !== state.originalHash) {
+            reasons.push(`文件哈希与首次汉化时记录的 ${version} 版本原始文件哈希不一致`);
+        }
+
+        if (BILINGUAL_MARKER.test(content)) {
+            reasons.push('发现双语模式写入的 "原文\\n译文" 标记');
+        }
+        const duplicated = content.match(DUPLICATED_BILINGUAL);
+        if (duplicated) {
+            reasons.push(`发现双语模式写入的 "原文\\n原文" 标记，例如: ${duplicated[0]}`);
+        }
+
+        if (translatedRuns && translatedRuns.size > 0) {
+            const found = new Set((content.match(CJK_RUN) || []).filter(run => translatedRuns.has(run)));
+            if (found.size >= PATCHED_RUN_THRESHOLD) {
+                reasons.push(`发现 ${found.size} 处本项目译文中的中文，例如: ${[...found].slice(0, 3).join('、')}`);
+            }
+        }
+
+        return { pristine: reasons.length === 0, hash, reasons };
+    }
+
+    static writeManifest(backupFile, content, version, hash) {
+        const manifest = {
+            file: path.basename(backupFile),
+            hash,
+            size: Buffer.byteLength(content, 'utf-8'),
+            version,
+            createdAt: new Date().toISOString()
+        };
+        return FileUtils.safeWriteFile(this.getManifestPath(backupFile), JSON.stringify(manifest, null, 2));
+    }
+
+    static verifyManifest(backupFile, installedVersion) {
+        const issues = [];
+        const manifestContent = FileUtils.safeReadFile(this.getManifestPath(backupFile));
+        if (!manifestContent) {
+            issues.push('备份缺少清单文件，无法校验其完整性');
+            return { valid: false, manifest: null, issues };
+        }
+
+        let manifest;
+        try {
+            manifest = JSON.parse(manifestContent);
+        } catch (error) {
+            issues.push(`备份清单文件无法解析: ${error.message}`);
+            return { valid: false, manifest: null, issues };
+        }
+
+        const content = FileUtils.safeReadFile(backupFile);
+        if (content === null) {
+            issues.push('无法读取备份文件');
+        } else {
+            if (Buffer.byteLength(content, 'utf-8') !== manifest.size) {
+                issues.push(`备份文件大小 (${Buffer.byteLength(content, 'utf-8')}) 与清单记录 (${manifest.size}) 不一致`);
+            }
+            if (this.hashContent(content) !== manifest.hash) {
+                issues.push('备份文件哈希与清单记录不一致，备份可能已被修改');
+            }
+        }
+
+        if (installedVersion && manifest.version !== installedVersion) {
+            issues.push(`备份对应的 Cursor 版本 (${manifest.version}) 与已安装版本 (${installedVersion}) 不一致`);
+        }
+
+        return { valid: issues.length === 0, manifest, issues };
+    }
+
+    static createBackup(targetFile, content, version, guard = {}) {
+        const check = this.checkPristine(content, version, guard);
+        if (!check.pristine) {
+            Logger.error('待备份的文件不是 Cursor 原始文件，已阻止创建备份以免英文原文丢失:');
+            check.reasons.forEach(reason => Logger.error(`  - ${reason}`));
+            Logger.info('请重新安装 Cursor 以获取原始文件后再应用汉化');
+            return null;
+        }
+
+        const { hash } = check;
+        const backupFile = this.getBackupPath(targetFile, version, hash);
+
+        if (!FileUtils.safeWriteFile(backupFile, content)) {
+            Logger.error('备份创建失败');
+            return null;
+        }
+
+        if (!this.writeManifest(backupFile, content, version, hash)) {
+            Logger.error('备份清单文件写入失败');
+            return null;
+        }
+
+        const state = {
+            version,
+            backup: path.basename(backupFile),
+            originalHash: hash,
+            patchedHash: null,
+            createdAt: new Date().toISOString()
+        };
+        if (!this.saveState(targetFile, state)) {
+            Logger.error('补丁状态文件写入失败');
+            return null;
+        }
+
+        Logger.success(`备份已创建于: ${backupFile}`);
+        return backupFile;
+    }
+
+    static removeFile(filePath) {
+        try {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+            return true;
+        } catch (error) {
+            Logger.warning(`删除文件失败: ${filePath}`);
+            return false;
+        }
+    }
+
+    // 备份文件与其清单文件一并删除
+    static discardBackup(backupFile) {
+        const removed = this.removeFile(backupFile);
+        return this.removeFile(this.getManifestPath(backupFile)) && removed;
+    }
+
+    static prepareBackup(targetFile, version, translations) {
+        const content = FileUtils.safeReadFile(targetFile);
+        if (content === null) {
+            Logger.error('无法读取目标文件');
+            return null;
+        }
+
+        const guard = {
+            state: this.loadState(targetFile),
+            translatedRuns: this.collectTranslatedRuns(translations)
+        };
+
+        const existing = this.findBackup(targetFile);
+        if (!existing) {
+            Logger.info(guard.state ? '备份文件已丢失，正在重新创建原始文件备份...' : '检测到首次运行，正在创建原始文件备份...');
+            return this.createBackup(targetFile, content, version, guard);
+        }
+
+        const liveHash = this.hashContent(content);
+
+        if (!existing.state) {
+            // 旧版本工具只留下 workbench.desktop.main.js.original，没有版本与哈希记录。
+            // Cursor 自带的语言名称也含中文，是否已汉化须按本项目译文判断，不能只看有没有中文
+            const backupContent = FileUtils.safeReadFile(existing.backupFile);
+            const sameAsLive = backupContent !== null && this.hashContent(backupContent) === liveHash;
+            const isPatched = !this.checkPristine(content, null, { translatedRuns: guard.translatedRuns }).pristine;
+            if (backupContent !== null && (sameAsLive || isPatched)) {
+                Logger.info('发现旧格式的备份文件，正在迁移为带版本的备份...');
+                // 与目标文件相同时可确认版本；目标文件已汉化时无从确认备份对应的版本，不记为已安装版本
+                if (!sameAsLive) {
+                    Logger.warning('无法确认旧格式备份对应的 Cursor 版本，还原时需使用 npm run restore:force');
+                }
+                const backupFile = this.createBackup(targetFile, backupContent, sameAsLive ? version : UNKNOWN_VERSION, guard);
+                if (backupFile && backupFile !== existing.backupFile) {
+                    this.discardBackup(existing.backupFile);
+                }
+                return backupFile;
+            }
+
+            Logger.warning('旧格式的备份文件与当前未汉化的目标文件不一致，Cursor 可能已更新，正在重新建立备份...');
+            const backupFile = this.createBackup(targetFile, content, version, guard);
+            if (backupFile) {
+                this.discardBackup(existing.backupFile);
+            }
+            return backupFile;
+        }
+
+        const { state } = existing;
+        if (liveHash === state.originalHash || liveHash === state.patchedHash) {
+            Logger.info(`备份文件已存在 (版本 ${state.version})，跳过备份步骤。`);
+            return existing.backupFile;
+        }
+
+        Logger.warning(`目标文件与备份及上次汉化结果均不一致，Cursor 可能已更新 (备份版本: ${state.version}，当前版本: ${version})`);
+        Logger.info('正在以新文件重新建立备份...');
+        const backupFile = this.createBackup(targetFile, content, version, guard);
+        if (backupFile && backupFile !== existing.backupFile) {
+            this.discardBackup(existing.backupFile);
+        }
+        return backupFile;
+    }
+
+    // 补丁状态同时记录翻译模式与实际替换过的词条，备份丢失时反向还原可据此消除歧义
+    static recordPatched(targetFile, content, patchInfo = {}) {
+        const state = this.loadState(targetFile);
+        if (!state) {
+            return false;
+        }
+
+        state.patchedHash = this.hashContent(content);
+        state.patchedAt = new Date().toISOString();
+        state.mode = patchInfo.mode || null;
+        state.locale = patchInfo.locale || DEFAULT_LOCALE;
+        state.replaced = patchInfo.hitCounts
+            ? Object.fromEntries(Object.entries(patchInfo.hitCounts).filter(([, count]) => count > 0))
+            : null;
+        return this.saveState(targetFile, state);
+    }
+
+    static removeBackup(targetFile, backupFile) {
+        const removed = this.discardBackup(backupFile);
+        return this.removeFile(this.getStateFile(targetFile)) && removed;
+    }
+}
+
+// VS Code 启动时会校验 product.json 中 checksums 记录的核心文件哈希（sha256 的 base64，去掉末尾的 =），
+// 修改 workbench 后需同步更新，否则会提示安装已损坏
+class ChecksumManager {
+    static getProductPath(appPath) {
+        return path.join(appPath, PRODUCT_FILE_NAME);
+    }
+
+    static getBackupPath(appPath) {
+        return `${this.getProductPath(appPath)}${BACKUP_SUFFIX}`;
+    }
+
+    static computeChecksum(content) {
+        return crypto.createHash('sha256').update(content).digest('base64').replace(/=+$/, '');
+    }
+
+    static getChecksumKey(appPath, filePath) {
+        return path.relative(path.join(appPath, 'out'), filePath).split(path.sep).join('/');
+    }
+
+    static loadProduct(appPath) {
+        const content = FileUtils.safeReadFile(this.getProductPath(appPath));
+        if (!content) {
+            return null;
+        }
+
+        try {
+            return { content, product: JSON.parse(content) };
+        } catch (error) {
+            Logger.warning(`product.json 无法解析: ${error.message}`);
+            return null;
+        }
+    }
+
+    // product.json 的备份须与当前安装对应，Cursor 更新后（version 或 commit 变化）重新备份
+    static ensureBackup(appPath, product) {
+        const backupPath = this.getBackupPath(appPath);
+        const backupContent = FileUtils.safeReadFile(backupPath);
+        if (backupContent) {
+            try {
+                const backup = JSON.parse(backupContent);
+                if (backup.version === product.version && backup.commit === product.commit) {
+                    return true;
+                }
+                Logger.info('product.json 备份与当前安装版本不一致，正在重新备份...');
+            } catch (error) {
+                Logger.warning('product.json 备份已损坏，正在重新备份...');
+            }
+        }
+
+        return FileUtils.safeCopyFile(this.getProductPath(appPath), backupPath);
+    }
+
+    static updateChecksums(appPath, files) {
+        const loaded = this.loadProduct(appPath);
+        if (!loaded || !loaded.product.checksums) {
+            Logger.debug('product.json 中没有 checksums，无需更新');
+            return true;
+        }
+
+        let { content } = loaded;
+        const { product } = loaded;
+        const updated = [];
+
+        for (const filePath of files) {
+            const key = this.getChecksumKey(appPath, filePath);
+            const previous = product.checksums[key];
+            const fileContent = fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+            if (previous === undefined || fileContent === null) {
+                continue;
+            }
+
+            const checksum = this.computeChecksum(fileContent);
+            if (checksum === previous) {
+                continue;
+            }
+
+            // 只替换对应的值，保留 product.json 原有的格式
+            const pattern = new RegExp(`(${TranslationProcessor.escapeRegExp(JSON.stringify(key))}\\s*:\\s*)${TranslationProcessor.escapeRegExp(JSON.stringify(previous))}`);
+            if (!pattern.test(content)) {
+                Logger.warning(`无法在 product.json 中定位校验和: ${key}`);
+                continue;
+            }
+            content = content.replace(pattern, `$1${JSON.stringify(checksum)}`);
+            updated.push(key);
+        }
+
+        if (updated.length === 0) {
+            return true;
+        }
+
+        if (!this.ensureBackup(appPath, product)) {
+            Logger.warning('product.json 备份失败，未更新校验和');
+            return false;
+        }
+        if (!FileUtils.safeWriteFile(this.getProductPath(appPath), content)) {
+            return false;
+        }
+
+        Logger.success(`已更新 product.json 中 ${updated.length} 个文件的校验和。`);
+        return true;
+    }
+
+    // 备份与当前安装版本不一致（Cursor 已更新）时不能覆盖新的 product.json，改为按还原后的文件重新计算校验和
+    static restoreProduct(appPath, files = []) {
+        const backupPath = this.getBackupPath(appPath);
+        const backupContent = FileUtils.safeReadFile(backupPath);
+        const loaded = this.loadProduct(appPath);
+        let backup = null;
+        if (backupContent !== null) {
+            try {
+                backup = JSON.parse(backupContent);
+            } catch (error) {
+                Logger.warning('product.json 备份已损坏，已丢弃');
+            }
+        }
+        if (backup && loaded && (backup.version !== loaded.product.version || backup.commit !== loaded.product.commit)) {
+            Logger.warning('product.json 备份与当前安装版本不一致，已丢弃');
+            backup = null;
+        }
+        if (!backup) {
+            // 还原后不再需要备份，updateChecksums 重新创建的备份同样删除
+            const updated = this.updateChecksums(appPath, files);
+            return BackupManager.removeFile(backupPath) && updated;
+        }
+
+        if (!FileUtils.safeCopyFile(backupPath, this.getProductPath(appPath))) {
+            Logger.error('还原 product.json 失败');
+            return false;
+        }
+        BackupManager.removeFile(backupPath);
+        Logger.success('已还原 product.json。');
+        return true;
+    }
+
+    static verifyChecksums(appPath) {
+        const loaded = this.loadProduct(appPath);
+        if (!loaded || !loaded.product.checksums) {
+            return [];
+        }
+
+        return Object.entries(loaded.product.checksums).map(([key, expected]) => {
+            const filePath = path.join(appPath, 'out', ...key.split('/'));
+            const actual = fs.existsSync(filePath) ? this.computeChecksum(fs.readFileSync(filePath)) : null;
+            return { key, expected, actual, matches: actual === expected };
+        });
+    }
+}
+
 class PatchApplier {
-    static applyTranslations(mode, cursorPath, isFast = false) {
-        Logger.info(`开始应用中文语言补丁 (模式: ${mode})...`);
-        const { targetFile, backupFile } = CursorPathFinder.getPlatformPaths(cursorPath);
+    static applyTranslations(mode, cursorPath, isFast = false, locale = DEFAULT_LOCALE) {
+        Logger.info(`开始应用语言补丁 (语言: ${locale}，模式: ${mode})...`);
+        const { appPath, targetFile } = CursorPathFinder.getPlatformPaths(cursorPath);
 
         if (!fs.existsSync(targetFile)) {
             Logger.error(`在路径 ${targetFile} 中找不到目标文件。`);
@@ -434,14 +1036,11 @@ class PatchApplier {
             return false;
         }
 
-        if (!this.createBackup(targetFile, backupFile)) {
-            return false;
-        }
-
         const projectRoot = path.resolve(__dirname, '..');
-        let translations = TranslationProcessor.loadTranslations(projectRoot);
+        let translations = TranslationProcessor.loadTranslations(projectRoot, locale);
+        const usingFallback = !translations;
         
-        if (!translations) {
+        if (usingFallback) {
             Logger.error('无法加载翻译文件，尝试使用回退翻译...');
             translations = TranslationProcessor.createFallbackTranslations({});
             if (Object.keys(translations).length === 0) {
@@ -451,6 +1050,19 @@ class PatchApplier {
             Logger.warning('使用基础回退翻译，翻译覆盖率可能较低');
         }
 
+        // 占位符或标记与原文不一致的词条会让界面显示错误，跳过替换
+        const broken = this.removeBrokenMarkup(translations);
+        if (broken.length > 0) {
+            Logger.error(`有 ${broken.length} 个词条的占位符或标记与原文不一致，已跳过替换，可运行 npm run validate:missing 查看`);
+            broken.forEach(item => Logger.warning(`  "${item.source}": ${item.message}`));
+        }
+
+        const version = VersionValidator.getInstalledVersion(cursorPath);
+        const backupFile = BackupManager.prepareBackup(targetFile, version, translations);
+        if (!backupFile) {
+            return false;
+        }
+
         Logger.info('正在读取原始 JS 文件内容...');
         const content = FileUtils.safeReadFile(backupFile);
         
@@ -469,6 +1081,17 @@ class PatchApplier {
         }
         
         Logger.success(`成功替换 ${result.replacementsCount} 个词条。`);
+        if (result.stats.template > 0) {
+            Logger.success(`其中模板字符串替换 ${result.stats.template} 处。`);
+        }
+
+        if (result.skipped.length > 0) {
+            const reportPath = this.writeRiskReport(projectRoot, result.skipped);
+            Logger.warning(`有 ${result.skipped.length} 处词条位于对象键、比较、事件名等高风险位置，已跳过替换。`);
+            if (reportPath) {
+                Logger.warning(`跳过位置详见: ${reportPath}`);
+            }
+        }
         
         if (result.notFound.length > 0) {
             Logger.warning(`有 ${result.notFound.length} 个词条在文件中未找到，这可能是因为 Cursor 版本更新。`);
@@ -477,11 +1100,17 @@ class PatchApplier {
             } else {
                 Logger.warning(`未找到的词条: ${result.notFound.slice(0, 10).join('", "')}...`);
             }
+            Logger.info('运行 npm run prune 可列出最近几个版本中都未找到的过时词条');
+        }
+
+        // 回退翻译并非翻译文件中的词条，不计入匹配记录
+        if (!usingFallback && MatchHistory.record(locale, version, translations, result.notFound, result.hitCounts)) {
+            Logger.info(`已记录 ${version} 版本的词条匹配情况`);
         }
 
         if (result.replacementsCount === 0) {
             Logger.error('未执行任何替换。可能的原因:');
-            Logger.error('1. `zh-cn.json` 中的英文原文与代码中的不完全一致');
+            Logger.error(`1. \`${locale}.json\` 中的英文原文与代码中的不完全一致`);
             Logger.error('2. Cursor 版本更新导致文本变化');
             Logger.error('3. 翻译文件格式问题');
             
@@ -489,13 +1118,44 @@ class PatchApplier {
             const fallbackResult = this.tryFallbackTranslation(content, mode);
             if (fallbackResult.replacementsCount > 0) {
                 Logger.success(`使用回退模式成功替换 ${fallbackResult.replacementsCount} 个词条`);
-                return this.finalizeTranslation(targetFile, fallbackResult.content, backupFile);
+                return this.finalizeTranslation(targetFile, fallbackResult.content, backupFile, false, { mode, locale, hitCounts: fallbackResult.hitCounts, ranges: fallbackResult.ranges, appPath });
             }
             
             return false;
         }
 
-        return this.finalizeTranslation(targetFile, result.content, backupFile, isFast);
+        return this.finalizeTranslation(targetFile, result.content, backupFile, isFast, { mode, locale, hitCounts: result.hitCounts, ranges: result.ranges, appPath });
+    }
+
+    // 从待替换的词条中移除占位符或标记检查未通过的词条，返回被移除的词条及原因
+    static removeBrokenMarkup(translations) {
+        const broken = [];
+        for (const [source, entry] of Object.entries(translations)) {
+            const problems = PlaceholderChecker.checkEntry(source, entry);
+            if (problems.length > 0) {
+                broken.push({ source, message: problems.map(problem => PlaceholderChecker.describe(problem)).join('; ') });
+                delete translations[source];
+            }
+        }
+        return broken;
+    }
+
+    static writeRiskReport(projectRoot, skipped) {
+        const byContext = {};
+        for (const item of skipped) {
+            byContext[item.context] = (byContext[item.context] || 0) + 1;
+        }
+
+        const report = {
+            timestamp: new Date().toISOString(),
+            total: skipped.length,
+            byContext,
+            truncated: skipped.length > MAX_RISK_REPORT_ITEMS,
+            occurrences: skipped.slice(0, MAX_RISK_REPORT_ITEMS)
+        };
+
+        const reportPath = path.join(projectRoot, 'translations', RISK_REPORT_FILE);
+        return FileUtils.safeWriteFile(reportPath, JSON.stringify(report, null, 2)) ? reportPath : null;
     }
 
     static tryFallbackTranslation(content, mode) {
@@ -561,61 +1221,112 @@ class PatchApplier {
             'F12': 'F12'
         };
         
-        return TranslationProcessor.applyTranslations(content, fallbackTranslations, mode);
+        const displayOnlyTranslations = {};
+        for (const [key, value] of Object.entries(fallbackTranslations)) {
+            displayOnlyTranslations[key] = { value, displayOnly: true };
+        }
+        
+        return TranslationProcessor.applyTranslations(content, displayOnlyTranslations, mode);
     }
 
-    static finalizeTranslation(targetFile, content, backupFile, isFast = false) {
+    static finalizeTranslation(targetFile, content, backupFile, isFast = false, patchInfo = {}) {
         Logger.info(`正在将翻译后的内容写入: ${targetFile}`);
         if (!FileUtils.safeWriteFile(targetFile, content)) {
             return false;
         }
 
-        if (!isFast && !FileUtils.validateFile(targetFile)) {
-            Logger.error('修改后的文件验证失败，正在还原...');
-            this.restoreFromBackup(targetFile, backupFile);
-            return false;
+        if (!isFast) {
+            // 以 JavaScript 方式编译（不执行）修改后的内容，失败时定位引起错误的词条并回滚
+            const syntax = FileUtils.checkSyntax(content, targetFile);
+            if (!syntax.valid) {
+                Logger.error(`修改后的文件无法通过语法检查，${FileUtils.describeSyntaxError(syntax)}`);
+                const original = syntax.location && TranslationProcessor.findEntryAt(patchInfo.ranges, syntax.location.offset, content);
+                if (original) {
+                    Logger.error(`可能由词条 "${original}" 的译文引起，请检查该词条`);
+                }
+                Logger.error('正在还原...');
+                this.restoreFromBackup(targetFile, backupFile);
+                return false;
+            }
         }
 
-        Logger.success('\n[SUCCESS] 补丁成功应用！请完全重启 Cursor (Cmd+Q 或 Ctrl+Q) 以查看效果。');
-        return true;
-    }
+        if (!BackupManager.recordPatched(targetFile, content, patchInfo)) {
+            Logger.warning('补丁状态记录失败，下次运行时可能会重新建立备份');
+        }
 
-    static createBackup(targetFile, backupFile) {
-        if (!fs.existsSync(backupFile)) {
-            Logger.info('检测到首次运行，正在创建原始文件备份...');
-            if (!FileUtils.safeCopyFile(targetFile, backupFile)) {
-                Logger.error('备份创建失败');
-                return false;
-            }
-            Logger.success(`备份已创建于: ${backupFile}`);
-        } else {
-            Logger.info('备份文件已存在，跳过备份步骤。');
+        if (patchInfo.appPath && !ChecksumManager.updateChecksums(patchInfo.appPath, [targetFile])) {
+            Logger.warning('product.json 校验和更新失败，Cursor 可能提示安装已损坏');
         }
+
+        Logger.success('\n[SUCCESS] 补丁成功应用！请完全重启 Cursor (Cmd+Q 或 Ctrl+Q) 以查看效果。');
         return true;
     }
 
-    static restoreOriginal(cursorPath) {
+    static restoreOriginal(cursorPath, force = false, locale = DEFAULT_LOCALE) {
         Logger.info('开始还原原始英文文件...');
-        const { targetFile, backupFile } = CursorPathFinder.getPlatformPaths(cursorPath);
+        const { appPath, targetFile } = CursorPathFinder.getPlatformPaths(cursorPath);
+        const existing = BackupManager.findBackup(targetFile);
 
-        if (fs.existsSync(backupFile)) {
-            if (!this.restoreFromBackup(targetFile, backupFile)) {
-                return false;
-            }
-            
-            try {
-                fs.unlinkSync(backupFile);
-                Logger.success('备份文件已删除。');
-            } catch (error) {
-                Logger.warning('删除备份文件失败，但不影响还原结果');
+        if (!existing) {
+            const content = FileUtils.safeReadFile(targetFile);
+            // 补丁状态中记录了汉化时使用的语言，反向还原必须使用同一份翻译
+            const state = BackupManager.loadState(targetFile);
+            const translations = TranslationProcessor.loadTranslations(path.resolve(__dirname, '..'), (state && state.locale) || locale);
+            const check = content === null ? null : BackupManager.checkPristine(content, null, {
+                translatedRuns: BackupManager.collectTranslatedRuns(translations)
+            });
+
+            if (check && !check.pristine) {
+                Logger.warning('未找到备份文件，但目标文件已被汉化，尝试根据翻译文件反向还原...');
+                const { ReversePatcher } = require('./reverse-patcher.js');
+                return ReversePatcher.restore(cursorPath, translations);
             }
-            
-            Logger.success('\n[SUCCESS] 还原成功！请重启 Cursor。');
-            return true;
-        } else {
+
             Logger.warning('未找到备份文件，无需还原。');
             return true;
         }
+
+        const { backupFile, state } = existing;
+        if (state) {
+            const version = VersionValidator.getInstalledVersion(cursorPath);
+            const content = FileUtils.safeReadFile(targetFile);
+            const liveHash = content === null ? null : BackupManager.hashContent(content);
+
+            if (state.version !== version) {
+                if (!force) {
+                    Logger.error(`备份版本 (${state.version}) 与已安装的 Cursor 版本 (${version}) 不一致，拒绝还原以免覆盖新版本文件。`);
+                    Logger.info('如确认需要还原，请使用: npm run restore:force');
+                    return false;
+                }
+                Logger.warning(`备份版本 (${state.version}) 与已安装版本 (${version}) 不一致，按要求强制还原。`);
+            } else if (liveHash !== null && liveHash !== state.originalHash && liveHash !== state.patchedHash) {
+                if (!force) {
+                    Logger.error('目标文件与备份及上次汉化结果均不一致，Cursor 可能已更新，拒绝还原。');
+                    Logger.info('如确认需要还原，请使用: npm run restore:force');
+                    return false;
+                }
+                Logger.warning('目标文件已被修改，按要求强制还原。');
+            }
+        } else {
+            Logger.warning('备份为旧格式，无法校验其对应的 Cursor 版本。');
+        }
+
+        if (!this.restoreFromBackup(targetFile, backupFile)) {
+            return false;
+        }
+
+        if (BackupManager.removeBackup(targetFile, backupFile)) {
+            Logger.success('备份文件已删除。');
+        } else {
+            Logger.warning('删除备份文件失败，但不影响还原结果');
+        }
+
+        if (!ChecksumManager.restoreProduct(appPath, [targetFile])) {
+            Logger.warning('product.json 未能还原，Cursor 可能提示安装已损坏');
+        }
+
+        Logger.success('\n[SUCCESS] 还原成功！请重启 Cursor。');
+        return true;
     }
 
     static restoreFromBackup(targetFile, backupFile) {
@@ -631,21 +1342,22 @@ class PatchApplier {
 function main() {
     try {
         console.log('--- Cursor 汉化脚本 v2.1 ---');
-        const args = process.argv.slice(2);
+        const { locale, args } = LocaleManager.parseArgs(process.argv.slice(2));
 
         const isRestore = args.includes('restore');
         const isFast = args.includes('fast');
+        const isForce = args.includes('force');
         let mode = 'direct';
         if (args.includes('bilingual')) {
             mode = 'bilingual';
         }
 
-        const pathArg = args.find(arg => !['restore', 'bilingual', 'direct', 'fast'].includes(arg));
+        const pathArg = args.find(arg => !['restore', 'bilingual', 'direct', 'fast', 'force'].includes(arg));
 
         if (!isRestore) {
             try {
                 const TranslationMerger = require('./translation-merger');
-                const merger = new TranslationMerger();
+                const merger = new TranslationMerger({ locale });
                 const mergeResult = merger.run();
                 
                 if (mergeResult.merged) {
@@ -685,9 +1397,9 @@ function main() {
 
         let success = false;
         if (isRestore) {
-            success = PatchApplier.restoreOriginal(cursorPath);
+            success = PatchApplier.restoreOriginal(cursorPath, isForce, locale);
         } else {
-            success = PatchApplier.applyTranslations(mode, cursorPath, isFast);
+            success = PatchApplier.applyTranslations(mode, cursorPath, isFast, locale);
         }
 
         if (success) {
@@ -714,7 +1426,7 @@ process.on('unhandledRejection', (reason, promise) => {
     process.exit(1);
 });
 
-module.exports = { Logger, FileUtils, CursorPathFinder, TranslationProcessor, PatchApplier };
+module.exports = { Logger, FileUtils, CursorPathFinder, TranslationProcessor, BackupManager, ChecksumManager, PatchApplier };
 
 if (require.main === module) {
     main();
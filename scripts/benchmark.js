@@ -0,0 +1,298 @@
+const path = require('path');
+
+const { Logger, FileUtils, TranslationProcessor } = require('./apply.js');
+const { TranslationEntry } = require('./translation-entry.js');
+const { LiteralMatcher } = require('./literal-matcher.js');
+
+const DEFAULT_SIZE_MB = 5;
+const DEFAULT_RUNS = 3;
+const DEFAULT_SEED = 20240601;
+
+/**
+ * 替换引擎性能基准
+ * 生成指定大小的合成 workbench 文件，对比旧版逐词条正则替换与单次扫描引擎的耗时，
+ * 并校验单次扫描引擎的输出与生成文件时推算的预期结果一致，用于证明性能提升和发现回归
+ */
+class TranslationBenchmark {
+    /**
+     * 可复现的伪随机数生成器 (mulberry32)
+     * @param {number} seed 随机种子
+     * @returns {Function} 返回 [0, 1) 随机数的函数
+     */
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * 挑选可以直接推算替换结果的词条：单一无作用域的译文、没有 force/forbid/displayOnly 选项、不含模板占位符且译文与原文不同
+     * @param {Object} translations 扁平化后的翻译映射
+     * @returns {Map} 原文 → 译文
+     */
+    static collectPlainEntries(translations) {
+        const plain = new Map();
+        for (const [original, raw] of Object.entries(translations)) {
+            const variants = TranslationEntry.normalizeVariants(raw);
+            const variant = variants && variants.length === 1 ? variants[0] : null;
+            if (!variant || variant.scope || variant.force.length > 0 || variant.forbid.length > 0 || variant.displayOnly) {
+                continue;
+            }
+            if (variant.value !== original && LiteralMatcher.splitPlaceholders(original).placeholders.length === 0) {
+                plain.set(original, variant.value);
+            }
+        }
+        return plain;
+    }
+
+    /**
+     * 生成合成的压缩 JS 文件内容，同时记录单次扫描引擎应当输出的结果。
+     * 同一批原文分别出现在展示位置、中性位置与高风险位置（===、case、对象键、成员访问），
+     * 部分字面量带转义或在原文后追加其他文本（与词条部分重叠但不相等），用于校验用途判断与转义处理
+     * @param {number} sizeBytes 目标大小（字符数）
+     * @param {Object} translations 扁平化后的翻译映射
+     * @param {string} mode 翻译模式
+     * @param {number} seed 随机种子
+     * @returns {{content: string, expected: string}} 合成内容与预期输出
+     */
+    static generateBundle(sizeBytes, translations, mode, seed = DEFAULT_SEED) {
+        const random = this.createRandom(seed);
+        const pick = list => list[Math.floor(random() * list.length)];
+        const plain = this.collectPlainEntries(translations);
+        const keys = [...plain.keys()];
+        // 噪声文本本身不能是词条原文，否则其替换结果无法推算
+        const noiseWords = ['div', 'span', 'click', 'onDidChange', 'vs/base/common', 'monaco-list', 'utf8', 'codicon-gear']
+            .filter(word => !Object.prototype.hasOwnProperty.call(translations, word));
+        const id = () => `${pick(['e', 't', 'n', 'i', 'r', 's'])}${Math.floor(random() * 1000)}`;
+
+        // 按引号编码原文，部分字母改用 \xNN 转义，旧实现无法匹配这类写法
+        const encode = (text, quote) => {
+            const raw = LiteralMatcher.encodeLiteral(text, quote);
+            if (raw.includes('\\') || random() >= 0.2) {
+                return raw;
+            }
+            return raw.replace(/[A-Za-z]/, letter => `\\x${letter.charCodeAt(0).toString(16)}`);
+        };
+        const replaced = (raw, original, quote) => {
+            const translated = LiteralMatcher.encodeLiteral(plain.get(original), quote);
+            return mode === 'bilingual' ? `${raw}\\n${translated}` : translated;
+        };
+
+        // 字面量生成器，返回 [源码, 预期输出]，均包含引号
+        const noise = quote => {
+            const text = `${quote}${pick(noiseWords)}${quote}`;
+            return [text, text];
+        };
+        const shown = quote => {
+            if (keys.length === 0 || random() >= 0.4) {
+                return noise(quote);
+            }
+            const original = pick(keys);
+            const raw = encode(original, quote);
+            if (random() < 0.15) {
+                // 原文之后追加其他文本，与词条部分重叠但整体不是词条
+                const extended = `${original} ${pick(noiseWords)}`;
+                if (!Object.prototype.hasOwnProperty.call(translations, extended)) {
+                    const text = `${quote}${encode(extended, quote)}${quote}`;
+                    return [text, text];
+                }
+            }
+            return [`${quote}${raw}${quote}`, `${quote}${replaced(raw, original, quote)}${quote}`];
+        };
+        const kept = quote => {
+            if (keys.length === 0) {
+                return noise(quote);
+            }
+            const text = `${quote}${encode(pick(keys), quote)}${quote}`;
+            return [text, text];
+        };
+        // 中性位置只替换短语类原文，单个单词保持不变
+        const neutral = quote => {
+            const [text, expected] = shown(quote);
+            const original = LiteralMatcher.decodeLiteral(text.slice(1, -1));
+            return plain.has(original) && !/[^\w$.\-]/.test(original) ? [text, text] : [text, expected];
+        };
+        const quoteOf = () => pick(['"', "'"]);
+        const chunk = (...parts) => parts.reduce(([content, expected], part) => (
+            typeof part === 'string' ? [content + part, expected + part] : [content + part[0], expected + part[1]]
+        ), ['', '']);
+
+        const templates = [
+            () => chunk(`function ${id()}(${id()},${id()}){return ${id()}+${Math.floor(random() * 100)}}`),
+            () => chunk(`${id()}.title=`, shown(quoteOf()), ';'),
+            () => chunk(`(0,${id()}.jsx)("span",{children:`, shown(quoteOf()), '});'),
+            () => chunk(`var ${id()}={label:`, shown(quoteOf()), `,id:"${pick(noiseWords)}.${Math.floor(random() * 100)}"};`),
+            () => chunk(`${id()}.push((0,${id()}.localize)("${pick(noiseWords)}",`, shown(quoteOf()), '));'),
+            () => chunk(`${id()}.show(`, neutral(quoteOf()), ');'),
+            () => chunk(`if(${id()}===`, kept(quoteOf()), ')return;'),
+            () => chunk(`switch(${id()}){case `, kept(quoteOf()), ':break}'),
+            () => chunk(`${id()}={`, kept(quoteOf()), ':1};'),
+            () => chunk(`${id()}=${id()}[`, kept(quoteOf()), '];'),
+            () => chunk(`const ${id()}=[${Math.floor(random() * 9999)},"${pick(noiseWords)}"];`),
+            () => chunk(`${id()}=\`${pick(noiseWords)}-\${${id()}.${pick(noiseWords)}}\`;`)
+        ];
+
+        const contents = [];
+        const expected = [];
+        let length = 0;
+        while (length < sizeBytes) {
+            const [content, output] = pick(templates)();
+            contents.push(content);
+            expected.push(output);
+            length += content.length;
+        }
+
+        return { content: contents.join('\n'), expected: expected.join('\n') };
+    }
+
+    /**
+     * 旧版替换实现：每个词条构造一次正则并扫描整个文件，作为对比基准
+     * @param {string} content JS 文件内容
+     * @param {Object} translations 翻译映射
+     * @param {string} mode 翻译模式
+     * @returns {string} 替换后的内容
+     */
+    static applyWithRegex(content, translations, mode) {
+        const sortedEntries = Object.entries(translations).sort((a, b) => b[0].length - a[0].length);
+
+        for (const [original, entry] of sortedEntries) {
+            const translated = TranslationEntry.getValue(entry);
+            const regex = new RegExp(`(["'])${TranslationProcessor.escapeRegExp(original)}\\1`, 'g');
+            let replacementString;
+            if (mode === 'bilingual') {
+                const escapedOriginalForReplacement = original.replace(/\$/g, '$$$$');
+                replacementString = `$1${escapedOriginalForReplacement}\\n${translated}$1`;
+            } else {
+                replacementString = `$1${translated}$1`;
+            }
+            content = content.replace(regex, replacementString);
+        }
+
+        return content;
+    }
+
+    /**
+     * 查找两段文本的首个差异位置
+     * @param {string} a 文本
+     * @param {string} b 文本
+     * @returns {number}
+     */
+    static findFirstDifference(a, b) {
+        let index = 0;
+        while (index < a.length && a[index] === b[index]) {
+            index++;
+        }
+        return index;
+    }
+
+    /**
+     * 多次运行并取最快一次的耗时
+     * @param {Function} fn 被测函数
+     * @param {number} runs 运行次数
+     * @returns {{ms: number, output: *}}
+     */
+    static measure(fn, runs) {
+        let best = Infinity;
+        let output;
+        for (let i = 0; i < runs; i++) {
+            const start = process.hrtime.bigint();
+            output = fn();
+            const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+            best = Math.min(best, elapsed);
+        }
+        return { ms: best, output };
+    }
+
+    /**
+     * 执行基准测试
+     * @param {Object} options { sizeMB, runs, mode, seed, save }
+     * @returns {boolean} 单次扫描引擎的输出是否与预期一致
+     */
+    static run(options) {
+        const projectRoot = path.resolve(__dirname, '..');
+        const translations = TranslationProcessor.loadTranslations(projectRoot);
+        if (!translations) {
+            Logger.error('无法加载翻译文件，基准测试终止');
+            return false;
+        }
+
+        const sizeBytes = Math.round(options.sizeMB * 1024 * 1024);
+        const { content, expected } = this.generateBundle(sizeBytes, translations, options.mode, options.seed);
+        console.log(`合成文件大小: ${(content.length / 1024 / 1024).toFixed(2)} MB，词条数: ${Object.keys(translations).length}，模式: ${options.mode}`);
+
+        if (options.save) {
+            FileUtils.safeWriteFile(options.save, content);
+            console.log(`合成文件已保存: ${options.save}`);
+        }
+
+        const legacy = this.measure(() => this.applyWithRegex(content, translations, options.mode), options.runs);
+        const singlePass = this.measure(() => TranslationProcessor.applyTranslations(content, translations, options.mode), options.runs);
+
+        const totalHits = Object.values(singlePass.output.hitCounts).reduce((sum, count) => sum + count, 0);
+        console.log(`逐词条正则: ${legacy.ms.toFixed(1)} ms`);
+        console.log(`单次扫描:   ${singlePass.ms.toFixed(1)} ms (命中 ${singlePass.output.replacementsCount} 个词条，共 ${totalHits} 处)`);
+        console.log(`加速比: ${(legacy.ms / singlePass.ms).toFixed(1)}x`);
+
+        // 旧实现不区分用途、不解码转义，输出与预期不同是正常的，只作为耗时基准
+        if (legacy.output !== expected) {
+            console.log(`旧实现的输出与预期不同（首个差异位置: ${this.findFirstDifference(legacy.output, expected)}），旧实现会替换高风险位置且无法匹配带转义的字面量`);
+        }
+
+        const identical = singlePass.output.content === expected;
+        if (identical) {
+            Logger.success('单次扫描引擎的输出与预期一致');
+        } else {
+            const index = this.findFirstDifference(singlePass.output.content, expected);
+            Logger.error(`单次扫描引擎的输出与预期不一致，首个差异位置: ${index}`);
+            Logger.error(`预期:   ${expected.slice(Math.max(0, index - 40), index + 40)}`);
+            Logger.error(`新实现: ${singlePass.output.content.slice(Math.max(0, index - 40), index + 40)}`);
+        }
+
+        return identical;
+    }
+
+    /**
+     * 解析命令行参数
+     * @param {string[]} args 命令行参数
+     * @returns {Object} 选项
+     */
+    static parseArgs(args) {
+        const readValue = (name, fallback) => {
+            const index = args.indexOf(name);
+            return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+        };
+
+        return {
+            sizeMB: parseFloat(readValue('--size', DEFAULT_SIZE_MB)),
+            runs: parseInt(readValue('--runs', DEFAULT_RUNS), 10),
+            seed: parseInt(readValue('--seed', DEFAULT_SEED), 10),
+            mode: args.includes('bilingual') ? 'bilingual' : 'direct',
+            save: readValue('--save', null)
+        };
+    }
+}
+
+function main() {
+    console.log('--- 替换引擎基准测试 ---');
+    const options = TranslationBenchmark.parseArgs(process.argv.slice(2));
+
+    if (!(options.sizeMB > 0) || !(options.runs > 0)) {
+        Logger.error('参数无效: --size 与 --runs 必须为正数');
+        process.exit(1);
+    }
+
+    if (!TranslationBenchmark.run(options)) {
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { TranslationBenchmark };
\ No newline at end of file
@@ -5,6 +5,10 @@ const readline = require('readline');
 
 const { VersionValidator } = require('./version-validator.js');
 const { CursorPathFinder } = require('./apply.js');
+const { LocaleManager, DEFAULT_LOCALE } = require('./locale-manager.js');
+const { TranslationEntry, ARCHIVED_GROUP } = require('./translation-entry.js');
+const { MatchHistory } = require('./match-history.js');
+const { JsonReader } = require('./json-reader.js');
 
 /**
  * Cursor 中文补丁工具统一控制台界面
@@ -12,6 +16,7 @@ const { CursorPathFinder } = require('./apply.js');
 class CursorCLI {
     constructor() {
         this.projectRoot = path.resolve(__dirname, '..');
+        this.locale = DEFAULT_LOCALE;
         this.rl = readline.createInterface({
             input: process.stdin,
             output: process.stdout
@@ -30,6 +35,10 @@ class CursorCLI {
             { id: '11', name: '自定义安装路径', handler: this.customPathHandler.bind(this) },
             { id: '12', name: '查看翻译统计', handler: this.showTranslationStats.bind(this) },
             { id: '13', name: '查看帮助文档', handler: this.showHelp.bind(this) },
+            { id: '14', name: '切换翻译语言', handler: this.switchLocaleHandler.bind(this) },
+            { id: '15', name: '提取未翻译界面文本', command: 'npm run extract' },
+            { id: '16', name: '列出过时词条', command: 'npm run prune' },
+            { id: '17', name: '推荐相似译文', command: 'npm run suggest' },
             { id: '0', name: '退出', handler: this.exit.bind(this) }
         ];
     }
@@ -52,6 +61,7 @@ class CursorCLI {
         console.log('              Cursor 中文补丁工具 v2.1.0              ');
         console.log('                支持 Cursor 全版本                ');
         console.log('='.repeat(60));
+        console.log(`当前翻译语言: ${this.locale} (${LocaleManager.getProfile(this.locale).name})`);
         console.log('');
     }
 
@@ -78,12 +88,14 @@ class CursorCLI {
         console.log('  8. 验证翻译文件');
         console.log('  9. 修复翻译文件问题');
         console.log('  10. 合并翻译文件');
+        console.log('  15. 提取未翻译界面文本');
         console.log('');
         
         console.log('【其他】');
         console.log('  11. 自定义安装路径');
         console.log('  12. 查看翻译统计');
         console.log('  13. 查看帮助文档');
+        console.log('  14. 切换翻译语言');
         console.log('  0. 退出');
         console.log('');
     }
@@ -112,10 +124,21 @@ class CursorCLI {
         }
     }
 
+    /**
+     * 为 npm 脚本追加当前语言参数，默认语言不追加
+     */
+    withLocale(command) {
+        if (this.locale === DEFAULT_LOCALE || !command.startsWith('npm run ')) {
+            return command;
+        }
+        return command.includes(' -- ') ? `${command} --locale ${this.locale}` : `${command} -- --locale ${this.locale}`;
+    }
+
     /**
      * 运行命令
      */
     async runCommand(command) {
+        command = this.withLocale(command);
         console.log(`\n执行命令: ${command}\n`);
         
         return new Promise((resolve) => {
@@ -226,6 +249,38 @@ class CursorCLI {
         await this.runCommand(command);
     }
 
+    /**
+     * 切换翻译语言，可选语言来自 translations 目录中的翻译文件
+     */
+    async switchLocaleHandler() {
+        const locales = LocaleManager.discoverLocales();
+        if (locales.length === 0) {
+            console.log('\n未在 translations 目录中找到翻译文件\n');
+            await this.waitForKeyPress();
+            return;
+        }
+
+        console.log('\n【可用的翻译语言】\n');
+        locales.forEach((locale, index) => {
+            const fallback = LocaleManager.getFallbackChain(locale).slice(1);
+            const fallbackText = fallback.length > 0 ? `，缺少的词条回退到 ${fallback.join(' → ')}` : '';
+            const current = locale === this.locale ? ' [当前]' : '';
+            console.log(`  ${index + 1}. ${locale} (${LocaleManager.getProfile(locale).name}${fallbackText})${current}`);
+        });
+
+        const answer = await this.askQuestion('\n请输入语言编号或语言代码: ');
+        const selected = locales[parseInt(answer, 10) - 1] || (LocaleManager.isValid(answer) ? LocaleManager.normalize(answer) : null);
+        if (!locales.includes(selected)) {
+            console.log(`\n未找到语言 ${answer}\n`);
+            await this.waitForKeyPress();
+            return;
+        }
+
+        this.locale = selected;
+        console.log(`\n已切换到 ${selected}，之后的操作将使用 ${path.basename(LocaleManager.getTranslationFile(selected))}\n`);
+        await this.waitForKeyPress();
+    }
+
     /**
      * 显示翻译统计
      */
@@ -233,10 +288,12 @@ class CursorCLI {
         console.log('\n【翻译统计信息】\n');
         
         try {
-            // 读取 zh-cn.json 文件
-            const zhCnPath = path.join(this.projectRoot, 'translations', 'zh-cn.json');
+            // 读取当前语言的翻译文件
+            const zhCnPath = LocaleManager.getTranslationFile(this.locale);
             const zhCnContent = fs.readFileSync(zhCnPath, 'utf-8');
-            const zhCnJson = JSON.parse(zhCnContent);
+            const fullJson = JsonReader.parse(zhCnContent, zhCnPath).value;
+            const archivedCount = Object.keys(fullJson[ARCHIVED_GROUP] || {}).length;
+            const zhCnJson = TranslationEntry.withoutArchived(fullJson);
             
             // 统计分类和词条数量
             const categories = Object.keys(zhCnJson);
@@ -249,13 +306,13 @@ class CursorCLI {
                 totalEntries += count;
             });
             
-            // 检查是否存在 no.json 文件
-            const noJsonPath = path.join(this.projectRoot, 'translations', 'no.json');
+            // 检查是否存在未翻译词条清单（默认语言为 no.json）
+            const noJsonPath = LocaleManager.getUntranslatedFile(this.locale);
             let untranslatedCount = 0;
             
             if (fs.existsSync(noJsonPath)) {
                 const noJsonContent = fs.readFileSync(noJsonPath, 'utf-8');
-                const noJson = JSON.parse(noJsonContent);
+                const noJson = JsonReader.parse(noJsonContent, noJsonPath).value;
                 
                 // 新格式的no.json文件：统计原始英文词条与中文翻译不同的数量
                 // 由于no.json现在只包含原始英文词条，需要与zh-cn.json对比
@@ -279,16 +336,33 @@ class CursorCLI {
             }
             
             // 显示统计信息
+            console.log(`翻译语言: ${this.locale}`);
             console.log(`总分类数: ${categories.length}`);
             console.log(`总词条数: ${totalEntries}`);
             console.log(`未翻译词条数: ${untranslatedCount}`);
+            if (archivedCount > 0) {
+                console.log(`已归档词条数: ${archivedCount}`);
+            }
             console.log(`翻译完成率: ${((totalEntries - untranslatedCount) / totalEntries * 100).toFixed(2)}%\n`);
             
-            console.log('【分类详情】');
+            // 最近一次应用汉化时记录的匹配情况，之后新增的词条既不算找到也不算未找到
+            const latest = MatchHistory.getLatest(this.locale);
+            if (latest) {
+                console.log(`【分类详情】(匹配记录: Cursor ${latest.version})`);
+            } else {
+                console.log('【分类详情】(尚无匹配记录，应用汉化后显示各分类在文件中找到的词条数)');
+            }
             Object.entries(categoryCounts)
                 .sort((a, b) => b[1] - a[1])
                 .forEach(([category, count]) => {
-                    console.log(`  ${category}: ${count} 个词条`);
+                    if (!latest) {
+                        console.log(`  ${category}: ${count} 个词条`);
+                        return;
+                    }
+                    const keys = Object.keys(zhCnJson[category]);
+                    const matched = keys.filter(key => latest.matched.has(key)).length;
+                    const notFound = keys.filter(key => latest.notFound.has(key)).length;
+                    console.log(`  ${category}: ${count} 个词条，找到 ${matched} 个，未找到 ${notFound} 个`);
                 });
             
         } catch (error) {
@@ -317,6 +391,9 @@ class CursorCLI {
         console.log('   - 验证翻译文件: 检查翻译文件的完整性和格式');
         console.log('   - 修复翻译文件问题: 修复翻译文件中的常见问题');
         console.log('   - 合并翻译文件: 将 yes-zh-cn.json 合并到 zh-cn.json');
+        console.log('   - 提取未翻译界面文本: 扫描已安装的 Cursor，把尚未翻译的界面文本写入 no.json 的 untranslated 分组');
+        console.log('   - 列出过时词条: 根据每次应用汉化时记录的匹配情况，列出最近几个版本中都未找到的词条');
+        console.log('   - 推荐相似译文: 为 no.json 中未翻译的文本查找相似的已有翻译，可作为草稿写入 yes-zh-cn.json');
         console.log('');
         console.log('4. 质量与测试 - 确保代码和翻译质量');
         console.log('   - 质量检查: 全面检查代码和翻译质量');
@@ -329,11 +406,15 @@ class CursorCLI {
         console.log('   - macOS 示例: /Applications/Cursor.app');
         console.log('   - Linux 示例: /usr/local/bin/cursor');
         console.log('');
-        console.log('6. 文件说明');
+        console.log('6. 文件说明 (以 zh-cn 为例，其他语言替换文件名中的语言代码)');
         console.log('   - zh-cn.json: 主翻译文件');
         console.log('   - no.json: 未翻译词条清单');
         console.log('   - yes-zh-cn.json: 用户自定义翻译文件');
         console.log('');
+        console.log('7. 切换翻译语言 - 使用 translations 目录中的其他语言文件');
+        console.log('   - 例如 zh-tw.json，缺少的词条依次回退到 zh-cn.json 与英文原文');
+        console.log('   - 命令行中可使用 --locale 参数，如: npm run apply -- --locale zh-tw');
+        console.log('');
         
         await this.waitForKeyPress();
     }
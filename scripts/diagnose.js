@@ -3,7 +3,9 @@ const path = require('path');
 const os = require('os');
 
 // 复用apply.js中的工具类
-const { Logger, FileUtils, CursorPathFinder } = require('./apply.js');
+const { Logger, FileUtils, CursorPathFinder, BackupManager, ChecksumManager } = require('./apply.js');
+const { VersionValidator } = require('./version-validator.js');
+const { LocaleManager, DEFAULT_LOCALE } = require('./locale-manager.js');
 
 /**
  * 诊断工具类
@@ -31,7 +33,7 @@ class Diagnoser {
         }
 
         // 检查平台特定路径
-        const { appPath, targetFile, backupFile } = CursorPathFinder.getPlatformPaths(cursorPath);
+        const { appPath, targetFile } = CursorPathFinder.getPlatformPaths(cursorPath);
         
         if (!fs.existsSync(appPath)) {
             result.issues.push(`应用资源路径不存在: ${appPath}`);
@@ -45,30 +47,67 @@ class Diagnoser {
             return result;
         }
 
-        // 验证文件完整性
-        if (!FileUtils.validateFile(targetFile)) {
-            result.issues.push('核心文件已损坏或格式不正确');
-            result.suggestions.push('建议重新安装 Cursor');
+        // 验证文件完整性（按 JavaScript 编译检查语法）
+        const targetSyntax = this.checkFileSyntax(targetFile);
+        if (targetSyntax) {
+            result.issues.push(`核心文件已损坏或格式不正确: ${targetSyntax}`);
+            result.suggestions.push('如已应用汉化，可运行 npm run restore 还原后重试，否则建议重新安装 Cursor');
             return result;
         }
 
         // 检查备份文件
-        if (fs.existsSync(backupFile)) {
-            if (!FileUtils.validateFile(backupFile)) {
-                result.issues.push('备份文件已损坏');
+        const backup = BackupManager.findBackup(targetFile);
+        if (backup) {
+            const backupSyntax = this.checkFileSyntax(backup.backupFile);
+            if (backupSyntax) {
+                result.issues.push(`备份文件已损坏: ${backupSyntax}`);
                 result.suggestions.push('建议删除备份文件并重新应用汉化');
+            } else if (backup.state) {
+                // 核对备份旁的清单文件：哈希、大小与 Cursor 版本
+                const manifest = BackupManager.verifyManifest(backup.backupFile, VersionValidator.getInstalledVersion(cursorPath));
+                if (manifest.valid) {
+                    Logger.success(`备份文件状态正常 (版本 ${manifest.manifest.version})`);
+                } else {
+                    manifest.issues.forEach(issue => result.issues.push(issue));
+                    result.suggestions.push('备份可能与当前安装不匹配，还原前请确认 Cursor 版本');
+                }
             } else {
-                Logger.success('备份文件状态正常');
+                Logger.warning('备份为旧格式，没有清单文件，下次应用汉化时会自动迁移');
             }
         } else {
             Logger.info('未找到备份文件（首次运行）');
         }
 
+        // 检查 product.json 校验和
+        const checksums = ChecksumManager.verifyChecksums(appPath);
+        const mismatched = checksums.filter(item => !item.matches);
+        if (mismatched.length > 0) {
+            mismatched.forEach(item => result.issues.push(`product.json 中 ${item.key} 的校验和与文件不一致`));
+            result.suggestions.push('Cursor 会提示安装已损坏，重新运行 npm run apply 可更新校验和');
+        } else if (checksums.length > 0) {
+            Logger.success(`product.json 校验和一致 (${checksums.length} 个文件)`);
+        }
+
         result.isValid = true;
         Logger.success('Cursor 安装状态正常');
         return result;
     }
 
+    /**
+     * 按 JavaScript 编译文件（不执行），检查语法是否有效
+     * @param {string} filePath 文件路径
+     * @returns {string|null} 错误描述（含行号与列号），文件有效时返回 null
+     */
+    static checkFileSyntax(filePath) {
+        const content = FileUtils.safeReadFile(filePath);
+        if (!content) {
+            return '文件不存在或为空';
+        }
+
+        const syntax = FileUtils.checkSyntax(content, filePath);
+        return syntax.valid ? null : FileUtils.describeSyntaxError(syntax);
+    }
+
     /**
      * 修复常见问题
      * @param {string} cursorPath Cursor安装路径
@@ -77,17 +116,18 @@ class Diagnoser {
     static fixCommonIssues(cursorPath) {
         Logger.info('[FIX] 开始修复常见问题...');
         
-        const { targetFile, backupFile } = CursorPathFinder.getPlatformPaths(cursorPath);
+        const { targetFile } = CursorPathFinder.getPlatformPaths(cursorPath);
+        const backup = BackupManager.findBackup(targetFile);
+        const backupFile = backup ? backup.backupFile : null;
         let fixed = false;
 
         // 1. 修复损坏的备份文件
-        if (fs.existsSync(backupFile) && !FileUtils.validateFile(backupFile)) {
+        if (backupFile && !FileUtils.validateFile(backupFile)) {
             Logger.warning('检测到损坏的备份文件，正在删除...');
-            try {
-                fs.unlinkSync(backupFile);
+            if (BackupManager.removeBackup(targetFile, backupFile)) {
                 Logger.success('损坏的备份文件已删除');
                 fixed = true;
-            } catch (error) {
+            } else {
                 Logger.error('删除损坏的备份文件失败');
             }
         }
@@ -97,7 +137,7 @@ class Diagnoser {
             Logger.warning('检测到损坏的目标文件');
             
             // 尝试从备份恢复
-            if (fs.existsSync(backupFile) && FileUtils.validateFile(backupFile)) {
+            if (backupFile && fs.existsSync(backupFile) && FileUtils.validateFile(backupFile)) {
                 Logger.info('正在从备份文件恢复...');
                 if (FileUtils.safeCopyFile(backupFile, targetFile)) {
                     Logger.success('已从备份文件恢复目标文件');
@@ -137,31 +177,35 @@ class Diagnoser {
     /**
      * 验证汉化状态
      * @param {string} cursorPath Cursor安装路径
+     * @param {string} locale 语言代码，补丁状态中记录了语言时以记录为准
      * @returns {Object} 验证结果
      */
-    static verifyLocalization(cursorPath) {
+    static verifyLocalization(cursorPath, locale = DEFAULT_LOCALE) {
         Logger.info('[VERIFY] 验证汉化状态...');
         
-        const { targetFile, backupFile } = CursorPathFinder.getPlatformPaths(cursorPath);
+        const { targetFile } = CursorPathFinder.getPlatformPaths(cursorPath);
+        const backup = BackupManager.findBackup(targetFile);
+        const state = BackupManager.loadState(targetFile);
         const result = {
+            locale: (state && state.locale) || locale,
             isLocalized: false,
             hasBackup: false,
             issues: []
         };
 
         // 检查是否有备份文件
-        result.hasBackup = fs.existsSync(backupFile) && FileUtils.validateFile(backupFile);
+        result.hasBackup = !!backup && FileUtils.validateFile(backup.backupFile);
 
         // 检查目标文件是否被汉化
         if (fs.existsSync(targetFile)) {
             const content = FileUtils.safeReadFile(targetFile);
             if (content) {
-                // 检查是否包含中文字符
-                const hasChinese = /[\u4e00-\u9fff]/.test(content);
-                result.isLocalized = hasChinese;
+                // 检查是否包含目标语言的文字
+                const hasTranslation = LocaleManager.isTranslatedText(content, result.locale);
+                result.isLocalized = hasTranslation;
                 
-                if (hasChinese) {
-                    Logger.success('检测到汉化内容');
+                if (hasTranslation) {
+                    Logger.success(`检测到汉化内容 (语言: ${result.locale})`);
                 } else {
                     Logger.info('未检测到汉化内容');
                 }
@@ -174,12 +218,13 @@ class Diagnoser {
     /**
      * 生成诊断报告
      * @param {string} cursorPath Cursor安装路径
+     * @param {string} locale 语言代码
      */
-    static generateReport(cursorPath) {
+    static generateReport(cursorPath, locale = DEFAULT_LOCALE) {
         Logger.info('[REPORT] 生成诊断报告...');
         
         const installation = this.diagnoseCursorInstallation(cursorPath);
-        const localization = this.verifyLocalization(cursorPath);
+        const localization = this.verifyLocalization(cursorPath, locale);
         
         console.log('\n' + '='.repeat(50));
         console.log('[REPORT] Cursor 汉化诊断报告');
@@ -189,6 +234,8 @@ class Diagnoser {
         console.log('\n[STATUS] 安装状态:');
         if (installation.isValid) {
             console.log('  [OK] Cursor 安装正常');
+            installation.issues.forEach(issue => console.log(`  [WARN] ${issue}`));
+            installation.suggestions.forEach(suggestion => console.log(`    [TIP] ${suggestion}`));
         } else {
             console.log('  [ERROR] Cursor 安装存在问题');
             installation.issues.forEach(issue => console.log(`    - ${issue}`));
@@ -198,7 +245,7 @@ class Diagnoser {
         // 汉化状态
         console.log('\n[LOCAL] 汉化状态:');
         if (localization.isLocalized) {
-            console.log('  [OK] 已应用汉化补丁');
+            console.log(`  [OK] 已应用汉化补丁 (语言: ${localization.locale})`);
         } else {
             console.log('  [ERROR] 未检测到汉化内容');
         }
@@ -233,7 +280,7 @@ class Diagnoser {
 function main() {
     console.log('--- Cursor 汉化诊断工具 ---');
     
-    const args = process.argv.slice(2);
+    const { locale, args } = LocaleManager.parseArgs(process.argv.slice(2));
     const pathArg = args.find(arg => !['fix', 'report'].includes(arg));
     const isFix = args.includes('fix');
     const isReport = args.includes('report');
@@ -251,7 +298,7 @@ function main() {
     }
     
     if (isReport || (!isFix && !isReport)) {
-        Diagnoser.generateReport(cursorPath);
+        Diagnoser.generateReport(cursorPath, locale);
     }
     
     Logger.success('诊断完成');
@@ -0,0 +1,91 @@
+const fs = require('fs');
+
+const { TranslationEntry } = require('./translation-entry.js');
+const { LocaleManager } = require('./locale-manager.js');
+const { JsonReader } = require('./json-reader.js');
+
+/**
+ * 术语表
+ * <语言>.glossary.json 规定英文术语的统一译法，原文包含术语（不区分大小写，含复数形式）的词条，
+ * 译文必须使用规定的译法之一；确有理由使用其他译法的词条可登记为例外并注明原因：
+ * { "Plan": { "target": ["方案"], "exceptions": { "Pro Plan": "原因" } }, "Rule": "规则" }
+ */
+class Glossary {
+    /**
+     * 读取语言的术语表
+     * @param {string} locale 语言代码
+     * @returns {Array<{term: string, targets: string[], exceptions: Object, pattern: RegExp}>|null} 没有术语表时返回 null
+     * @throws {Error} 术语表格式无效时抛出
+     */
+    static load(locale) {
+        const glossaryFile = LocaleManager.getGlossaryFile(locale);
+        if (!fs.existsSync(glossaryFile)) {
+            return null;
+        }
+
+        const raw = JsonReader.parseConfig(fs.readFileSync(glossaryFile, 'utf-8'), glossaryFile);
+        return Object.entries(raw).map(([term, definition]) => this.normalizeTerm(term, definition));
+    }
+
+    /**
+     * 将术语定义转换为统一结构，定义可以是译法字符串、译法数组或 { target, exceptions } 对象
+     * @param {string} term 英文术语
+     * @param {*} definition 术语定义
+     * @returns {{term: string, targets: string[], exceptions: Object, pattern: RegExp}}
+     */
+    static normalizeTerm(term, definition) {
+        const options = typeof definition === 'string' || Array.isArray(definition) ? { target: definition } : definition || {};
+        const targets = [].concat(options.target || []).filter(target => typeof target === 'string' && target !== '');
+        if (targets.length === 0) {
+            throw new Error(`术语 "${term}" 未指定译法`);
+        }
+
+        const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return {
+            term,
+            targets,
+            exceptions: options.exceptions && typeof options.exceptions === 'object' ? options.exceptions : {},
+            pattern: new RegExp(`\\b${escaped}(?:s|es)?\\b`, 'i')
+        };
+    }
+
+    /**
+     * 检查一个词条是否使用了术语表规定的译法
+     * @param {Array} glossary load 返回的术语表
+     * @param {string} group 分组名
+     * @param {string} source 英文原文
+     * @param {*} entry 翻译文件中的值
+     * @returns {Array<{term: string, group: string, source: string, translation: string, expected: string[]}>} 不一致之处
+     */
+    static checkEntry(glossary, group, source, entry) {
+        const violations = [];
+        for (const definition of glossary) {
+            if (!definition.pattern.test(source) || source in definition.exceptions) {
+                continue;
+            }
+            for (const translation of new Set(TranslationEntry.getValues(entry))) {
+                const lower = translation.toLowerCase();
+                if (!definition.targets.some(target => lower.includes(target.toLowerCase()))) {
+                    violations.push({ term: definition.term, group, source, translation, expected: definition.targets });
+                }
+            }
+        }
+        return violations;
+    }
+
+    /**
+     * 按术语整理不一致之处
+     * @param {Array} violations checkEntry 的结果
+     * @returns {Object} 术语 → { expected, entries: [{ group, source, translation }] }
+     */
+    static groupByTerm(violations) {
+        const byTerm = {};
+        for (const { term, expected, group, source, translation } of violations) {
+            byTerm[term] = byTerm[term] || { expected, entries: [] };
+            byTerm[term].entries.push({ group, source, translation });
+        }
+        return byTerm;
+    }
+}
+
+module.exports = { Glossary };
\ No newline at end of file
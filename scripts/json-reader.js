@@ -0,0 +1,333 @@
+const path = require('path');
+
+// 文件开头可能带有编辑器写入的 UTF-8 BOM
+const BOM = '\ufeff';
+const WHITESPACE = /[ \t\n\r]*/y;
+const PLAIN_CHARS = /[^"\\\u0000-\u001f]*/y;
+const NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const LITERALS = { true: true, false: false, null: null };
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+// 终端中占两列的全角字符，用于对齐错误位置下方的 ^
+const WIDE_CHAR = /[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/;
+
+/**
+ * 翻译文件读取工具
+ * 与 JSON.parse 的解析结果一致（同一对象中的重复键保留最后一个），但会记录重复键的位置；
+ * 语法错误时给出文件、行号、列号与标出错误位置的原文片段，便于定位手动编辑翻译文件时引入的问题
+ */
+class JsonReader {
+    /**
+     * 解析 JSON 内容
+     * @param {string} content JSON 内容
+     * @param {string} filePath 文件路径，用于错误信息
+     * @returns {{value: *, duplicates: Array<{path: string[], key: string, line: number, column: number, firstLine: number}>}}
+     *          duplicates 为同一对象中重复出现的键，path 为所在对象的键路径，firstLine 为第一次出现的行号
+     * @throws {Error} 语法错误时抛出，error.location 为 { line, column }
+     */
+    static parse(content, filePath = '') {
+        const parser = new Parser(content, filePath);
+        const value = parser.parseDocument();
+        return { value, duplicates: parser.duplicates };
+    }
+
+    /**
+     * 解析配置文件（术语表、排版规则等），这类文件中的重复键视为错误
+     * @param {string} content JSON 内容
+     * @param {string} filePath 文件路径，用于错误信息
+     * @returns {*} 解析结果
+     * @throws {Error} 语法错误或存在重复键时抛出
+     */
+    static parseConfig(content, filePath = '') {
+        const { value, duplicates } = this.parse(content, filePath);
+        if (duplicates.length > 0) {
+            throw new Error(duplicates.map(duplicate => this.describeDuplicate(duplicate, filePath)).join('\n'));
+        }
+        return value;
+    }
+
+    /**
+     * 描述重复键
+     * @param {Object} duplicate parse 返回的 duplicates 中的一项
+     * @param {string} filePath 文件路径
+     * @returns {string}
+     */
+    static describeDuplicate(duplicate, filePath = '') {
+        const owner = duplicate.path.length > 0 ? `"${duplicate.path.join('.')}" 中` : '顶层';
+        return `${formatLocation(filePath, duplicate.line, duplicate.column)}: ${owner}的键 "${duplicate.key}" 与第 ${duplicate.firstLine} 行重复，只有最后一个生效`;
+    }
+}
+
+/**
+ * 带位置信息的递归下降 JSON 解析器
+ */
+class Parser {
+    constructor(content, filePath) {
+        this.content = content;
+        this.filePath = filePath;
+        this.index = content.startsWith(BOM) ? 1 : 0;
+        this.lastComma = -1;
+        this.duplicates = [];
+        // 各行起始位置，首次需要计算行号时生成
+        this.lineStarts = null;
+    }
+
+    parseDocument() {
+        this.skipWhitespace();
+        if (this.index >= this.content.length) {
+            this.fail('文件为空');
+        }
+        const value = this.parseValue([]);
+        this.skipWhitespace();
+        if (this.index < this.content.length) {
+            this.fail(`JSON 已结束，之后出现了多余的内容 ${this.describeToken()}`);
+        }
+        return value;
+    }
+
+    parseValue(keyPath) {
+        const char = this.content[this.index];
+        if (char === '{') {
+            return this.parseObject(keyPath);
+        }
+        if (char === '[') {
+            return this.parseArray(keyPath);
+        }
+        if (char === '"') {
+            return this.parseString();
+        }
+
+        NUMBER.lastIndex = this.index;
+        const number = NUMBER.exec(this.content);
+        if (number && number[0] !== '' && number[0] !== '-') {
+            this.index = NUMBER.lastIndex;
+            return Number(number[0]);
+        }
+        const word = (this.content.slice(this.index).match(/^[A-Za-z]+/) || [''])[0];
+        if (word in LITERALS) {
+            this.index += word.length;
+            return LITERALS[word];
+        }
+
+        if (this.index >= this.content.length) {
+            this.fail('文件意外结束，缺少值');
+        }
+        if (char === '\'') {
+            this.fail('字符串必须使用双引号');
+        }
+        this.fail(`应为值，实际为 ${this.describeToken()}`);
+    }
+
+    parseObject(keyPath) {
+        const result = {};
+        const seen = new Map();
+        this.index++;
+        this.skipWhitespace();
+        if (this.content[this.index] === '}') {
+            this.index++;
+            return result;
+        }
+
+        for (;;) {
+            if (this.content[this.index] !== '"') {
+                if (this.content[this.index] === '}') {
+                    this.failTrailingComma();
+                }
+                this.fail(`应为用双引号括起的键，实际为 ${this.describeToken()}`);
+            }
+            const keyIndex = this.index;
+            const key = this.parseString();
+            if (seen.has(key)) {
+                const { line, column } = this.locate(keyIndex);
+                this.duplicates.push({ path: keyPath, key, line, column, firstLine: this.locate(seen.get(key)).line });
+            }
+            seen.set(key, keyIndex);
+
+            this.skipWhitespace();
+            if (this.content[this.index] !== ':') {
+                this.fail(`键 "${key}" 之后应为冒号，实际为 ${this.describeToken()}`);
+            }
+            this.index++;
+            this.skipWhitespace();
+            // __proto__ 作为普通键保存，与 JSON.parse 一致
+            Object.defineProperty(result, key, { value: this.parseValue([...keyPath, key]), enumerable: true, writable: true, configurable: true });
+
+            if (this.endOfList('}')) {
+                return result;
+            }
+        }
+    }
+
+    parseArray(keyPath) {
+        const result = [];
+        this.index++;
+        this.skipWhitespace();
+        if (this.content[this.index] === ']') {
+            this.index++;
+            return result;
+        }
+
+        for (;;) {
+            if (this.content[this.index] === ']') {
+                this.failTrailingComma();
+            }
+            result.push(this.parseValue([...keyPath, String(result.length)]));
+            if (this.endOfList(']')) {
+                return result;
+            }
+        }
+    }
+
+    /**
+     * 读取一项之后的分隔符
+     * @param {string} closing 结束符号
+     * @returns {boolean} 是否已到对象或数组末尾
+     */
+    endOfList(closing) {
+        const valueEnd = this.index;
+        this.skipWhitespace();
+        const char = this.content[this.index];
+        if (char === ',') {
+            this.lastComma = this.index++;
+            this.skipWhitespace();
+            return false;
+        }
+        if (char === closing) {
+            this.index++;
+            return true;
+        }
+        if (this.index >= this.content.length) {
+            this.fail(`文件意外结束，缺少 "${closing}"`);
+        }
+        // 漏写逗号时错误位置指向上一项的末尾，即应补上逗号的地方
+        if (char === '"' || char === '{' || char === '[') {
+            this.index = valueEnd;
+            this.fail('缺少逗号');
+        }
+        this.fail(`应为 "," 或 "${closing}"，实际为 ${this.describeToken()}`);
+    }
+
+    parseString() {
+        const start = this.index;
+        let result = '';
+        this.index++;
+        for (;;) {
+            PLAIN_CHARS.lastIndex = this.index;
+            result += PLAIN_CHARS.exec(this.content)[0];
+            this.index = PLAIN_CHARS.lastIndex;
+
+            const char = this.content[this.index];
+            if (char === '"') {
+                this.index++;
+                return result;
+            }
+            if (char === undefined) {
+                this.index = start;
+                this.fail('字符串缺少结束的双引号');
+            }
+            if (char === '\\') {
+                result += this.parseEscape();
+                continue;
+            }
+            this.fail(char === '\n' || char === '\r' ? '字符串中不能直接换行，请写作 \\n' : '字符串中不能包含控制字符');
+        }
+    }
+
+    parseEscape() {
+        const char = this.content[this.index + 1];
+        if (char in ESCAPES) {
+            this.index += 2;
+            return ESCAPES[char];
+        }
+        if (char === 'u' && /^[0-9a-fA-F]{4}$/.test(this.content.slice(this.index + 2, this.index + 6))) {
+            const code = this.content.slice(this.index + 2, this.index + 6);
+            this.index += 6;
+            return String.fromCharCode(parseInt(code, 16));
+        }
+        this.fail(`无效的转义序列 "\\${char === undefined ? '' : char}"，反斜杠本身需写作 \\\\`);
+    }
+
+    skipWhitespace() {
+        WHITESPACE.lastIndex = this.index;
+        WHITESPACE.exec(this.content);
+        this.index = WHITESPACE.lastIndex;
+    }
+
+    describeToken() {
+        const token = (this.content.slice(this.index).match(/^(?:"[^"\n]*"?|[A-Za-z0-9_$.+-]+|[^\s])/) || [''])[0];
+        return token === '' ? '文件末尾' : `"${token.length > 30 ? `${token.slice(0, 30)}...` : token}"`;
+    }
+
+    /**
+     * 计算位置所在的行号与列号（从 1 开始）
+     * @param {number} index 位置
+     * @returns {{line: number, column: number}}
+     */
+    locate(index) {
+        if (!this.lineStarts) {
+            this.lineStarts = [0];
+            for (let i = this.content.indexOf('\n'); i !== -1; i = this.content.indexOf('\n', i + 1)) {
+                this.lineStarts.push(i + 1);
+            }
+        }
+
+        // 二分查找 index 所在的行
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (this.lineStarts[middle] <= index) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        const lineStart = this.lineStarts[low];
+        return {
+            line: low + 1,
+            column: index - lineStart + 1 - (lineStart === 0 && index > 0 && this.content.startsWith(BOM) ? 1 : 0)
+        };
+    }
+
+    failTrailingComma() {
+        this.index = this.lastComma;
+        this.fail('最后一项之后多了逗号');
+    }
+
+    /**
+     * 抛出带位置与原文片段的语法错误
+     * @param {string} message 错误说明
+     */
+    fail(message) {
+        const { line, column } = this.locate(this.index);
+        const lines = this.content.replace(/^\ufeff/, '').split('\n').map(text => text.replace(/\r$/, ''));
+        const width = String(line).length;
+        const snippet = [];
+        if (line > 1) {
+            snippet.push(`  ${String(line - 1).padStart(width)} | ${lines[line - 2]}`);
+        }
+        const current = lines[line - 1] || '';
+        snippet.push(`  ${String(line).padStart(width)} | ${current}`);
+        // 按终端显示宽度对齐 ^，制表符原样保留，全角字符占两列
+        const padding = [...current.slice(0, column - 1)].map(char => (char === '\t' ? '\t' : WIDE_CHAR.test(char) ? '  ' : ' ')).join('');
+        snippet.push(`  ${' '.repeat(width)} | ${padding}^`);
+
+        const error = new Error(`${formatLocation(this.filePath, line, column)}: ${message}\n${snippet.join('\n')}`);
+        error.location = { line, column };
+        throw error;
+    }
+}
+
+/**
+ * 生成 文件:行:列 形式的位置，项目内的文件使用相对路径
+ * @param {string} filePath 文件路径
+ * @param {number} line 行号
+ * @param {number} column 列号
+ * @returns {string}
+ */
+function formatLocation(filePath, line, column) {
+    const relative = filePath ? path.relative(process.cwd(), filePath) : '';
+    const display = !filePath ? '' : relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? relative : filePath;
+    return display ? `${display}:${line}:${column}` : `第 ${line} 行第 ${column} 列`;
+}
+
+module.exports = { JsonReader };
\ No newline at end of file
@@ -0,0 +1,709 @@
+const SINGLE_CHAR_ESCAPES = {
+    'n': '\n',
+    't': '\t',
+    'r': '\r',
+    'b': '\b',
+    'f': '\f',
+    'v': '\v'
+};
+
+const ENCODE_ESCAPES = {
+    '\n': '\\n',
+    '\r': '\\r',
+    '\t': '\\t',
+    '\b': '\\b',
+    '\f': '\\f',
+    '\v': '\\v',
+    '\u2028': '\\u2028',
+    '\u2029': '\\u2029'
+};
+
+const { TranslationEntry } = require('./translation-entry.js');
+const { UsageClassifier } = require('./usage-classifier.js');
+
+const SNIPPET_RADIUS = 60;
+
+// 模板词条中 ${...} 形式的占位符，名称为数字时按位置对应，否则按名称对应
+const TEMPLATE_PLACEHOLDER = /\$\{\s*([^{}\s]+)\s*\}/g;
+const MAX_EXPRESSION_LENGTH = 500;
+
+/**
+ * 单次扫描的字面量匹配器
+ * 一次遍历 JS 内容即可找出全部被引号包裹的待翻译词条，
+ * 取代旧实现中"每个词条构造一次正则并重新扫描整个文件"的做法
+ */
+class LiteralMatcher {
+    /**
+     * @param {Object} translations 扁平化后的翻译映射 { 英文原文: 中文译文或词条对象 }
+     */
+    constructor(translations) {
+        this.lookup = new Map();
+        this.templateLookup = new Map();
+        this.invalidEntries = [];
+
+        // 与旧实现保持一致：按原文长度降序排列，长词条优先匹配
+        this.entries = Object.entries(translations)
+            .sort((a, b) => b[0].length - a[0].length)
+            .map(([original, raw]) => ({ original, variants: TranslationEntry.normalizeVariants(raw) }))
+            .filter(entry => {
+                if (!entry.variants) {
+                    this.invalidEntries.push({ original: entry.original, reason: '译文无效' });
+                    return false;
+                }
+                return true;
+            })
+            .map((entry, priority) => ({ ...entry, priority }));
+
+        for (const entry of this.entries) {
+            TEMPLATE_PLACEHOLDER.lastIndex = 0;
+            const isTemplate = TEMPLATE_PLACEHOLDER.test(entry.original);
+            if (isTemplate) {
+                const source = LiteralMatcher.splitPlaceholders(entry.original);
+                if (new Set(source.placeholders).size !== source.placeholders.length) {
+                    this.invalidEntries.push({ original: entry.original, reason: '原文中的占位符名称重复' });
+                    continue;
+                }
+                entry.template = { skeleton: source.quasis.join('\u0000'), placeholders: source.placeholders };
+            }
+
+            entry.variants = entry.variants.filter(variant => this.prepareVariant(entry, variant));
+            if (entry.variants.length === 0) {
+                continue;
+            }
+
+            // 作用域越具体（窗口越小）越优先，无作用域的变体最后作为兜底
+            entry.variants.sort((a, b) => LiteralMatcher.getScopeWindow(a) - LiteralMatcher.getScopeWindow(b));
+
+            if (isTemplate) {
+                this.templateLookup.set(entry.template.skeleton, entry);
+            } else {
+                this.lookup.set(entry.original, entry);
+            }
+        }
+
+        // 字面量中的原文可能以 \uXXXX 等转义形式出现，源码长度最多为原文的 6 倍
+        this.maxRawLength = this.entries.reduce((max, entry) => Math.max(max, entry.original.length), 0) * 6;
+    }
+
+    /**
+     * 校验变体并预处理作用域正则与模板译文，无效的变体记录到 invalidEntries
+     * @param {Object} entry 词条
+     * @param {Object} variant 变体
+     * @returns {boolean} 变体是否有效
+     */
+    prepareVariant(entry, variant) {
+        if (!variant) {
+            this.invalidEntries.push({ original: entry.original, reason: '译文无效' });
+            return false;
+        }
+
+        const unknownContexts = [...variant.force, ...variant.forbid]
+            .filter(context => !UsageClassifier.isKnownContext(context));
+        if (unknownContexts.length > 0) {
+            this.invalidEntries.push({ original: entry.original, reason: `未知的用途: ${unknownContexts.join(', ')}` });
+        }
+
+        if (variant.scope) {
+            if (!variant.scope.anchor && !variant.scope.pattern) {
+                this.invalidEntries.push({ original: entry.original, reason: '作用域缺少 anchor 或 pattern' });
+                return false;
+            }
+            if (variant.scope.pattern) {
+                try {
+                    variant.scope = { ...variant.scope, regex: new RegExp(variant.scope.pattern) };
+                } catch (error) {
+                    this.invalidEntries.push({ original: entry.original, reason: `作用域正则无效: ${error.message}` });
+                    return false;
+                }
+            }
+        }
+
+        if (entry.template) {
+            const translation = LiteralMatcher.parseTemplateTranslation(entry.template.placeholders, variant.value);
+            if (translation.error) {
+                this.invalidEntries.push({ original: entry.original, reason: translation.error });
+                return false;
+            }
+            variant.translation = translation;
+        }
+
+        return true;
+    }
+
+    /**
+     * 获取变体作用域的窗口大小，无作用域时视为无限大
+     * @param {Object} variant 变体
+     * @returns {number}
+     */
+    static getScopeWindow(variant) {
+        return variant.scope ? variant.scope.within : Infinity;
+    }
+
+    /**
+     * 判断变体的作用域是否覆盖字面量所在位置：锚点或正则需出现在字面量前后 within 个字符内
+     * @param {Object} variant 变体
+     * @param {string} content JS 文件内容
+     * @param {number} start 起始引号位置
+     * @param {number} end 结束引号之后的位置
+     * @returns {boolean}
+     */
+    static isInScope(variant, content, start, end) {
+        if (!variant.scope) {
+            return true;
+        }
+
+        const { anchor, regex, within } = variant.scope;
+        const nearby = content.slice(Math.max(0, start - within), Math.min(content.length, end + within));
+        if (anchor && !nearby.includes(anchor)) {
+            return false;
+        }
+        return !regex || regex.test(nearby);
+    }
+
+    /**
+     * 为一处匹配选择最具体的适用变体
+     * @param {Object} entry 词条
+     * @param {string} content JS 文件内容
+     * @param {number} start 起始引号位置
+     * @param {number} end 结束引号之后的位置
+     * @returns {Object|null} 变体，所有变体的作用域都不覆盖该位置时返回 null
+     */
+    selectVariant(entry, content, start, end) {
+        return entry.variants.find(variant => LiteralMatcher.isInScope(variant, content, start, end)) || null;
+    }
+
+    /**
+     * 将文本按 ${...} 占位符拆分为静态片段与占位符名称
+     * @param {string} text 词条原文或译文
+     * @returns {{quasis: string[], placeholders: string[]}}
+     */
+    static splitPlaceholders(text) {
+        const quasis = [];
+        const placeholders = [];
+        let cursor = 0;
+        let match;
+
+        TEMPLATE_PLACEHOLDER.lastIndex = 0;
+        while ((match = TEMPLATE_PLACEHOLDER.exec(text)) !== null) {
+            quasis.push(text.slice(cursor, match.index));
+            placeholders.push(match[1]);
+            cursor = match.index + match[0].length;
+        }
+        quasis.push(text.slice(cursor));
+
+        return { quasis, placeholders };
+    }
+
+    /**
+     * 解析模板词条的译文：原文中第 i 个占位符对应模板字符串中的第 i 个 ${} 表达式，
+     * 译文必须完整保留原文中的全部占位符（可调整顺序），且每个占位符只能出现一次，以免表达式被求值多次
+     * @param {string[]} placeholders 原文中的占位符名称
+     * @param {string} value 译文
+     * @returns {Object} { quasis, placeholders } 或 { error }
+     */
+    static parseTemplateTranslation(placeholders, value) {
+        const target = this.splitPlaceholders(value);
+
+        const missing = placeholders.filter(name => !target.placeholders.includes(name));
+        if (missing.length > 0) {
+            return { error: `译文缺少占位符: ${missing.map(name => `\${${name}}`).join(', ')}` };
+        }
+
+        const unknown = target.placeholders.filter(name => !placeholders.includes(name));
+        if (unknown.length > 0) {
+            return { error: `译文包含原文中不存在的占位符: ${unknown.map(name => `\${${name}}`).join(', ')}` };
+        }
+
+        const repeated = target.placeholders.filter((name, index) => target.placeholders.indexOf(name) !== index);
+        if (repeated.length > 0) {
+            return { error: `译文中的占位符重复: ${[...new Set(repeated)].map(name => `\${${name}}`).join(', ')}` };
+        }
+
+        return target;
+    }
+
+    /**
+     * 解码 JS 字符串字面量的内容（不含两侧引号）
+     * 支持 \" \' \\ \n 等单字符转义、\xNN、\uXXXX、\u{X} 及行续接
+     * @param {string} raw 字面量源码
+     * @param {boolean} isTemplate 是否为模板字符串片段（允许直接换行）
+     * @returns {string|null} 解码后的文本，字面量非法时返回 null
+     */
+    static decodeLiteral(raw, isTemplate = false) {
+        if (isTemplate) {
+            raw = raw.replace(/\r\n?/g, '\n');
+        }
+
+        if (!raw.includes('\\')) {
+            return !isTemplate && /[\r\n]/.test(raw) ? null : raw;
+        }
+
+        let result = '';
+        for (let i = 0; i < raw.length; i++) {
+            const char = raw[i];
+            if (!isTemplate && (char === '\n' || char === '\r')) {
+                return null;
+            }
+            if (char !== '\\') {
+                result += char;
+                continue;
+            }
+
+            const next = raw[++i];
+            if (next === undefined) {
+                return null;
+            }
+
+            if (SINGLE_CHAR_ESCAPES[next] !== undefined) {
+                result += SINGLE_CHAR_ESCAPES[next];
+            } else if (next === '0' && !/[0-9]/.test(raw[i + 1] || '')) {
+                result += '\0';
+            } else if (next === 'x') {
+                const hex = raw.slice(i + 1, i + 3);
+                if (!/^[0-9a-fA-F]{2}$/.test(hex)) {
+                    return null;
+                }
+                result += String.fromCharCode(parseInt(hex, 16));
+                i += 2;
+            } else if (next === 'u') {
+                const braced = raw[i + 1] === '{';
+                const hex = braced ? raw.slice(i + 2, raw.indexOf('}', i + 2)) : raw.slice(i + 1, i + 5);
+                if (!(braced ? /^[0-9a-fA-F]{1,6}$/ : /^[0-9a-fA-F]{4}$/).test(hex) || parseInt(hex, 16) > 0x10FFFF) {
+                    return null;
+                }
+                result += String.fromCodePoint(parseInt(hex, 16));
+                i += braced ? hex.length + 2 : 4;
+            } else if (next === '\r') {
+                // 行续接：反斜杠加换行不产生任何字符
+                if (raw[i + 1] === '\n') {
+                    i++;
+                }
+            } else if (next === '\n' || next === '\u2028' || next === '\u2029') {
+                continue;
+            } else if (/[1-9]/.test(next)) {
+                // 八进制转义在严格模式下非法，不做匹配
+                return null;
+            } else {
+                result += next;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * 将文本编码为可安全放入指定引号字面量中的源码
+     * @param {string} text 原始文本
+     * @param {string} quote 字面量使用的引号（含反引号）
+     * @returns {string} 转义后的源码
+     */
+    static encodeLiteral(text, quote) {
+        let result = '';
+        const chars = Array.from(text);
+        for (let i = 0; i < chars.length; i++) {
+            const char = chars[i];
+            if (char === '\\' || char === quote) {
+                result += `\\${char}`;
+            } else if (quote === '`' && char === '$' && chars[i + 1] === '{') {
+                result += '\\$';
+            } else if (ENCODE_ESCAPES[char] !== undefined) {
+                result += ENCODE_ESCAPES[char];
+            } else if (char < ' ') {
+                result += `\\x${char.charCodeAt(0).toString(16).padStart(2, '0')}`;
+            } else {
+                result += char;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 从起始引号之后查找字面量的结束引号，跳过被转义的引号
+     * @param {string} content JS 文件内容
+     * @param {string} quote 引号字符
+     * @param {number} start 字面量内容起始位置
+     * @param {number} limit 字面量源码的最大长度
+     * @returns {number} 结束引号位置，未找到或超出长度上限时返回 -1
+     */
+    findLiteralEnd(content, quote, start, limit = this.maxRawLength) {
+        let end = content.indexOf(quote, start);
+        while (end !== -1 && end - start <= limit) {
+            let backslashes = 0;
+            while (content[end - 1 - backslashes] === '\\' && end - 1 - backslashes >= start) {
+                backslashes++;
+            }
+            if (backslashes % 2 === 0) {
+                return end;
+            }
+            end = content.indexOf(quote, end + 1);
+        }
+        return -1;
+    }
+
+    /**
+     * 跳过 ${} 中的表达式，处理嵌套的花括号、字符串与模板字符串
+     * @param {string} content JS 文件内容
+     * @param {number} start 表达式起始位置（${ 之后）
+     * @returns {number} 与 ${ 配对的 } 的位置，无法解析时返回 -1
+     */
+    skipTemplateExpression(content, start) {
+        let depth = 0;
+        let i = start;
+
+        while (i < content.length && i - start <= MAX_EXPRESSION_LENGTH) {
+            const char = content[i];
+            if (char === '"' || char === "'") {
+                i = this.findLiteralEnd(content, char, i + 1, MAX_EXPRESSION_LENGTH);
+                if (i === -1) {
+                    return -1;
+                }
+            } else if (char === '`') {
+                const nested = this.parseTemplate(content, i + 1, MAX_EXPRESSION_LENGTH);
+                if (!nested) {
+                    return -1;
+                }
+                i = nested.end;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                if (depth === 0) {
+                    return i;
+                }
+                depth--;
+            }
+            i++;
+        }
+
+        return -1;
+    }
+
+    /**
+     * 解析模板字符串的结构
+     * @param {string} content JS 文件内容
+     * @param {number} start 模板内容起始位置（反引号之后）
+     * @param {number} limit 静态片段源码的总长度上限
+     * @returns {Object|null} { end, quasis: [{start, end}], expressions: [{start, end}] }
+     */
+    parseTemplate(content, start, limit = this.maxRawLength) {
+        const quasis = [];
+        const expressions = [];
+        const special = /[`\\]|\$\{/g;
+        let quasiStart = start;
+        let quasiLength = 0;
+        special.lastIndex = start;
+
+        let match;
+        while ((match = special.exec(content)) !== null) {
+            if (quasiLength + match.index - quasiStart > limit) {
+                return null;
+            }
+
+            if (match[0] === '\\') {
+                special.lastIndex = match.index + 2;
+            } else if (match[0] === '`') {
+                quasis.push({ start: quasiStart, end: match.index });
+                return { end: match.index, quasis, expressions };
+            } else {
+                const expressionEnd = this.skipTemplateExpression(content, match.index + 2);
+                if (expressionEnd === -1) {
+                    return null;
+                }
+                quasis.push({ start: quasiStart, end: match.index });
+                expressions.push({ start: match.index + 2, end: expressionEnd });
+                quasiLength += match.index - quasiStart;
+                quasiStart = expressionEnd + 1;
+                special.lastIndex = quasiStart;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 将模板字符串与词条对应：无 ${} 的静态模板按普通词条匹配，
+     * 含 ${} 的模板按静态片段组成的骨架匹配模板词条
+     * @param {string} content JS 文件内容
+     * @param {number} start 模板内容起始位置
+     * @returns {Object|null} 候选匹配
+     */
+    matchTemplate(content, start) {
+        const template = this.parseTemplate(content, start);
+        if (!template) {
+            return null;
+        }
+
+        const cooked = [];
+        for (const quasi of template.quasis) {
+            const value = LiteralMatcher.decodeLiteral(content.slice(quasi.start, quasi.end), true);
+            if (value === null) {
+                return null;
+            }
+            cooked.push(value);
+        }
+
+        const entry = template.expressions.length === 0
+            ? this.lookup.get(cooked[0])
+            : this.templateLookup.get(cooked.join('\u0000'));
+        if (!entry) {
+            return null;
+        }
+
+        return {
+            start,
+            end: template.end,
+            quote: '`',
+            raw: content.slice(start, template.end),
+            entry,
+            quasis: template.quasis,
+            expressions: template.expressions
+        };
+    }
+
+    /**
+     * 判断词条是否可以在指定用途的位置替换
+     * 高风险位置默认跳过，展示位置默认替换；中性位置只替换短语类原文，
+     * 单个单词（如 "Open"）及仅限展示位置的词条在中性位置同样跳过
+     * @param {Object} entry 词条
+     * @param {Object} variant 选中的变体
+     * @param {{context: string, category: string}} usage 用途
+     * @returns {boolean}
+     */
+    isReplaceable(entry, variant, usage) {
+        const { force, forbid, displayOnly } = variant;
+        if (forbid.includes(usage.context)) {
+            return false;
+        }
+        if (force.includes(usage.context)) {
+            return true;
+        }
+        if (usage.category === 'neutral') {
+            return !displayOnly && /[^\w$.\-]/.test(entry.original);
+        }
+        return usage.category === 'display';
+    }
+
+    /**
+     * 为候选匹配选择变体并做用途检查，不可替换的记录到 skipped
+     * @param {string} content JS 文件内容
+     * @param {Object} candidate 候选匹配
+     * @param {Array} skipped 被跳过的位置
+     * @returns {boolean} 是否保留该候选
+     */
+    checkUsage(content, candidate, skipped) {
+        candidate.variant = this.selectVariant(candidate.entry, content, candidate.start - 1, candidate.end + 1);
+        // 译文与原文相同（如保留受保护术语的 "Anthropic API Key"）时无需替换，否则双语模式会输出两遍原文
+        if (!candidate.variant || candidate.variant.value === candidate.entry.original) {
+            return false;
+        }
+
+        const usage = UsageClassifier.classify(content, candidate.start - 1, candidate.end + 1);
+        if (this.isReplaceable(candidate.entry, candidate.variant, usage)) {
+            return true;
+        }
+
+        skipped.push({
+            original: candidate.entry.original,
+            context: usage.context,
+            category: usage.category,
+            offset: candidate.start - 1,
+            snippet: content.slice(Math.max(0, candidate.start - 1 - SNIPPET_RADIUS), candidate.end + 1 + SNIPPET_RADIUS).replace(/\s+/g, ' ')
+        });
+        return false;
+    }
+
+    /**
+     * 扫描内容，找出所有解码后与词条原文完全一致的字符串字面量与模板字符串
+     * @param {string} content JS 文件内容
+     * @returns {{candidates: Array, skipped: Array, present: Set}} 候选匹配 { start, end, quote, raw, entry, variant }（start/end 为引号内源码的区间）、
+     * 因用途被跳过的位置，以及在文件中出现过的原文
+     */
+    findCandidates(content) {
+        const candidates = [];
+        const skipped = [];
+        const present = new Set();
+        if (this.entries.length === 0) {
+            return { candidates, skipped, present };
+        }
+
+        const quotePattern = /["'`]/g;
+        let match;
+
+        while ((match = quotePattern.exec(content)) !== null) {
+            const quote = match[0];
+            const start = match.index + 1;
+
+            if (quote === '`') {
+                const templateMatch = this.matchTemplate(content, start);
+                if (templateMatch) {
+                    present.add(templateMatch.entry.original);
+                    if (this.checkUsage(content, templateMatch, skipped)) {
+                        candidates.push(templateMatch);
+                    }
+                }
+                continue;
+            }
+
+            const end = this.findLiteralEnd(content, quote, start);
+            if (end === -1) {
+                continue;
+            }
+
+            const raw = content.slice(start, end);
+            const value = LiteralMatcher.decodeLiteral(raw);
+            const entry = value !== null && this.lookup.get(value);
+            if (entry) {
+                present.add(entry.original);
+                const candidate = { start, end, quote, raw, entry };
+                if (this.checkUsage(content, candidate, skipped)) {
+                    candidates.push(candidate);
+                }
+            }
+        }
+
+        return { candidates, skipped, present };
+    }
+
+    /**
+     * 解决候选之间的重叠：优先级高（原文更长）的词条先占位，
+     * 等价于旧实现按长度顺序逐个替换的结果
+     * @param {Array} candidates 候选匹配
+     * @param {number} contentLength 内容长度
+     * @returns {Array} 按位置排序的匹配，除模板表达式内的嵌套匹配外互不重叠
+     */
+    resolveOverlaps(candidates, contentLength) {
+        const ordered = candidates.slice().sort((a, b) => a.entry.priority - b.entry.priority || a.start - b.start);
+        const occupied = new Uint8Array(contentLength);
+        const accepted = [];
+
+        for (const candidate of ordered) {
+            // 模板字符串只占用静态片段，${} 中的字面量仍可独立替换
+            const ranges = candidate.expressions && candidate.expressions.length > 0 ? candidate.quasis : [candidate];
+            const overlaps = ranges.some(range => occupied.subarray(range.start, range.end).includes(1));
+            if (overlaps) {
+                continue;
+            }
+
+            for (const range of ranges) {
+                occupied.fill(1, range.start, range.end);
+            }
+            accepted.push(candidate);
+        }
+
+        return accepted.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * 生成替换文本，按字面量原本使用的引号转义译文。
+     * 带 ${} 表达式的模板在双语模式下也只输出译文，同时输出原文会使每个表达式求值两次
+     * @param {Object} match 匹配结果
+     * @param {string} mode 翻译模式 (direct | bilingual)
+     * @param {string[]} expressions 模板中各 ${} 表达式替换后的源码
+     * @returns {string} 引号内的新源码
+     */
+    buildReplacement(match, mode, expressions = []) {
+        let translated;
+        if (match.entry.template && expressions.length > 0) {
+            const { placeholders } = match.entry.template;
+            const { translation } = match.variant;
+            translated = translation.quasis.map((quasi, index) => {
+                const encoded = LiteralMatcher.encodeLiteral(quasi, '`');
+                if (index === translation.placeholders.length) {
+                    return encoded;
+                }
+                const expression = expressions[placeholders.indexOf(translation.placeholders[index])];
+                return `${encoded}\${${expression}}`;
+            }).join('');
+        } else {
+            translated = LiteralMatcher.encodeLiteral(match.variant.value, match.quote);
+        }
+
+        if (mode === 'bilingual' && expressions.length === 0) {
+            return `${match.raw}\\n${translated}`;
+        }
+        return translated;
+    }
+
+    /**
+     * 输出 [start, end) 区间内容，应用其中的匹配；模板表达式内的嵌套匹配递归处理
+     * @param {string} content JS 文件内容
+     * @param {number} start 区间起点
+     * @param {number} end 区间终点
+     * @param {Array} matches 已按位置排序的匹配
+     * @param {Object} state 遍历状态 { index, mode, hitCounts, stats, ranges }
+     * @param {number|null} outputStart 区间在输出中的起点，模板表达式内的区间位置不确定时为 null
+     * @returns {string} 替换后的区间内容
+     */
+    render(content, start, end, matches, state, outputStart = null) {
+        const parts = [];
+        let cursor = start;
+        let length = 0;
+
+        while (state.index < matches.length && matches[state.index].start < end) {
+            const match = matches[state.index++];
+            const before = content.slice(cursor, match.start);
+            parts.push(before);
+            length += before.length;
+
+            const expressions = (match.expressions || []).map(expression =>
+                this.render(content, expression.start, expression.end, matches, state));
+
+            // 记录替换在输出中的位置，嵌套在模板表达式中的替换归属于外层模板
+            const replacement = this.buildReplacement(match, state.mode, expressions);
+            if (outputStart !== null) {
+                state.ranges.push({ original: match.entry.original, start: outputStart + length, end: outputStart + length + replacement.length });
+            }
+            parts.push(replacement);
+            length += replacement.length;
+            state.hitCounts[match.entry.original]++;
+            if (match.quote === '`') {
+                state.stats.template++;
+            } else {
+                state.stats.literal++;
+            }
+            cursor = match.end;
+        }
+
+        parts.push(content.slice(cursor, end));
+        return parts.join('');
+    }
+
+    /**
+     * 对内容执行一次性替换
+     * @param {string} content JS 文件内容
+     * @param {string} mode 翻译模式 (direct | bilingual)
+     * @returns {{content: string, hitCounts: Object, replacementsCount: number, notFound: string[], stats: Object, skipped: Array, ranges: Array}}
+     */
+    replace(content, mode) {
+        const { candidates, skipped, present } = this.findCandidates(content);
+        const matches = this.resolveOverlaps(candidates, content.length);
+        const state = {
+            index: 0,
+            mode,
+            hitCounts: {},
+            stats: { literal: 0, template: 0 },
+            ranges: []
+        };
+        for (const entry of this.entries) {
+            state.hitCounts[entry.original] = 0;
+        }
+
+        const output = this.render(content, 0, content.length, matches, state, 0);
+
+        // 因用途或作用域未替换的词条仍存在于文件中，不计入未找到
+        const notFound = this.entries
+            .filter(entry => state.hitCounts[entry.original] === 0 && !present.has(entry.original))
+            .map(entry => entry.original);
+
+        return {
+            content: output,
+            hitCounts: state.hitCounts,
+            replacementsCount: this.entries.filter(entry => state.hitCounts[entry.original] > 0).length,
+            notFound,
+            stats: state.stats,
+            skipped,
+            ranges: state.ranges
+        };
+    }
+}
+
+module.exports = { LiteralMatcher };
\ No newline at end of file
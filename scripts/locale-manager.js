@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LOCALE = 'zh-cn';
+const TRANSLATIONS_DIR = path.join(__dirname, '..', 'translations');
+
+// 各语言的名称、判断"已翻译"所用的文字范围，以及缺少词条时依次回退的语言（最终回退为英文原文）
+const LOCALE_PROFILES = {
+    'zh-cn': { name: '简体中文', script: /[\u4e00-\u9fff]/, fallback: [] },
+    'zh-tw': { name: '繁體中文', script: /[\u4e00-\u9fff]/, fallback: ['zh-cn'] },
+    'ja': { name: '日本語', script: /[\u3040-\u30ff\u4e00-\u9fff]/, fallback: [] }
+};
+// 未登记的语言只要包含非 ASCII 字符即视为已翻译
+const DEFAULT_SCRIPT = /[^\x00-\x7f]/;
+const LOCALE_FILE_PATTERN = /^([a-z]{2,3}(?:-[a-z0-9]{2,4})?)\.json$/i;
+// 规范化后的语言代码，类似 BCP 47：语言 + 若干子标签，同时保证可以安全地拼接为文件名
+const LOCALE_CODE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/;
+// translations 目录中与语言代码同形但用途不同的文件
+const RESERVED_NAMES = new Set(['no']);
+
+/**
+ * 多语言管理
+ * 负责语言代码解析、可用语言发现、回退链以及各语言的文件路径
+ */
+class LocaleManager {
+    /**
+     * 规范化语言代码，如 zh_TW → zh-tw
+     * @param {string} locale 语言代码，未提供时为默认语言
+     * @returns {string}
+     * @throws {Error} 不是有效的语言代码时抛出，如 "../x"
+     */
+    static normalize(locale) {
+        const normalized = String(locale || DEFAULT_LOCALE).trim().toLowerCase().replace(/_/g, '-');
+        if (!LOCALE_CODE_PATTERN.test(normalized)) {
+            throw new Error(`"${locale}" 不是有效的语言代码，应为 zh-cn、zh-tw、ja 这样的格式`);
+        }
+        return normalized;
+    }
+
+    /**
+     * 判断是否为有效的语言代码
+     * @param {string} locale 语言代码
+     * @returns {boolean}
+     */
+    static isValid(locale) {
+        try {
+            this.normalize(locale);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 获取语言配置，未登记的语言使用通用配置
+     * @param {string} locale 语言代码
+     * @returns {{name: string, script: RegExp, fallback: string[]}}
+     */
+    static getProfile(locale) {
+        const normalized = this.normalize(locale);
+        return LOCALE_PROFILES[normalized] || { name: normalized, script: DEFAULT_SCRIPT, fallback: [] };
+    }
+
+    /**
+     * 获取语言的翻译文件路径
+     * @param {string} locale 语言代码
+     * @returns {string}
+     */
+    static getTranslationFile(locale) {
+        return path.join(TRANSLATIONS_DIR, `${this.normalize(locale)}.json`);
+    }
+
+    /**
+     * 获取语言的用户自定义翻译文件路径（合并到主翻译文件）
+     * @param {string} locale 语言代码
+     * @returns {string}
+     */
+    static getUserFile(locale) {
+        return path.join(TRANSLATIONS_DIR, `yes-${this.normalize(locale)}.json`);
+    }
+
+    /**
+     * 获取语言的人工校订文件路径，生成翻译文件时其中的词条优先于自动生成的译文
+     * @param {string} locale 语言代码
+     * @returns {string}
+     */
+    static getOverrideFile(locale) {
+        return path.join(TRANSLATIONS_DIR, `${this.normalize(locale)}.overrides.json`);
+    }
+
+    /**
+     * 获取语言的术语表路径
+     * @param {string} locale 语言代码
+     * @returns {string}
+     */
+    static getGlossaryFile(locale) {
+        return path.join(TRANSLATIONS_DIR, `${this.normalize(locale)}.glossary.json`);
+    }
+
+    /**
+     * 获取语言的排版规则配置路径
+     * @param {string} locale 语言代码
+     * @returns {string}
+     */
+    static getTypographyFile(locale) {
+        return path.join(TRANSLATIONS_DIR, `${this.normalize(locale)}.typography.json`);
+    }
+
+    /**
+     * 获取语言的未翻译词条清单路径，默认语言沿用 no.json
+     * @param {string} locale 语言代码
+     * @returns {string}
+     */
+    static getUntranslatedFile(locale) {
+        const normalized = this.normalize(locale);
+        return path.join(TRANSLATIONS_DIR, normalized === DEFAULT_LOCALE ? 'no.json' : `no-${normalized}.json`);
+    }
+
+    /**
+     * 从 translations 目录发现可用的语言
+     * @returns {string[]} 语言代码列表，默认语言排在最前
+     */
+    static discoverLocales() {
+        let files = [];
+        try {
+            files = fs.readdirSync(TRANSLATIONS_DIR);
+        } catch (error) {
+            return [];
+        }
+
+        const locales = files
+            .map(file => file.match(LOCALE_FILE_PATTERN))
+            .filter(match => match && !RESERVED_NAMES.has(match[1].toLowerCase()))
+            .map(match => this.normalize(match[1]));
+
+        return [...new Set(locales)].sort((a, b) => (b === DEFAULT_LOCALE) - (a === DEFAULT_LOCALE) || a.localeCompare(b));
+    }
+
+    /**
+     * 获取回退链，如 zh-tw → zh-cn
+     * @param {string} locale 语言代码
+     * @returns {string[]} 按优先级排列的语言代码，首项为请求的语言
+     */
+    static getFallbackChain(locale) {
+        const chain = [];
+        const visit = current => {
+            const normalized = this.normalize(current);
+            if (chain.includes(normalized)) {
+                return;
+            }
+            chain.push(normalized);
+            this.getProfile(normalized).fallback.forEach(visit);
+        };
+
+        visit(locale);
+        return chain;
+    }
+
+    /**
+     * 判断文本是否已翻译为指定语言
+     * @param {string} text 文本
+     * @param {string} locale 语言代码
+     * @returns {boolean}
+     */
+    static isTranslatedText(text, locale) {
+        return typeof text === 'string' && this.getProfile(locale).script.test(text);
+    }
+
+    /**
+     * 从命令行参数中取出 --locale，支持 "--locale zh-tw" 与 "--locale=zh-tw"
+     * 语言代码缺失或无效时输出错误并以失败退出，避免以 "../x" 这样的值拼接文件路径
+     * @param {string[]} args 命令行参数
+     * @returns {{locale: string, args: string[]}} 语言代码及去掉该选项后的其余参数
+     */
+    static parseArgs(args) {
+        const rest = [];
+        let locale = DEFAULT_LOCALE;
+
+        for (let i = 0; i < args.length; i++) {
+            if (args[i] === '--locale') {
+                locale = args[++i] === undefined ? '' : args[i];
+            } else if (args[i].startsWith('--locale=')) {
+                locale = args[i].slice('--locale='.length);
+            } else {
+                rest.push(args[i]);
+            }
+        }
+
+        try {
+            if (locale.trim() === '') {
+                throw new Error('--locale 缺少语言代码');
+            }
+            return { locale: this.normalize(locale), args: rest };
+        } catch (error) {
+            console.error(`参数无效: ${error.message}`);
+            process.exit(1);
+        }
+    }
+}
+
+module.exports = { LocaleManager, DEFAULT_LOCALE };
\ No newline at end of file
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+
+const { LocaleManager } = require('./locale-manager.js');
+
+const HISTORY_FILE = path.join(__dirname, '..', 'translations', 'match-history.json');
+
+/**
+ * 词条匹配记录
+ * 每次应用汉化后按语言与 Cursor 版本记录哪些词条在文件中找到、哪些未找到，
+ * 用于统计各分组的命中情况以及找出多个版本中都不再出现的过时词条
+ * 结构: { 语言: { 版本: { recordedAt, matched: [原文], notFound: [原文] } } }
+ */
+class MatchHistory {
+    /**
+     * 读取匹配记录，文件不存在或损坏时返回空记录
+     * @returns {Object}
+     */
+    static load() {
+        if (!fs.existsSync(HISTORY_FILE)) {
+            return {};
+        }
+
+        try {
+            const history = JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf-8'));
+            return history && typeof history === 'object' && !Array.isArray(history) ? history : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * 写入匹配记录
+     * @param {Object} history 匹配记录
+     * @returns {boolean}
+     */
+    static save(history) {
+        try {
+            fs.writeFileSync(HISTORY_FILE, JSON.stringify(history, null, 2), 'utf-8');
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 记录一次应用汉化的匹配结果，同一版本重复应用时以最新结果为准
+     * @param {string} locale 语言代码
+     * @param {string} version Cursor 版本
+     * @param {Object} translations 本次使用的扁平化翻译映射
+     * @param {string[]} notFound 文件中未找到的原文
+     * @param {Object} hitCounts 各原文的替换次数
+     * @returns {boolean} 是否已记录，版本未知时不记录
+     */
+    static record(locale, version, translations, notFound, hitCounts = {}) {
+        if (!version || version === 'unknown') {
+            return false;
+        }
+
+        const missing = new Set(notFound);
+        const history = this.load();
+        const normalized = LocaleManager.normalize(locale);
+        history[normalized] = history[normalized] || {};
+        history[normalized][version] = {
+            recordedAt: new Date().toISOString(),
+            matched: Object.keys(translations).filter(original => !missing.has(original)).sort(),
+            notFound: [...missing].sort(),
+            hits: Object.fromEntries(Object.entries(hitCounts).filter(([, count]) => count > 0))
+        };
+
+        return this.save(history);
+    }
+
+    /**
+     * 比较两个版本号，按数字逐段比较
+     * @param {string} a 版本号
+     * @param {string} b 版本号
+     * @returns {number}
+     */
+    static compareVersions(a, b) {
+        const partsA = a.split(/[.-]/).map(part => parseInt(part, 10) || 0);
+        const partsB = b.split(/[.-]/).map(part => parseInt(part, 10) || 0);
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) {
+                return diff;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * 获取语言已记录的版本，按版本号从新到旧排列
+     * @param {string} locale 语言代码
+     * @param {Object} history 匹配记录，未提供时读取文件
+     * @returns {string[]}
+     */
+    static getVersions(locale, history = this.load()) {
+        return Object.keys(history[LocaleManager.normalize(locale)] || {}).sort((a, b) => this.compareVersions(b, a));
+    }
+
+    /**
+     * 获取最新版本的匹配结果
+     * @param {string} locale 语言代码
+     * @returns {{version: string, matched: Set, notFound: Set, hits: Object}|null} 没有记录时返回 null
+     */
+    static getLatest(locale) {
+        const history = this.load();
+        const [version] = this.getVersions(locale, history);
+        if (!version) {
+            return null;
+        }
+
+        const record = history[LocaleManager.normalize(locale)][version];
+        return { version, matched: new Set(record.matched || []), notFound: new Set(record.notFound || []), hits: record.hits || {} };
+    }
+
+    /**
+     * 找出在最近 count 个版本中都未找到的原文
+     * @param {string} locale 语言代码
+     * @param {number} count 版本数量
+     * @returns {{versions: string[], stale: Set}} 参与判断的版本；已记录的版本不足 count 个时不判断
+     */
+    static findStale(locale, count) {
+        const history = this.load();
+        const versions = this.getVersions(locale, history).slice(0, count);
+        const stale = new Set();
+        if (versions.length < count) {
+            return { versions, stale };
+        }
+
+        const records = versions.map(version => history[LocaleManager.normalize(locale)][version]);
+        const matched = new Set(records.flatMap(record => record.matched || []));
+        for (const original of records[0].notFound || []) {
+            if (!matched.has(original) && records.every(record => (record.notFound || []).includes(original))) {
+                stale.add(original);
+            }
+        }
+
+        return { versions, stale };
+    }
+}
+
+module.exports = { MatchHistory };
\ No newline at end of file
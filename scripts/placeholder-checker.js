@@ -0,0 +1,155 @@
+const { TranslationEntry } = require('./translation-entry.js');
+
+// 各类占位符与标记，按顺序提取；前面的类型匹配过的文本不会再被后面的类型匹配
+const TOKEN_TYPES = [
+    // Markdown 链接只要求保留链接地址，链接文字可以翻译
+    { type: 'link', pattern: /\[[^\]\n]*\]\(([^)\s]+)\)/g, key: match => `](${match[1]})`, reorderable: true },
+    { type: 'keybinding', pattern: /\[(?:(?:(?:Ctrl|Cmd|Alt|Shift|Option|Meta)\+)+[^\]\s]+|Enter|Esc|Escape|Tab|Space|Backspace|Delete|[⌘⌥⇧⌃]+[^\]\s]*)\]/g, reorderable: true },
+    { type: 'template', pattern: /\$\{\s*[^{}\s]+\s*\}/g, reorderable: true },
+    { type: 'indexed', pattern: /\{\d+\}|\{[A-Za-z_]\w*\}/g, reorderable: true },
+    // %1$s 这类编号写法按编号取参数，可以调整顺序；未编号的 %s、%d 按出现顺序取参数，不能调整顺序
+    { type: 'positional', pattern: /%\d+\$[sdifoxj]/g, reorderable: true },
+    { type: 'printf', pattern: /%[sdifoxj]/g, reorderable: false },
+    // HTML 标签可以整体移动，但嵌套结构必须保持完整
+    { type: 'html', pattern: /<\/?[A-Za-z][\w-]*(?:\s[^<>]*)?\/?>/g, reorderable: true }
+];
+const TYPE_NAMES = {
+    link: 'Markdown 链接',
+    keybinding: '快捷键',
+    template: '模板占位符',
+    indexed: '占位符',
+    positional: '格式占位符',
+    printf: '格式占位符',
+    html: 'HTML 标签'
+};
+
+/**
+ * 占位符与标记检查
+ * 原文中的 {0}、%s、${name}、HTML 标签、Markdown 链接地址与 [Ctrl+K] 形式的快捷键必须原样保留在译文中，
+ * 译文不能多出原文中没有的占位符；未编号的 %s 不能调整顺序，HTML 标签的嵌套结构不能被打乱
+ */
+class PlaceholderChecker {
+    /**
+     * 按出现顺序提取文本中的占位符与标记
+     * @param {string} text 原文或译文
+     * @returns {Array<{type: string, token: string, key: string, index: number}>}
+     */
+    static extract(text) {
+        const tokens = [];
+        let masked = text;
+
+        for (const { type, pattern, key } of TOKEN_TYPES) {
+            for (const match of masked.matchAll(pattern)) {
+                tokens.push({ type, token: match[0], key: key ? key(match) : match[0], index: match.index });
+            }
+            // 用等长的空白盖住已提取的部分，保持位置不变
+            masked = masked.replace(pattern, matched => ' '.repeat(matched.length));
+        }
+
+        return tokens.sort((a, b) => a.index - b.index);
+    }
+
+    /**
+     * 比较原文与译文中的占位符与标记
+     * @param {string} source 英文原文
+     * @param {string} translation 译文
+     * @returns {Array<{kind: string, type: string, token: string}>} 问题列表，kind 为 missing / extra / reordered
+     */
+    static compare(source, translation) {
+        const sourceTokens = this.extract(source);
+        const targetTokens = this.extract(translation);
+        const problems = [];
+
+        const remaining = new Map();
+        for (const token of sourceTokens) {
+            remaining.set(token.key, [...(remaining.get(token.key) || []), token]);
+        }
+        for (const token of targetTokens) {
+            const pending = remaining.get(token.key);
+            if (pending && pending.length > 0) {
+                pending.shift();
+            } else {
+                problems.push({ kind: 'extra', type: token.type, token: token.token });
+            }
+        }
+        for (const pending of remaining.values()) {
+            pending.forEach(token => problems.push({ kind: 'missing', type: token.type, token: token.token }));
+        }
+        if (problems.length > 0) {
+            return problems;
+        }
+
+        // 数量一致时再检查顺序
+        for (const { type, reorderable } of TOKEN_TYPES) {
+            const sourceOrder = sourceTokens.filter(token => token.type === type).map(token => token.key);
+            const targetOrder = targetTokens.filter(token => token.type === type).map(token => token.key);
+            if (!reorderable && sourceOrder.join('\u0000') !== targetOrder.join('\u0000')) {
+                problems.push({ kind: 'reordered', type, token: targetOrder.join(' ') });
+            }
+        }
+        const sourceTags = sourceTokens.filter(token => token.type === 'html').map(token => token.token);
+        const targetTags = targetTokens.filter(token => token.type === 'html').map(token => token.token);
+        if (this.isWellFormed(sourceTags) && !this.isWellFormed(targetTags)) {
+            problems.push({ kind: 'reordered', type: 'html', token: targetTags.join(' ') });
+        }
+
+        return problems;
+    }
+
+    /**
+     * 检查一个词条的全部变体
+     * @param {string} source 英文原文
+     * @param {*} entry 翻译文件中的值
+     * @returns {Array<{kind: string, type: string, token: string, translation: string}>}
+     */
+    static checkEntry(source, entry) {
+        const problems = [];
+        for (const translation of new Set(TranslationEntry.getValues(entry))) {
+            if (typeof translation === 'string') {
+                this.compare(source, translation).forEach(problem => problems.push({ ...problem, translation }));
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * 判断 HTML 标签序列的嵌套是否完整，自闭合标签与 <br> 这类无需闭合的标签不参与判断
+     * @param {string[]} tags 按出现顺序排列的标签
+     * @returns {boolean}
+     */
+    static isWellFormed(tags) {
+        const stack = [];
+        for (const tag of tags) {
+            const name = tag.match(/^<\/?([A-Za-z][\w-]*)/)[1].toLowerCase();
+            if (tag.endsWith('/>') || ['br', 'hr', 'img', 'input', 'wbr'].includes(name)) {
+                continue;
+            }
+            if (!tag.startsWith('</')) {
+                stack.push(name);
+            } else if (stack.pop() !== name) {
+                return false;
+            }
+        }
+        return stack.length === 0;
+    }
+
+    /**
+     * 生成问题描述
+     * @param {{kind: string, type: string, token: string}} problem compare 返回的问题
+     * @returns {string}
+     */
+    static describe(problem) {
+        const name = TYPE_NAMES[problem.type];
+        if (problem.kind === 'missing') {
+            return `译文缺少${name} ${problem.token}`;
+        }
+        if (problem.kind === 'extra') {
+            return `译文包含原文中不存在的${name} ${problem.token}`;
+        }
+        return problem.type === 'html'
+            ? `译文中 HTML 标签的嵌套被打乱: ${problem.token}`
+            : `译文中${name}的顺序与原文不一致: ${problem.token}`;
+    }
+}
+
+module.exports = { PlaceholderChecker };
\ No newline at end of file
@@ -0,0 +1,289 @@
+const path = require('path');
+
+const { Logger, FileUtils } = require('./apply.js');
+const { LocaleManager } = require('./locale-manager.js');
+const { TranslationExchange } = require('./translation-exchange.js');
+const { TranslationMemory } = require('./translation-memory.js');
+
+const TRANSLATIONS_DIR = path.join(__dirname, '..', 'translations');
+const POT_FILE = 'cursor.pot';
+const EXTRACTION_REPORT_FILE = 'extraction-report.json';
+const OPTIONS_COMMENT = '该词条带有替换选项或上下文变体，导入时只更新主译文';
+const PO_ESCAPES = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' };
+
+/**
+ * Gettext PO/POT 导入导出
+ * msgctxt 为翻译分组，msgid 为英文原文；POT 由翻译文件与未翻译清单中的原文生成，提取报告中有位置的文本附带 #: 引用。
+ * PO 导出保留 fuzzy 草稿（#, fuzzy）与译者备注（# 注释，对应词条的 comment），导入时改动过的译文写入 yes-<语言>.json
+ */
+class PoConverter {
+    /**
+     * 生成 PO 或 POT 文档
+     * @param {string} locale 语言代码，生成 POT 时为 null
+     * @param {Array} units TranslationExchange.collectUnits 的结果
+     * @param {Map} references 原文 → #: 引用
+     * @returns {string}
+     */
+    static build(locale, units, references = new Map()) {
+        const header = [
+            'Project-Id-Version: cursor-translation',
+            `Language: ${locale ? LocaleManager.normalize(locale).replace(/-([a-z]{2})$/, (match, region) => `_${region.toUpperCase()}`) : ''}`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=UTF-8',
+            'Content-Transfer-Encoding: 8bit'
+        ].map(line => `${line}\n`).join('');
+        const blocks = [['msgid ""', ...formatString('msgstr', header)].join('\n')];
+
+        for (const unit of units) {
+            const lines = [];
+            if (locale && unit.comment) {
+                lines.push(...unit.comment.split('\n').map(line => (line ? `# ${line}` : '#')));
+            }
+            if (unit.hasOptions) {
+                lines.push(`#. ${OPTIONS_COMMENT}`);
+            }
+            if (references.has(unit.source)) {
+                lines.push(`#: ${references.get(unit.source)}`);
+            }
+            if (locale && unit.fuzzy) {
+                lines.push('#, fuzzy');
+            }
+            const target = locale && (unit.state === 'translated' || unit.fuzzy) ? unit.target : '';
+            lines.push(...formatString('msgctxt', unit.group), ...formatString('msgid', unit.source), ...formatString('msgstr', target));
+            blocks.push(lines.join('\n'));
+        }
+
+        return blocks.join('\n\n');
+    }
+
+    /**
+     * 解析 PO 文档
+     * @param {string} content PO 内容
+     * @returns {{language: string|null, units: Array<{group: string|null, source: string, target: string|null, state: string, comment: string}>, errors: string[]}}
+     */
+    static parse(content) {
+        const entries = [];
+        const errors = [];
+        let entry = null;
+        let field = null;
+
+        const finish = () => {
+            if (entry && entry.msgid !== undefined && !entry.obsolete) {
+                entries.push(entry);
+            }
+            entry = null;
+            field = null;
+        };
+        const current = () => (entry = entry || { comments: [], flags: [], line: 0 });
+
+        content.replace(/^\ufeff/, '').split(/\r?\n/).forEach((raw, index) => {
+            const line = raw.trim();
+            const lineNumber = index + 1;
+            if (line === '') {
+                finish();
+                return;
+            }
+            if (line.startsWith('#~')) {
+                current().obsolete = true;
+                return;
+            }
+            if (line.startsWith('#')) {
+                // 注释出现在 msgstr 之后，说明上一个词条已结束
+                if (field === 'msgstr') {
+                    finish();
+                }
+                if (line.startsWith('#,')) {
+                    current().flags.push(...line.slice(2).split(',').map(flag => flag.trim()));
+                } else if (!/^#[.:|]/.test(line)) {
+                    current().comments.push(raw.replace(/^#\s?/, ''));
+                } else {
+                    current();
+                }
+                return;
+            }
+
+            const match = line.match(/^(msgctxt|msgid|msgid_plural|msgstr(?:\[\d+\])?)\s+(".*")$/);
+            const text = match ? match[2] : line;
+            if (!/^".*"$/.test(text)) {
+                errors.push(`第 ${lineNumber} 行无法解析: ${line}`);
+                return;
+            }
+            const value = unescapePo(text.slice(1, -1));
+            if (match) {
+                // msgstr 之后出现新的 msgctxt 或 msgid，说明上一个词条已结束
+                if (field === 'msgstr' && (match[1] === 'msgctxt' || match[1] === 'msgid')) {
+                    finish();
+                }
+                current();
+                field = match[1].replace(/\[\d+\]$/, '');
+                if (match[1] !== field || field === 'msgid_plural') {
+                    entry.plural = true;
+                }
+                entry.line = entry.line || lineNumber;
+                entry[field] = value;
+            } else if (field) {
+                entry[field] += value;
+            } else {
+                errors.push(`第 ${lineNumber} 行的字符串不属于任何字段`);
+            }
+        });
+        finish();
+
+        const header = entries.find(item => item.msgid === '' && item.msgctxt === undefined);
+        const language = header && header.msgstr ? (header.msgstr.match(/^Language:\s*(\S*)\s*$/m) || [])[1] || null : null;
+        const units = [];
+        for (const item of entries) {
+            if (item === header) {
+                continue;
+            }
+            if (item.plural) {
+                errors.push(`第 ${item.line} 行: 不支持复数形式`);
+                continue;
+            }
+            units.push({
+                group: item.msgctxt === undefined ? null : item.msgctxt,
+                source: item.msgid,
+                target: item.msgstr ? item.msgstr : null,
+                state: item.flags.includes('fuzzy') ? 'initial' : 'translated',
+                comment: item.comments.join('\n')
+            });
+        }
+
+        return { language, units, errors };
+    }
+
+    /**
+     * 读取提取报告中各文本在 JS 文件中的位置，作为 #: 引用
+     * @returns {Map} 原文 → "文件名:行号"
+     */
+    static loadReferences() {
+        const report = TranslationMemory.readJson(path.join(TRANSLATIONS_DIR, EXTRACTION_REPORT_FILE), null);
+        const references = new Map();
+        if (!report || !Array.isArray(report.untranslated)) {
+            return references;
+        }
+
+        const fileName = path.basename(report.targetFile || 'workbench.desktop.main.js');
+        for (const item of report.untranslated) {
+            if (Number.isInteger(item.line)) {
+                references.set(item.text, `${fileName}:${item.line}`);
+            }
+        }
+        return references;
+    }
+
+    /**
+     * 导出 POT 模板或 PO 文件
+     * @param {Object} options { command, locale, output }
+     * @returns {boolean} 是否成功
+     */
+    static exportFile(options) {
+        const units = TranslationExchange.collectUnits(options.locale);
+        if (!units) {
+            Logger.error(`无法读取翻译文件: ${LocaleManager.getTranslationFile(options.locale)}`);
+            return false;
+        }
+
+        const isTemplate = options.command === 'pot';
+        const output = path.resolve(options.output || path.join(TRANSLATIONS_DIR, isTemplate ? POT_FILE : `${options.locale}.po`));
+        const references = this.loadReferences();
+        if (!FileUtils.safeWriteFile(output, this.build(isTemplate ? null : options.locale, units, references))) {
+            return false;
+        }
+
+        if (isTemplate) {
+            Logger.success(`已生成 POT 模板，共 ${units.length} 条原文（其中 ${units.filter(unit => references.has(unit.source)).length} 条带位置引用）: ${output}`);
+        } else {
+            const fuzzy = units.filter(unit => unit.fuzzy).length;
+            const untranslated = units.filter(unit => unit.state === 'initial' && !unit.fuzzy).length;
+            Logger.success(`已导出 ${units.length} 条词条（待翻译 ${untranslated}，fuzzy ${fuzzy}）: ${output}`);
+        }
+        return true;
+    }
+
+    /**
+     * 导入 PO 文件
+     * @param {Object} options { locale, file, merge }
+     * @returns {boolean} 是否成功
+     */
+    static importFile(options) {
+        const content = FileUtils.safeReadFile(options.file);
+        if (content === null) {
+            Logger.error(`无法读取文件: ${options.file}`);
+            return false;
+        }
+
+        const parsed = this.parse(content);
+        if (parsed.language && (!LocaleManager.isValid(parsed.language) || LocaleManager.normalize(parsed.language) !== options.locale)) {
+            Logger.error(`PO 文件的语言 ${parsed.language} 与 ${options.locale} 不一致，请使用 --locale 指定语言`);
+            return false;
+        }
+        parsed.errors.forEach(error => Logger.error(`跳过无法导入的内容 ${error}`));
+
+        const result = TranslationExchange.stageUnits(options.locale, parsed.units);
+        return !!result && TranslationExchange.finishImport(options.locale, result, options.merge);
+    }
+
+    /**
+     * 解析命令行参数
+     * @param {string[]} args 命令行参数
+     * @returns {{command: string, file: string, locale: string, output: string|null, merge: boolean}}
+     */
+    static parseArgs(args) {
+        const { locale, args: rest } = LocaleManager.parseArgs(args);
+        const outputIndex = rest.indexOf('--output');
+        const output = outputIndex === -1 ? null : rest.splice(outputIndex, 2)[1];
+        const merge = rest.includes('--merge');
+        const positional = rest.filter(arg => arg !== '--merge');
+        return { command: positional[0], file: positional[1], locale, output, merge };
+    }
+}
+
+/**
+ * 按 PO 格式写出字段，含换行的字符串从空字符串开始、每行在 \n 之后断开
+ * @param {string} keyword 字段名
+ * @param {string} text 字段值
+ * @returns {string[]} 行
+ */
+function formatString(keyword, text) {
+    const escape = value => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\t/g, '\\t').replace(/\r/g, '\\r');
+    const parts = text.split(/(?<=\n)/);
+    if (parts.length <= 1) {
+        return [`${keyword} "${escape(text)}"`];
+    }
+    return [`${keyword} ""`, ...parts.map(part => `"${escape(part)}"`)];
+}
+
+/**
+ * 还原 PO 字符串中的转义
+ * @param {string} text 引号内的内容
+ * @returns {string}
+ */
+function unescapePo(text) {
+    return text.replace(/\\(.)/g, (match, char) => (char in PO_ESCAPES ? PO_ESCAPES[char] : char));
+}
+
+function main() {
+    console.log('--- PO 导入导出工具 ---');
+    const options = PoConverter.parseArgs(process.argv.slice(2));
+
+    let success;
+    if (options.command === 'pot' || options.command === 'export') {
+        success = PoConverter.exportFile(options);
+    } else if (options.command === 'import' && options.file) {
+        success = PoConverter.importFile(options);
+    } else {
+        Logger.error('用法: npm run po:pot | npm run po:export -- [--output 文件] | npm run po:import -- <文件> [--merge]');
+        success = false;
+    }
+
+    if (!success) {
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { PoConverter };
\ No newline at end of file
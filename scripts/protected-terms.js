@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+
+const { JsonReader } = require('./json-reader.js');
+
+const TERMS_FILE = path.join(__dirname, '..', 'translations', 'protected-terms.json');
+// 术语前后不能紧接字母或数字，避免 "ID" 命中 "IDE"
+const WORD_CHAR = 'A-Za-z0-9';
+
+/**
+ * 受保护的术语
+ * translations/protected-terms.json 中列出的产品名、技术名词（terms）与快捷键写法（patterns，正则表达式）
+ * 不应被翻译：原文中出现的受保护术语必须原样出现在译文中，原文本身就是受保护术语的词条不会被替换
+ */
+class ProtectedTerms {
+    static cache = null;
+
+    /**
+     * 读取受保护术语列表
+     * @returns {{terms: Array<{term: string, pattern: RegExp}>, patterns: RegExp[]}} 文件不存在时返回空列表
+     * @throws {Error} 文件格式无效时抛出
+     */
+    static load() {
+        if (this.cache) {
+            return this.cache;
+        }
+
+        const raw = fs.existsSync(TERMS_FILE) ? JsonReader.parseConfig(fs.readFileSync(TERMS_FILE, 'utf-8'), TERMS_FILE) : {};
+        const terms = (raw.terms || []).map(term => ({
+            term,
+            pattern: new RegExp(`(?<![${WORD_CHAR}])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![${WORD_CHAR}])`)
+        }));
+        const patterns = (raw.patterns || []).map(pattern => new RegExp(pattern, 'g'));
+
+        this.cache = { terms, patterns };
+        return this.cache;
+    }
+
+    /**
+     * 找出文本中出现的受保护术语与快捷键
+     * @param {string} text 英文原文
+     * @returns {string[]} 出现的术语及快捷键原文（去重）
+     */
+    static findInSource(text) {
+        const { terms, patterns } = this.load();
+        const found = terms.filter(item => item.pattern.test(text)).map(item => item.term);
+        for (const pattern of patterns) {
+            found.push(...(text.match(pattern) || []));
+        }
+        return [...new Set(found)];
+    }
+
+    /**
+     * 找出译文中缺失的受保护术语
+     * @param {string} source 英文原文
+     * @param {string} translation 译文
+     * @returns {string[]} 原文中出现但译文中没有原样保留的术语
+     */
+    static findMissing(source, translation) {
+        return this.findInSource(source).filter(term => !translation.includes(term));
+    }
+
+    /**
+     * 判断文本本身是否就是受保护术语或快捷键，这类字面量不单独翻译
+     * @param {string} text 文本
+     * @returns {boolean}
+     */
+    static isProtected(text) {
+        const { terms, patterns } = this.load();
+        return terms.some(item => item.term === text)
+            || patterns.some(pattern => (text.match(pattern) || []).includes(text));
+    }
+
+    /**
+     * 去掉文本中的受保护术语与快捷键，用于判断其余部分是否仍需翻译
+     * @param {string} text 文本
+     * @returns {string}
+     */
+    static strip(text) {
+        const { terms, patterns } = this.load();
+        let result = text;
+        // 先去掉较长的术语，避免 "API Key" 只去掉 "API"
+        for (const item of [...terms].sort((a, b) => b.term.length - a.term.length)) {
+            result = result.replace(new RegExp(item.pattern.source, 'g'), ' ');
+        }
+        for (const pattern of patterns) {
+            result = result.replace(pattern, ' ');
+        }
+        return result;
+    }
+}
+
+module.exports = { ProtectedTerms };
\ No newline at end of file
@@ -0,0 +1,231 @@
+const path = require('path');
+
+const { Logger, FileUtils, CursorPathFinder, TranslationProcessor, BackupManager, ChecksumManager } = require('./apply.js');
+const { LiteralMatcher } = require('./literal-matcher.js');
+const { TranslationEntry } = require('./translation-entry.js');
+const { LocaleManager, DEFAULT_LOCALE } = require('./locale-manager.js');
+const { RISKY_CONTEXTS, DISPLAY_CONTEXTS, NEUTRAL_CONTEXTS } = require('./usage-classifier.js');
+
+const REPORT_FILE = 'reverse-report.json';
+// 译文可能位于任何位置（包括被强制替换的位置），反向还原时不做用途限制
+const ALL_CONTEXTS = [...RISKY_CONTEXTS, ...DISPLAY_CONTEXTS, ...NEUTRAL_CONTEXTS];
+// 模板表达式中的嵌套替换需要多轮才能全部还原
+const MAX_PASSES = 3;
+const NON_ASCII = /[^\x00-\x7f]/;
+
+/**
+ * 反向补丁
+ * 备份文件丢失时，根据翻译文件把字面量中的译文及双语模式的 "原文\n译文" 还原为英文原文；
+ * 补丁状态中记录了实际替换过的词条时，只还原这些词条，以消除多个原文共用同一译文造成的歧义
+ */
+class ReversePatcher {
+    /**
+     * 构建 译文 → 原文 的反向映射
+     * @param {Object} translations 扁平化后的翻译映射
+     * @param {Object|null} replaced 补丁状态中记录的已替换词条 { 原文: 次数 }
+     * @returns {{translations: Object, ambiguous: Array, unsupported: string[]}}
+     */
+    static buildReverseTranslations(translations, replaced = null) {
+        const originalsByKey = new Map();
+        const unsupported = [];
+        const add = (key, original) => {
+            if (!originalsByKey.has(key)) {
+                originalsByKey.set(key, new Set());
+            }
+            originalsByKey.get(key).add(original);
+        };
+
+        for (const [original, entry] of Object.entries(translations)) {
+            if (replaced && !(original in replaced)) {
+                continue;
+            }
+
+            const isTemplate = LiteralMatcher.splitPlaceholders(original).placeholders.length > 0;
+            for (const value of new Set(TranslationEntry.getValues(entry))) {
+                if (!value || (value === original && isTemplate)) {
+                    continue;
+                }
+                // 不含非 ASCII 字符的译文可能与代码中真实的英文字符串相同，直接模式下不做还原；
+                // 译文与原文相同时直接模式不会改动文件，但旧版本的双语模式会写入 "原文\n原文"，仍需还原
+                if (value !== original && NON_ASCII.test(value)) {
+                    add(value, original);
+                }
+                // 旧版本在双语模式下会为模板重复输出 ${} 表达式，无法按占位符还原；现在双语模式的模板只输出译文，已按直接译文还原
+                if (isTemplate) {
+                    unsupported.push(original);
+                } else {
+                    add(`${original}\n${value}`, original);
+                }
+            }
+        }
+
+        const reverse = {};
+        const ambiguous = [];
+        for (const [key, originals] of originalsByKey) {
+            if (originals.size === 1) {
+                reverse[key] = { value: [...originals][0], force: ALL_CONTEXTS };
+            } else {
+                ambiguous.push({ translated: key, originals: [...originals] });
+            }
+        }
+
+        return { translations: reverse, ambiguous, unsupported: [...new Set(unsupported)] };
+    }
+
+    /**
+     * 对内容执行反向替换
+     * @param {string} content 已汉化的 JS 文件内容
+     * @param {Object} translations 扁平化后的翻译映射
+     * @param {Object|null} replaced 补丁状态中记录的已替换词条
+     * @returns {{content: string, reversed: Object, ambiguous: Array, unsupported: string[], errors: string[]}}
+     */
+    static reverse(content, translations, replaced = null) {
+        const reverseMap = this.buildReverseTranslations(translations, replaced);
+        const matcher = new LiteralMatcher(reverseMap.translations);
+        const reversed = {};
+
+        for (let pass = 0; pass < MAX_PASSES; pass++) {
+            const result = matcher.replace(content, 'direct');
+            if (result.replacementsCount === 0) {
+                break;
+            }
+
+            content = result.content;
+            for (const [translated, count] of Object.entries(result.hitCounts)) {
+                if (count > 0) {
+                    const original = reverseMap.translations[translated].value;
+                    reversed[original] = (reversed[original] || 0) + count;
+                }
+            }
+        }
+
+        return {
+            content,
+            reversed,
+            ambiguous: reverseMap.ambiguous,
+            unsupported: reverseMap.unsupported,
+            errors: matcher.invalidEntries.map(invalid => `译文 "${invalid.original}" 无法反向还原: ${invalid.reason}`)
+        };
+    }
+
+    /**
+     * 写入反向还原报告
+     * @param {string} projectRoot 项目根目录
+     * @param {Object} report 报告内容
+     * @returns {string|null} 报告路径，写入失败时返回 null
+     */
+    static writeReport(projectRoot, report) {
+        const reportPath = path.join(projectRoot, 'translations', REPORT_FILE);
+        return FileUtils.safeWriteFile(reportPath, JSON.stringify(report, null, 2)) ? reportPath : null;
+    }
+
+    /**
+     * 在没有备份的情况下还原目标文件
+     * @param {string} cursorPath Cursor 安装路径
+     * @param {Object} translations 扁平化后的翻译映射，未提供时读取翻译文件
+     * @param {string} locale 语言代码，补丁状态中记录了语言时以记录为准
+     * @returns {boolean} 是否还原成功
+     */
+    static restore(cursorPath, translations = null, locale = DEFAULT_LOCALE) {
+        const projectRoot = path.resolve(__dirname, '..');
+        const { appPath, targetFile } = CursorPathFinder.getPlatformPaths(cursorPath);
+        const state = BackupManager.loadState(targetFile);
+
+        translations = translations || TranslationProcessor.loadTranslations(projectRoot, (state && state.locale) || locale);
+        if (!translations) {
+            Logger.error('无法加载翻译文件，无法反向还原');
+            return false;
+        }
+
+        const content = FileUtils.safeReadFile(targetFile);
+        if (content === null) {
+            Logger.error(`无法读取目标文件: ${targetFile}`);
+            return false;
+        }
+
+        // 仅当补丁状态对应当前文件时才使用其中的替换记录
+        const useState = !!state && !!state.replaced && state.patchedHash === BackupManager.hashContent(content);
+        if (useState) {
+            Logger.info(`使用补丁状态中记录的 ${Object.keys(state.replaced).length} 个已替换词条`);
+        }
+
+        const result = this.reverse(content, translations, useState ? state.replaced : null);
+        const reversedCount = Object.values(result.reversed).reduce((sum, count) => sum + count, 0);
+        const remaining = BackupManager.checkPristine(result.content, null, {
+            translatedRuns: BackupManager.collectTranslatedRuns(translations)
+        });
+
+        const reportPath = this.writeReport(projectRoot, {
+            targetFile,
+            usedPatchState: useState,
+            reversedCount,
+            reversed: result.reversed,
+            ambiguous: result.ambiguous,
+            unsupported: result.unsupported,
+            errors: result.errors,
+            remaining: remaining.reasons
+        });
+
+        if (result.ambiguous.length > 0) {
+            Logger.warning(`有 ${result.ambiguous.length} 个译文对应多个英文原文，无法确定还原目标，已保留译文`);
+        }
+        if (reportPath) {
+            Logger.info(`反向还原报告: ${reportPath}`);
+        }
+
+        if (reversedCount === 0) {
+            Logger.error('未能还原任何译文');
+            return false;
+        }
+
+        const syntax = FileUtils.checkSyntax(result.content, targetFile);
+        if (!syntax.valid) {
+            Logger.error(`反向还原后的文件无法通过语法检查，未写入: ${syntax.error.message}`);
+            return false;
+        }
+
+        if (!FileUtils.safeWriteFile(targetFile, result.content)) {
+            return false;
+        }
+        // 原补丁状态已与文件不符，删除后下次应用汉化时重新记录
+        BackupManager.removeFile(BackupManager.getStateFile(targetFile));
+        // 仍有残留汉化内容时文件与原始版本不同，还原 product.json 会使校验和不匹配，需按当前文件重新计算
+        const productUpdated = remaining.pristine
+            ? ChecksumManager.restoreProduct(appPath, [targetFile])
+            : ChecksumManager.updateChecksums(appPath, [targetFile]);
+        if (!productUpdated) {
+            Logger.warning('product.json 未能更新，Cursor 可能提示安装已损坏');
+        }
+
+        Logger.success(`已反向还原 ${Object.keys(result.reversed).length} 个词条，共 ${reversedCount} 处。`);
+        if (!remaining.pristine) {
+            Logger.warning('文件中仍残留汉化内容，建议重新安装 Cursor 获取原始文件:');
+            remaining.reasons.forEach(reason => Logger.warning(`  - ${reason}`));
+        }
+
+        Logger.success('\n[SUCCESS] 反向还原完成！请重启 Cursor。');
+        return true;
+    }
+}
+
+function main() {
+    console.log('--- 反向还原工具 ---');
+    const { locale, args } = LocaleManager.parseArgs(process.argv.slice(2));
+    const pathArg = args[0];
+
+    const cursorPath = CursorPathFinder.findCursorPath(pathArg);
+    if (!cursorPath) {
+        Logger.error('无法找到 Cursor 安装路径');
+        process.exit(1);
+    }
+
+    if (!ReversePatcher.restore(cursorPath, null, locale)) {
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { ReversePatcher };
\ No newline at end of file
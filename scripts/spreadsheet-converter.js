@@ -0,0 +1,318 @@
+const fs = require('fs');
+const path = require('path');
+
+const { Logger, FileUtils } = require('./apply.js');
+const { LocaleManager } = require('./locale-manager.js');
+const { MatchHistory } = require('./match-history.js');
+const { TranslationExchange } = require('./translation-exchange.js');
+
+const TRANSLATIONS_DIR = path.join(__dirname, '..', 'translations');
+const COLUMNS = ['group', 'source', 'translation', 'status', 'notes', 'hits'];
+const REQUIRED_COLUMNS = ['group', 'source', 'translation'];
+const STATUSES = ['translated', 'untranslated', 'fuzzy'];
+const DELIMITERS = { csv: ',', tsv: '\t' };
+// 导出时写入 BOM，Excel 才能正确识别 UTF-8
+const UTF8_BOM = '\ufeff';
+
+/**
+ * 表格导入导出
+ * 把全部分组导出为 CSV/TSV 供审校（列：group、source、translation、status、notes、hits），
+ * 导入时先检查表格（编码、列、未知分组、被改动的原文、重复行），全部通过后才把改动的译文写入 yes-<语言>.json
+ */
+class SpreadsheetConverter {
+    /**
+     * 生成表格内容
+     * @param {Array} units TranslationExchange.collectUnits 的结果
+     * @param {Object} hits 原文 → 最近一次应用汉化时的替换次数
+     * @param {string} delimiter 分隔符
+     * @returns {string}
+     */
+    static build(units, hits, delimiter) {
+        const rows = [COLUMNS];
+        for (const unit of units) {
+            const status = unit.fuzzy ? 'fuzzy' : unit.state === 'translated' ? 'translated' : 'untranslated';
+            const translation = unit.state === 'translated' || unit.fuzzy ? unit.target : '';
+            rows.push([unit.group, unit.source, translation, status, unit.comment, unit.source in hits ? String(hits[unit.source]) : '']);
+        }
+        return UTF8_BOM + rows.map(row => row.map(field => quoteField(field, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * 按 RFC 4180 解析表格，引号内可以包含分隔符、引号（写作两个引号）与换行
+     * @param {string} content 表格内容
+     * @param {string} delimiter 分隔符
+     * @returns {Array<{fields: string[], line: number}>} 行，line 为该行在文件中的起始行号
+     * @throws {Error} 引号未闭合时抛出
+     */
+    static parse(content, delimiter) {
+        const rows = [];
+        let fields = [];
+        let field = '';
+        let quoted = false;
+        let line = 1;
+        let rowLine = 1;
+
+        const endRow = () => {
+            fields.push(field);
+            // 跳过空行
+            if (fields.length > 1 || fields[0] !== '') {
+                rows.push({ fields, line: rowLine });
+            }
+            fields = [];
+            field = '';
+        };
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            if (quoted) {
+                if (char === '"' && content[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n') {
+                        line++;
+                    }
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                fields.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') {
+                    i++;
+                }
+                endRow();
+                rowLine = ++line;
+            } else {
+                field += char;
+            }
+        }
+        if (quoted) {
+            throw new Error(`第 ${rowLine} 行的引号未闭合`);
+        }
+        if (field !== '' || fields.length > 0) {
+            endRow();
+        }
+
+        return rows;
+    }
+
+    /**
+     * 读取表格文件并检查编码：去掉 UTF-8 BOM，UTF-16 文件（Excel 的“Unicode 文本”）按 UTF-16 读取
+     * @param {string} filePath 文件路径
+     * @returns {string}
+     * @throws {Error} 不是有效的 UTF-8 或 UTF-16 文件时抛出
+     */
+    static readText(filePath) {
+        const buffer = fs.readFileSync(filePath);
+        if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+            return buffer.toString('utf16le').slice(1);
+        }
+        if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+            throw new Error('不支持 UTF-16 BE 编码，请另存为 UTF-8');
+        }
+
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\ufeff/, '');
+        } catch (error) {
+            throw new Error('文件不是有效的 UTF-8 编码（可能被另存为 GBK 等本地编码），请另存为 UTF-8 CSV');
+        }
+    }
+
+    /**
+     * 检查表格并转换为导入单元
+     * @param {Array<{fields: string[], line: number}>} rows parse 的结果
+     * @param {Map} known TranslationExchange.getKnownSources 的结果
+     * @returns {{units: Array, errors: string[]}}
+     */
+    static validate(rows, known) {
+        const errors = [];
+        if (rows.length === 0) {
+            return { units: [], errors: ['表格为空'] };
+        }
+
+        const header = rows[0].fields.map(name => name.trim().toLowerCase());
+        const missing = REQUIRED_COLUMNS.filter(name => !header.includes(name));
+        if (missing.length > 0) {
+            return { units: [], errors: [`表头缺少列: ${missing.join(', ')}`] };
+        }
+        const column = name => header.indexOf(name);
+
+        const units = [];
+        const seen = new Map();
+        for (const { fields, line } of rows.slice(1)) {
+            if (fields.length !== header.length) {
+                errors.push(`第 ${line} 行有 ${fields.length} 列，表头有 ${header.length} 列`);
+                continue;
+            }
+            const read = name => (column(name) === -1 ? undefined : fields[column(name)]);
+            const group = read('group');
+            const source = read('source');
+            const status = (read('status') || '').trim() || undefined;
+
+            if (!known.has(group)) {
+                errors.push(`第 ${line} 行: 未知的分组 "${group}"`);
+                continue;
+            }
+            if (!known.get(group).has(source)) {
+                errors.push(`第 ${line} 行: 分组 "${group}" 中没有原文 "${source}"，原文不能修改`);
+                continue;
+            }
+            if (status !== undefined && !STATUSES.includes(status)) {
+                errors.push(`第 ${line} 行: 未知的状态 "${status}"，可用: ${STATUSES.join(', ')}`);
+                continue;
+            }
+            const key = `${group}\u0000${source}`;
+            if (seen.has(key)) {
+                errors.push(`第 ${line} 行与第 ${seen.get(key)} 行重复: ${group} / "${source}"`);
+                continue;
+            }
+            seen.set(key, line);
+
+            const translation = read('translation');
+            units.push({
+                group,
+                source,
+                target: translation === '' ? null : translation,
+                state: status === 'fuzzy' ? 'initial' : 'translated',
+                comment: read('notes')
+            });
+        }
+
+        return { units, errors };
+    }
+
+    /**
+     * 根据文件扩展名或参数确定格式
+     * @param {string|null} format --format 参数
+     * @param {string|null} filePath 文件路径
+     * @returns {string} csv 或 tsv
+     */
+    static resolveFormat(format, filePath) {
+        if (format) {
+            return format;
+        }
+        return filePath && /\.(tsv|tab|txt)$/i.test(filePath) ? 'tsv' : 'csv';
+    }
+
+    /**
+     * 导出表格
+     * @param {Object} options { locale, format, output }
+     * @returns {boolean} 是否成功
+     */
+    static exportFile(options) {
+        const units = TranslationExchange.collectUnits(options.locale);
+        if (!units) {
+            Logger.error(`无法读取翻译文件: ${LocaleManager.getTranslationFile(options.locale)}`);
+            return false;
+        }
+
+        const format = this.resolveFormat(options.format, options.output);
+        const output = path.resolve(options.output || path.join(TRANSLATIONS_DIR, `${options.locale}.${format}`));
+        const latest = MatchHistory.getLatest(options.locale);
+        if (!FileUtils.safeWriteFile(output, this.build(units, latest ? latest.hits : {}, DELIMITERS[format]))) {
+            return false;
+        }
+
+        Logger.success(`已导出 ${units.length} 行${latest ? `（替换次数来自 ${latest.version} 版本）` : ''}: ${output}`);
+        return true;
+    }
+
+    /**
+     * 导入审校后的表格，检查不通过时不写入任何内容
+     * @param {Object} options { locale, file, format, merge }
+     * @returns {boolean} 是否成功
+     */
+    static importFile(options) {
+        const known = TranslationExchange.getKnownSources(options.locale);
+        if (!known) {
+            Logger.error(`无法读取翻译文件: ${LocaleManager.getTranslationFile(options.locale)}`);
+            return false;
+        }
+
+        let rows;
+        try {
+            rows = this.parse(this.readText(options.file), DELIMITERS[this.resolveFormat(options.format, options.file)]);
+        } catch (error) {
+            Logger.error(`无法读取表格 ${options.file}: ${error.message}`);
+            return false;
+        }
+
+        const { units, errors } = this.validate(rows, known);
+        if (errors.length > 0) {
+            console.log(`\n表格检查未通过 (${errors.length} 处)，未导入任何内容:`);
+            errors.forEach(error => console.log(`  - ${error}`));
+            return false;
+        }
+
+        const result = TranslationExchange.stageUnits(options.locale, units);
+        return !!result && TranslationExchange.finishImport(options.locale, result, options.merge);
+    }
+
+    /**
+     * 解析命令行参数
+     * @param {string[]} args 命令行参数
+     * @returns {{command: string, file: string, locale: string, format: string|null, output: string|null, merge: boolean}}
+     */
+    static parseArgs(args) {
+        const { locale, args: rest } = LocaleManager.parseArgs(args);
+        const readOption = name => {
+            const index = rest.indexOf(name);
+            return index === -1 ? null : rest.splice(index, 2)[1];
+        };
+
+        const output = readOption('--output');
+        const format = readOption('--format');
+        const merge = rest.includes('--merge');
+        const positional = rest.filter(arg => arg !== '--merge');
+        return { command: positional[0], file: positional[1], locale, format, output, merge };
+    }
+}
+
+/**
+ * 按需为字段加引号：包含分隔符、引号、换行或首尾空白时加引号，引号写作两个引号
+ * @param {string} field 字段
+ * @param {string} delimiter 分隔符
+ * @returns {string}
+ */
+function quoteField(field, delimiter) {
+    const text = field === undefined || field === null ? '' : String(field);
+    if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+function main() {
+    console.log('--- 表格导入导出工具 ---');
+    const options = SpreadsheetConverter.parseArgs(process.argv.slice(2));
+
+    if (options.format && !DELIMITERS[options.format]) {
+        Logger.error('参数无效: --format 只能是 csv 或 tsv');
+        process.exit(1);
+    }
+
+    let success;
+    if (options.command === 'export') {
+        success = SpreadsheetConverter.exportFile(options);
+    } else if (options.command === 'import' && options.file) {
+        success = SpreadsheetConverter.importFile(options);
+    } else {
+        Logger.error('用法: npm run sheet:export -- [--format csv|tsv] [--output 文件] | npm run sheet:import -- <文件> [--merge]');
+        success = false;
+    }
+
+    if (!success) {
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { SpreadsheetConverter };
\ No newline at end of file
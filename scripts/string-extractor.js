@@ -0,0 +1,409 @@
+const path = require('path');
+
+const { Logger, FileUtils, CursorPathFinder, TranslationProcessor, BackupManager } = require('./apply.js');
+const { LiteralMatcher } = require('./literal-matcher.js');
+const { UsageClassifier } = require('./usage-classifier.js');
+const { LocaleManager } = require('./locale-manager.js');
+const { JsonReader } = require('./json-reader.js');
+
+// 写入未翻译清单时使用的分组名，翻译验证重新生成清单时会保留该分组
+const EXTRACTED_GROUP = 'untranslated';
+const REPORT_FILE = 'extraction-report.json';
+const DEFAULT_LIMIT = 500;
+// 界面文本很少超过这个长度，更长的字面量多为内嵌的代码或数据
+const MAX_TEXT_LENGTH = 200;
+const MAX_RAW_LENGTH = MAX_TEXT_LENGTH * 6;
+const SNIPPET_RADIUS = 40;
+const MIN_SCORE = 3;
+
+const URL_PATTERN = /:\/\/|^www\.|^mailto:|^data:/i;
+const PATH_PATTERN = /^[\w.@-]*\/[\w./@-]*$/;
+const CSS_PATTERN = /^[.#][\w-]|[\w-]+\s*:\s*[^:]+;|\d(px|em|rem|vh|vw|ms)\b|rgba?\(|var\(--|^(flex|grid|none|auto|inherit|absolute|relative)$/;
+const MARKUP_PATTERN = /<\/?[a-z][\w-]*[\s>/]|&[a-z]+;/i;
+const CODE_PATTERN = /[{};=]|=>|\(\)|\$\{|^\W/;
+const IDENTIFIER_PATTERN = /^[a-z][\w$]*$|^[A-Z][A-Z0-9_]+$|^[\w$]+(\.[\w$]+)+$|^[a-z0-9]+(-[a-z0-9]+)+$|^[\w$]*_[\w$]*$|^[a-z]+[A-Z][\w$]*$/;
+const TRANSLATED_PATTERN = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/;
+const WORD_PATTERN = /[A-Za-z][A-Za-z']*/g;
+const SENTENCE_END = /[.!?…:]$/;
+// 夹在文本中的路径与驼峰标识符，占比过高时多为拼接的代码而非界面文本
+const CODE_TOKEN = /\/|[a-z][A-Z]/;
+const MAX_CODE_TOKEN_RATIO = 0.3;
+
+/**
+ * 界面文本提取器
+ * 扫描已安装 Cursor 的 workbench.desktop.main.js，按文本特征与所在位置挑出疑似界面文本的英文字面量，
+ * 排除标识符、URL、路径与 CSS，并把尚未出现在任何翻译分组中的文本按优先级写入未翻译清单
+ */
+class StringExtractor {
+    /**
+     * 判断文本是否可能是界面文本并打分，分数越高越可能是界面文本
+     * @param {string} text 解码后的字面量文本
+     * @returns {number} 分数，明显不是界面文本时返回 0
+     */
+    static scoreText(text) {
+        const trimmed = text.trim();
+        if (trimmed.length < 2 || trimmed.length > MAX_TEXT_LENGTH || trimmed !== text) {
+            return 0;
+        }
+        if (TRANSLATED_PATTERN.test(text) || URL_PATTERN.test(text) || PATH_PATTERN.test(text) ||
+            CSS_PATTERN.test(text) || MARKUP_PATTERN.test(text) || CODE_PATTERN.test(text) || IDENTIFIER_PATTERN.test(text)) {
+            return 0;
+        }
+
+        const words = text.match(WORD_PATTERN) || [];
+        const letters = words.join('').length;
+        // 以字母组成的单词为主体，数字与符号只占少数
+        if (words.length === 0 || letters / text.replace(/\s/g, '').length < 0.6) {
+            return 0;
+        }
+
+        const tokens = text.split(/\s+/);
+        if (tokens.filter(token => CODE_TOKEN.test(token)).length / tokens.length > MAX_CODE_TOKEN_RATIO) {
+            return 0;
+        }
+
+        let score = 0;
+        if (words.length === 1) {
+            // 单个单词只有首字母大写（如 "Settings"）时才可能是界面文本
+            if (!/^[A-Z][a-z]+$/.test(words[0])) {
+                return 0;
+            }
+            score += 1;
+        } else {
+            score += Math.min(words.length, 6);
+        }
+        if (/^[A-Z]/.test(text)) {
+            score += 1;
+        }
+        if (SENTENCE_END.test(text)) {
+            score += 1;
+        }
+        if (/\s/.test(text) && words.every(word => word.length <= 20)) {
+            score += 1;
+        }
+
+        return score;
+    }
+
+    /**
+     * 根据字面量所在位置调整分数，高风险位置（对象键、比较、事件名等）不是界面文本
+     * @param {number} score 文本分数
+     * @param {{context: string, category: string}} usage 用途
+     * @returns {number}
+     */
+    static scoreUsage(score, usage) {
+        if (usage.category === 'risky') {
+            return 0;
+        }
+        return usage.category === 'display' ? score + 3 : score;
+    }
+
+    /**
+     * 记录一处提取结果，同一文本合并计数
+     * @param {Map} found 提取结果
+     * @param {string} text 文本
+     * @param {string} content JS 文件内容
+     * @param {number} start 起始引号位置
+     * @param {number} end 结束引号之后的位置
+     */
+    static record(found, text, content, start, end) {
+        const score = this.scoreText(text.replace(/\$\{\d+\}/g, 'X'));
+        if (score === 0) {
+            return;
+        }
+
+        const usage = UsageClassifier.classify(content, start, end);
+        const total = this.scoreUsage(score, usage);
+        if (total === 0) {
+            return;
+        }
+
+        const existing = found.get(text);
+        if (existing) {
+            existing.count++;
+            existing.score = Math.max(existing.score, total);
+            existing.contexts.add(usage.context);
+            return;
+        }
+
+        found.set(text, {
+            text,
+            count: 1,
+            score: total,
+            contexts: new Set([usage.context]),
+            offset: start,
+            snippet: content.slice(Math.max(0, start - SNIPPET_RADIUS), end + SNIPPET_RADIUS).replace(/\s+/g, ' ')
+        });
+    }
+
+    /**
+     * 扫描内容中的全部字符串字面量与模板字符串，含 ${} 的模板以 ${0}、${1} 占位符表示
+     * @param {string} content JS 文件内容
+     * @returns {Map} 文本 → { text, count, score, contexts, offset, snippet }
+     */
+    static scan(content) {
+        const scanner = new LiteralMatcher({});
+        const found = new Map();
+        const quotePattern = /["'`]/g;
+        let match;
+
+        while ((match = quotePattern.exec(content)) !== null) {
+            const quote = match[0];
+            const start = match.index + 1;
+
+            if (quote === '`') {
+                const template = scanner.parseTemplate(content, start, MAX_RAW_LENGTH);
+                if (!template) {
+                    continue;
+                }
+                const cooked = template.quasis.map(quasi => LiteralMatcher.decodeLiteral(content.slice(quasi.start, quasi.end), true));
+                if (!cooked.includes(null)) {
+                    const text = cooked.reduce((result, quasi, index) => (index === 0 ? quasi : `${result}\${${index - 1}}${quasi}`), '');
+                    this.record(found, text, content, match.index, template.end + 1);
+                }
+                quotePattern.lastIndex = template.end + 1;
+                continue;
+            }
+
+            const end = scanner.findLiteralEnd(content, quote, start, MAX_RAW_LENGTH);
+            if (end === -1) {
+                continue;
+            }
+
+            const text = LiteralMatcher.decodeLiteral(content.slice(start, end));
+            if (text !== null) {
+                this.record(found, text, content, match.index, end + 1);
+            }
+            quotePattern.lastIndex = end + 1;
+        }
+
+        return found;
+    }
+
+    /**
+     * 找出内容中疑似界面文本的字面量
+     * @param {string} content JS 文件内容
+     * @returns {Array} 提取结果 { text, count, score, contexts, offset, snippet }
+     */
+    static findUiStrings(content) {
+        return [...this.scan(content).values()].filter(item => item.score >= MIN_SCORE);
+    }
+
+    /**
+     * 判断文本是否已被翻译文件中的某个词条覆盖
+     * @param {LiteralMatcher} matcher 由翻译词条构建的匹配器
+     * @param {string} text 提取的文本
+     * @returns {boolean}
+     */
+    static isCovered(matcher, text) {
+        if (matcher.lookup.has(text)) {
+            return true;
+        }
+        const source = LiteralMatcher.splitPlaceholders(text);
+        return source.placeholders.length > 0 && matcher.templateLookup.has(source.quasis.join('\u0000'));
+    }
+
+    /**
+     * 按优先级排序：分数高、出现次数多的文本在前
+     * @param {Array} items 提取结果
+     * @returns {Array}
+     */
+    static rank(items) {
+        return items
+            .map(item => ({ ...item, rank: item.score + Math.log2(item.count) }))
+            .sort((a, b) => b.rank - a.rank || b.count - a.count || a.text.localeCompare(b.text));
+    }
+
+    /**
+     * 提取尚未翻译的界面文本
+     * @param {string} content JS 文件内容
+     * @param {Object} translations 扁平化后的翻译映射
+     * @param {number} limit 最多保留的条数
+     * @returns {{total: number, covered: number, untranslated: Array}}
+     */
+    static extract(content, translations, limit = DEFAULT_LIMIT) {
+        const matcher = new LiteralMatcher(translations);
+        const candidates = this.findUiStrings(content);
+        const untranslated = candidates.filter(item => !this.isCovered(matcher, item.text));
+
+        return {
+            total: candidates.length,
+            covered: candidates.length - untranslated.length,
+            untranslated: this.rank(untranslated).slice(0, limit)
+        };
+    }
+
+    /**
+     * 把提取结果写入未翻译清单的 untranslated 分组，保留清单中的其他分组
+     * @param {string} untranslatedFile 未翻译清单路径
+     * @param {Array} items 排序后的提取结果
+     * @returns {boolean}
+     */
+    static writeUntranslated(untranslatedFile, items) {
+        let existing = {};
+        const content = FileUtils.safeReadFile(untranslatedFile);
+        if (content) {
+            try {
+                existing = JsonReader.parse(content, untranslatedFile).value;
+            } catch (error) {
+                Logger.warning(`未翻译清单解析失败，将重新创建: ${error.message}`);
+            }
+        }
+
+        existing[EXTRACTED_GROUP] = Object.fromEntries(items.map(item => [item.text, item.text]));
+        return FileUtils.safeWriteFile(untranslatedFile, JSON.stringify(existing, null, 2));
+    }
+
+    /**
+     * 读取未翻译清单中由提取工具写入的文本
+     * @param {string} locale 语言代码
+     * @returns {string[]} 按优先级排列的文本，尚未提取时返回空数组
+     */
+    static loadExtracted(locale) {
+        const untranslatedFile = LocaleManager.getUntranslatedFile(locale);
+        const content = FileUtils.safeReadFile(untranslatedFile);
+        if (!content) {
+            return [];
+        }
+
+        try {
+            return Object.keys(JsonReader.parse(content, untranslatedFile).value[EXTRACTED_GROUP] || {});
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * 计算各位置所在的行号（从 1 开始），位置按升序逐段统计换行，避免对每个位置重复扫描
+     * @param {string} content JS 文件内容
+     * @param {number[]} offsets 字符位置
+     * @returns {Map} 位置 → 行号
+     */
+    static getLineNumbers(content, offsets) {
+        const lines = new Map();
+        let line = 1;
+        let position = 0;
+        for (const offset of [...new Set(offsets)].sort((a, b) => a - b)) {
+            for (let index = content.indexOf('\n', position); index !== -1 && index < offset; index = content.indexOf('\n', index + 1)) {
+                line++;
+                position = index + 1;
+            }
+            lines.set(offset, line);
+        }
+        return lines;
+    }
+
+    /**
+     * 写入提取报告，包含每条文本的出现次数、所在位置与代码片段
+     * @param {string} projectRoot 项目根目录
+     * @param {Object} report 报告内容
+     * @returns {string|null} 报告路径，写入失败时返回 null
+     */
+    static writeReport(projectRoot, report) {
+        const reportPath = path.join(projectRoot, 'translations', REPORT_FILE);
+        return FileUtils.safeWriteFile(reportPath, JSON.stringify(report, null, 2)) ? reportPath : null;
+    }
+
+    /**
+     * 从已安装的 Cursor 中提取未翻译的界面文本
+     * @param {string} cursorPath Cursor 安装路径
+     * @param {Object} options { locale, limit }
+     * @returns {boolean} 是否成功
+     */
+    static run(cursorPath, options) {
+        const projectRoot = path.resolve(__dirname, '..');
+        const { targetFile } = CursorPathFinder.getPlatformPaths(cursorPath);
+
+        const translations = TranslationProcessor.loadTranslations(projectRoot, options.locale);
+        if (!translations) {
+            Logger.error('无法加载翻译文件，提取终止');
+            return false;
+        }
+
+        const content = FileUtils.safeReadFile(targetFile);
+        if (content === null) {
+            Logger.error(`无法读取目标文件: ${targetFile}`);
+            return false;
+        }
+        const pristine = BackupManager.checkPristine(content, null, {
+            translatedRuns: BackupManager.collectTranslatedRuns(translations)
+        });
+        if (!pristine.pristine) {
+            Logger.warning('目标文件已被汉化，已替换的文本不会出现在提取结果中，建议还原后再提取');
+        }
+
+        const result = this.extract(content, translations, options.limit);
+        const untranslatedFile = LocaleManager.getUntranslatedFile(options.locale);
+        if (!this.writeUntranslated(untranslatedFile, result.untranslated)) {
+            return false;
+        }
+
+        const lines = this.getLineNumbers(content, result.untranslated.map(item => item.offset));
+        const reportPath = this.writeReport(projectRoot, {
+            timestamp: new Date().toISOString(),
+            locale: options.locale,
+            targetFile,
+            candidates: result.total,
+            covered: result.covered,
+            untranslated: result.untranslated.map(item => ({
+                text: item.text,
+                count: item.count,
+                score: item.score,
+                contexts: [...item.contexts],
+                offset: item.offset,
+                line: lines.get(item.offset),
+                snippet: item.snippet
+            }))
+        });
+
+        Logger.success(`共识别 ${result.total} 条疑似界面文本，其中 ${result.covered} 条已有翻译`);
+        Logger.success(`已将 ${result.untranslated.length} 条未翻译文本按优先级写入 ${path.basename(untranslatedFile)} 的 ${EXTRACTED_GROUP} 分组`);
+        if (reportPath) {
+            Logger.info(`出现次数与代码片段详见: ${reportPath}`);
+        }
+        return true;
+    }
+
+    /**
+     * 解析命令行参数
+     * @param {string[]} args 命令行参数
+     * @returns {Object} 选项
+     */
+    static parseArgs(args) {
+        const { locale, args: rest } = LocaleManager.parseArgs(args);
+        let limit = DEFAULT_LIMIT;
+        const limitIndex = rest.indexOf('--limit');
+        if (limitIndex !== -1) {
+            limit = parseInt(rest[limitIndex + 1], 10);
+            rest.splice(limitIndex, 2);
+        }
+
+        return { locale, limit, pathArg: rest[0] };
+    }
+}
+
+function main() {
+    console.log('--- 界面文本提取工具 ---');
+    const options = StringExtractor.parseArgs(process.argv.slice(2));
+
+    if (!(options.limit > 0)) {
+        Logger.error('参数无效: --limit 必须为正整数');
+        process.exit(1);
+    }
+
+    const cursorPath = CursorPathFinder.findCursorPath(options.pathArg);
+    if (!cursorPath) {
+        Logger.error('无法找到 Cursor 安装路径');
+        process.exit(1);
+    }
+
+    if (!StringExtractor.run(cursorPath, options)) {
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { StringExtractor, EXTRACTED_GROUP };
\ No newline at end of file
@@ -0,0 +1,153 @@
+const WORD_PATTERN = /[a-z0-9]+(?:'[a-z]+)?/g;
+// 过于常见的单词不能说明两段文本相关，不参与候选查找
+const STOP_WORDS = new Set(['a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'is', 'are', 'be', 'your', 'you', 'this', 'it']);
+const DEFAULT_THRESHOLD = 0.6;
+const DEFAULT_LIMIT = 5;
+
+/**
+ * 文本相似度
+ * 结合单词重合度（Dice 系数）与字符编辑距离衡量两段英文文本的相似程度，
+ * 用于识别 Cursor 版本间被改写的文本以及为新文本推荐相近的已有翻译
+ */
+class TextSimilarity {
+    /**
+     * 将文本拆分为小写单词
+     * @param {string} text 文本
+     * @returns {string[]}
+     */
+    static tokenize(text) {
+        return text.toLowerCase().match(WORD_PATTERN) || [];
+    }
+
+    /**
+     * 计算编辑距离（插入、删除、替换各计 1）
+     * @param {string} a 文本
+     * @param {string} b 文本
+     * @returns {number}
+     */
+    static levenshtein(a, b) {
+        if (a === b) {
+            return 0;
+        }
+        if (a.length === 0 || b.length === 0) {
+            return Math.max(a.length, b.length);
+        }
+
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * 计算两组单词的 Dice 系数（按出现次数计）
+     * @param {string[]} a 单词列表
+     * @param {string[]} b 单词列表
+     * @returns {number} 0 ~ 1
+     */
+    static dice(a, b) {
+        if (a.length === 0 && b.length === 0) {
+            return 1;
+        }
+
+        const counts = new Map();
+        a.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+        let common = 0;
+        for (const token of b) {
+            const count = counts.get(token) || 0;
+            if (count > 0) {
+                common++;
+                counts.set(token, count - 1);
+            }
+        }
+
+        return (2 * common) / (a.length + b.length);
+    }
+
+    /**
+     * 计算两段文本的相似度，取单词重合度与字符相似度的平均值
+     * @param {string} a 文本
+     * @param {string} b 文本
+     * @returns {number} 0 ~ 1，完全相同为 1
+     */
+    static similarity(a, b) {
+        if (a === b) {
+            return 1;
+        }
+
+        const lowerA = a.toLowerCase();
+        const lowerB = b.toLowerCase();
+        const maxLength = Math.max(lowerA.length, lowerB.length);
+        const charScore = 1 - this.levenshtein(lowerA, lowerB) / maxLength;
+        const tokenScore = this.dice(this.tokenize(a), this.tokenize(b));
+
+        return (charScore + tokenScore) / 2;
+    }
+
+    /**
+     * 建立按单词查找候选文本的索引
+     * @param {string[]} texts 候选文本
+     * @returns {{texts: string[], tokens: Map}}
+     */
+    static createIndex(texts) {
+        const tokens = new Map();
+        texts.forEach((text, position) => {
+            for (const token of new Set(this.tokenize(text))) {
+                if (STOP_WORDS.has(token)) {
+                    continue;
+                }
+                if (!tokens.has(token)) {
+                    tokens.set(token, []);
+                }
+                tokens.get(token).push(position);
+            }
+        });
+
+        return { texts, tokens };
+    }
+
+    /**
+     * 在索引中查找与文本相似的候选，只比较至少共享一个非常见单词的文本
+     * @param {string} text 文本
+     * @param {Object} index createIndex 返回的索引
+     * @param {Object} options { threshold, limit }
+     * @returns {Array<{text: string, score: number}>} 按相似度降序排列
+     */
+    static findSimilar(text, index, options = {}) {
+        const threshold = options.threshold !== undefined ? options.threshold : DEFAULT_THRESHOLD;
+        const limit = options.limit || DEFAULT_LIMIT;
+        const positions = new Set();
+
+        for (const token of new Set(this.tokenize(text))) {
+            (index.tokens.get(token) || []).forEach(position => positions.add(position));
+        }
+
+        const results = [];
+        for (const position of positions) {
+            const candidate = index.texts[position];
+            if (candidate === text) {
+                continue;
+            }
+            // 长度相差过大时字符相似度不可能达到阈值，跳过编辑距离计算
+            const lengthRatio = Math.min(candidate.length, text.length) / Math.max(candidate.length, text.length);
+            if ((lengthRatio + 1) / 2 < threshold) {
+                continue;
+            }
+            const score = this.similarity(text, candidate);
+            if (score >= threshold) {
+                results.push({ text: candidate, score: Math.round(score * 1000) / 1000 });
+            }
+        }
+
+        return results.sort((a, b) => b.score - a.score || a.text.localeCompare(b.text)).slice(0, limit);
+    }
+}
+
+module.exports = { TextSimilarity, DEFAULT_THRESHOLD };
\ No newline at end of file
@@ -0,0 +1,234 @@
+// 作用域未指定 within 时，锚点需出现在字面量前后的字符数
+const DEFAULT_SCOPE_WITHIN = 200;
+// 清理过时词条（npm run prune）时词条被移入的分组，保留译文备查，加载翻译时跳过
+const ARCHIVED_GROUP = 'archived';
+// 仅在展示位置替换的短词分组，多个分组定义同一原文时优先级最低
+const FALLBACK_GROUP = 'fallback';
+
+/**
+ * 翻译词条工具
+ * 词条的值可以是译文字符串，也可以是带替换选项的对象：
+ * { "value": "打开", "force": ["ternary"], "forbid": ["argument"] }
+ * 同一原文在不同位置需要不同译文时，可以使用变体数组，并用 scope 限定变体的适用位置：
+ * [{ "value": "已打开", "scope": { "anchor": "isOpen", "within": 80 } }, "打开"]
+ * 带 "fuzzy": true 的词条是尚未确认的草稿，合并到翻译文件时跳过；comment 为译者备注，不参与替换
+ */
+class TranslationEntry {
+    /**
+     * 判断值是否为词条对象（而非分组）
+     * @param {*} raw 翻译文件中的值
+     * @returns {boolean}
+     */
+    static isEntryObject(raw) {
+        return !!raw && typeof raw === 'object' && !Array.isArray(raw) && typeof raw.value === 'string';
+    }
+
+    /**
+     * 判断值是否为合法的词条（字符串、词条对象或变体数组）
+     * @param {*} raw 翻译文件中的值
+     * @returns {boolean}
+     */
+    static isEntry(raw) {
+        if (Array.isArray(raw)) {
+            return raw.length > 0 && raw.every(variant => typeof variant === 'string' || this.isEntryObject(variant));
+        }
+        return typeof raw === 'string' || this.isEntryObject(raw);
+    }
+
+    /**
+     * 获取词条的译文，变体数组取第一个无作用域的变体
+     * @param {*} raw 翻译文件中的值
+     * @returns {string|null} 译文，值无效时返回 null
+     */
+    static getValue(raw) {
+        if (typeof raw === 'string') {
+            return raw;
+        }
+        if (Array.isArray(raw)) {
+            if (!this.isEntry(raw)) {
+                return null;
+            }
+            const primary = raw.find(variant => typeof variant === 'string' || !variant.scope) || raw[0];
+            return this.getValue(primary);
+        }
+        return this.isEntryObject(raw) ? raw.value : null;
+    }
+
+    /**
+     * 获取词条全部变体的译文
+     * @param {*} raw 翻译文件中的值
+     * @returns {string[]} 译文列表，值无效时返回空数组
+     */
+    static getValues(raw) {
+        if (!this.isEntry(raw)) {
+            return [];
+        }
+        return (Array.isArray(raw) ? raw : [raw]).map(variant => this.getValue(variant));
+    }
+
+    /**
+     * 替换词条的译文并保留其替换选项，变体数组只替换 getValue 所取的那个变体
+     * @param {*} raw 翻译文件中的值，不存在时为 undefined
+     * @param {string} value 新译文
+     * @returns {*} 新的词条值
+     */
+    static withValue(raw, value) {
+        if (Array.isArray(raw) && this.isEntry(raw)) {
+            const index = this.getPrimaryIndex(raw);
+            return raw.map((variant, i) => (i === index ? this.withValue(variant, value) : variant));
+        }
+        return this.isEntryObject(raw) ? { ...raw, value } : value;
+    }
+
+    /**
+     * 获取译者备注（词条对象的 comment，变体数组取 getValue 所取的那个变体）
+     * @param {*} raw 翻译文件中的值
+     * @returns {string} 没有备注时返回空字符串
+     */
+    static getComment(raw) {
+        const primary = Array.isArray(raw) ? raw[this.getPrimaryIndex(raw)] : raw;
+        return this.isEntryObject(primary) && typeof primary.comment === 'string' ? primary.comment : '';
+    }
+
+    /**
+     * 设置译者备注，备注为空时删除；只剩译文的词条对象还原为字符串
+     * @param {*} raw 翻译文件中的值
+     * @param {string} comment 备注
+     * @returns {*} 新的词条值
+     */
+    static withComment(raw, comment) {
+        if (Array.isArray(raw) && this.isEntry(raw)) {
+            const index = this.getPrimaryIndex(raw);
+            return raw.map((variant, i) => (i === index ? this.withComment(variant, comment) : variant));
+        }
+
+        const entry = typeof raw === 'string' ? { value: raw } : { ...raw };
+        if (comment) {
+            entry.comment = comment;
+        } else {
+            delete entry.comment;
+        }
+        return Object.keys(entry).length === 1 ? entry.value : entry;
+    }
+
+    /**
+     * 变体数组中 getValue 所取变体的下标：第一个无作用域的变体，都有作用域时取第一个
+     * @param {Array} variants 变体数组
+     * @returns {number}
+     */
+    static getPrimaryIndex(variants) {
+        const index = variants.findIndex(variant => typeof variant === 'string' || !variant.scope);
+        return index === -1 ? 0 : index;
+    }
+
+    /**
+     * 判断词条是否为待确认的草稿（翻译记忆生成的 { "value": "...", "fuzzy": true }）
+     * @param {*} raw 翻译文件中的值
+     * @returns {boolean}
+     */
+    static isFuzzy(raw) {
+        return this.isEntryObject(raw) && raw.fuzzy === true;
+    }
+
+    /**
+     * 去掉翻译文件中的归档分组
+     * @param {Object} groups 按分组组织的翻译
+     * @returns {Object} 不含归档分组的浅拷贝
+     */
+    static withoutArchived(groups) {
+        const active = { ...groups };
+        delete active[ARCHIVED_GROUP];
+        return active;
+    }
+
+    /**
+     * 按优先级排列分组：多个分组定义同一原文时，文件中靠后的分组优先，fallback 分组总是最低
+     * @param {Object} groups 按分组组织的翻译
+     * @returns {string[]} 分组名（不含 archived 分组），优先级高的在前
+     */
+    static orderGroups(groups) {
+        const names = Object.keys(this.withoutArchived(groups)).reverse();
+        return [...names.filter(name => name !== FALLBACK_GROUP), ...names.filter(name => name === FALLBACK_GROUP)];
+    }
+
+    /**
+     * 找出在多个分组中定义的原文，译文相同的为无害重复，不同的为冲突
+     * @param {Object} groups 按分组组织的翻译
+     * @returns {Array<{source: string, entries: Array<{group: string, value: string}>, conflict: boolean, previousGroup: string|null}>}
+     *          entries 按优先级排列，第一项为实际采用的译文；previousGroup 为旧规则（文件中最后出现的分组优先，
+     *          fallback 分组也不例外）下采用的分组，仅在与现在采用的译文不同时设置，否则为 null
+     */
+    static findDuplicateSources(groups) {
+        const names = Object.keys(groups);
+        const bySource = new Map();
+        for (const group of this.orderGroups(groups)) {
+            if (!groups[group] || typeof groups[group] !== 'object') {
+                continue;
+            }
+            for (const [source, raw] of Object.entries(groups[group])) {
+                bySource.set(source, [...(bySource.get(source) || []), { group, value: this.getValue(raw) }]);
+            }
+        }
+
+        return [...bySource]
+            .filter(([, entries]) => entries.length > 1)
+            .map(([source, entries]) => {
+                const conflict = new Set(entries.map(entry => entry.value)).size > 1;
+                const previous = entries.reduce((last, entry) => (names.indexOf(entry.group) > names.indexOf(last.group) ? entry : last));
+                const previousGroup = conflict && previous.value !== entries[0].value ? previous.group : null;
+                return { source, entries, conflict, previousGroup };
+            });
+    }
+
+    /**
+     * 将作用域转换为统一结构
+     * @param {*} scope 词条对象中的 scope
+     * @returns {{anchor: string|null, pattern: string|null, within: number}|null} 未设置作用域时返回 null
+     */
+    static normalizeScope(scope) {
+        if (!scope || typeof scope !== 'object') {
+            return null;
+        }
+
+        return {
+            anchor: typeof scope.anchor === 'string' && scope.anchor !== '' ? scope.anchor : null,
+            pattern: typeof scope.pattern === 'string' && scope.pattern !== '' ? scope.pattern : null,
+            within: Number.isInteger(scope.within) && scope.within >= 0 ? scope.within : DEFAULT_SCOPE_WITHIN
+        };
+    }
+
+    /**
+     * 将词条转换为统一结构
+     * @param {*} raw 翻译文件中的值（字符串或词条对象）
+     * @returns {{value: string, force: string[], forbid: string[], displayOnly: boolean, scope: Object|null}|null}
+     */
+    static normalize(raw) {
+        const value = Array.isArray(raw) ? null : this.getValue(raw);
+        if (value === null) {
+            return null;
+        }
+
+        const options = typeof raw === 'string' ? {} : raw;
+        return {
+            value,
+            force: Array.isArray(options.force) ? options.force : [],
+            forbid: Array.isArray(options.forbid) ? options.forbid : [],
+            displayOnly: options.displayOnly === true,
+            scope: this.normalizeScope(options.scope)
+        };
+    }
+
+    /**
+     * 将词条展开为统一结构的变体列表
+     * @param {*} raw 翻译文件中的值
+     * @returns {Array|null} 变体列表，值无效时返回 null
+     */
+    static normalizeVariants(raw) {
+        if (!this.isEntry(raw)) {
+            return null;
+        }
+        return (Array.isArray(raw) ? raw : [raw]).map(variant => this.normalize(variant));
+    }
+}
+
+module.exports = { TranslationEntry, DEFAULT_SCOPE_WITHIN, ARCHIVED_GROUP, FALLBACK_GROUP };
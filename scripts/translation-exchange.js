@@ -0,0 +1,249 @@
+const path = require('path');
+
+const { Logger, FileUtils } = require('./apply.js');
+const { TranslationEntry } = require('./translation-entry.js');
+const { LocaleManager } = require('./locale-manager.js');
+const { TranslationMemory } = require('./translation-memory.js');
+const { ProtectedTerms } = require('./protected-terms.js');
+const TranslationMerger = require('./translation-merger.js');
+
+/**
+ * 翻译交换
+ * 供 XLIFF 等外部格式共用：把翻译文件与未翻译清单整理为 分组/原文/译文 单元用于导出，
+ * 并把导入的单元写入 yes-<语言>.json，由 TranslationMerger 合并到翻译文件
+ */
+class TranslationExchange {
+    /**
+     * 整理待导出的单元：翻译文件中的全部词条（不含 archived 分组）、未翻译清单中尚未翻译的文本，
+     * 以及 yes-<语言>.json 中的 fuzzy 草稿（替换同一分组中同一原文的单元）
+     * @param {string} locale 语言代码
+     * @returns {Array<{group: string, source: string, target: string|null, state: string, fuzzy: boolean, comment: string, hasOptions: boolean}>|null}
+     *          state 为 translated 或 initial，未翻译清单中的文本 target 为 null；翻译文件无法读取时返回 null
+     */
+    static collectUnits(locale) {
+        const groups = TranslationMemory.readJson(LocaleManager.getTranslationFile(locale), null);
+        if (!groups) {
+            return null;
+        }
+        const untranslatedGroups = TranslationMemory.readJson(LocaleManager.getUntranslatedFile(locale), {}) || {};
+        const userGroups = TranslationMemory.readJson(LocaleManager.getUserFile(locale), {}) || {};
+
+        const units = [];
+        const byKey = new Map();
+        const sources = new Set();
+        const add = unit => {
+            units.push(unit);
+            byKey.set(`${unit.group}\u0000${unit.source}`, unit);
+            sources.add(unit.source);
+        };
+
+        for (const [group, entries] of this.entriesOf(TranslationEntry.withoutArchived(groups))) {
+            for (const [source, entry] of entries) {
+                const target = TranslationEntry.getValue(entry);
+                if (target === null) {
+                    continue;
+                }
+                const translated = this.isTranslated(source, target, locale);
+                add({
+                    group,
+                    source,
+                    target,
+                    state: translated ? 'translated' : 'initial',
+                    fuzzy: false,
+                    comment: TranslationEntry.getComment(entry),
+                    hasOptions: typeof TranslationEntry.withComment(entry, '') !== 'string'
+                });
+            }
+        }
+
+        for (const { text, group } of TranslationMemory.findUntranslated(untranslatedGroups, groups, locale)) {
+            if (!sources.has(text)) {
+                add({ group, source: text, target: null, state: 'initial', fuzzy: false, comment: '', hasOptions: false });
+            }
+        }
+
+        for (const [group, entries] of this.entriesOf(userGroups)) {
+            for (const [source, entry] of entries) {
+                if (!TranslationEntry.isFuzzy(entry)) {
+                    continue;
+                }
+                const existing = byKey.get(`${group}\u0000${source}`);
+                if (existing) {
+                    Object.assign(existing, { target: entry.value, state: 'initial', fuzzy: true, comment: TranslationEntry.getComment(entry) || existing.comment });
+                } else {
+                    add({ group, source, target: entry.value, state: 'initial', fuzzy: true, comment: TranslationEntry.getComment(entry), hasOptions: false });
+                }
+            }
+        }
+
+        return units;
+    }
+
+    /**
+     * 判断译文是否已翻译，只由受保护术语组成的原文按原样保留即为已翻译
+     * @param {string} source 英文原文
+     * @param {string} target 译文
+     * @param {string} locale 语言代码
+     * @returns {boolean}
+     */
+    static isTranslated(source, target, locale) {
+        return target === source
+            ? !/[a-zA-Z]/.test(ProtectedTerms.strip(source))
+            : LocaleManager.isTranslatedText(target, locale);
+    }
+
+    /**
+     * 将导入的单元写入 yes-<语言>.json：与翻译文件相同的译文不写入，已有词条保留其替换选项，
+     * initial 状态（未确认）的译文写为 fuzzy 草稿；单元带 comment 时同步译者备注（空字符串表示删除）。
+     * 未指定分组的单元按原文所在的分组导入，翻译文件、未翻译清单与 yes 文件中都没有的原文不导入
+     * @param {string} locale 语言代码
+     * @param {Array<{group: string|null, source: string, target: string|null, state: string, comment?: string}>} units 导入的单元
+     * @returns {{staged: Array, drafts: Array, unchanged: number, empty: number, unknown: Array, conflicts: Array}|null}
+     *          conflicts 为 yes 文件或翻译文件中已有不同译文、被本次导入覆盖的词条（file 为所在文件名）；文件无法读取或写入时返回 null
+     */
+    static stageUnits(locale, units) {
+        const groups = TranslationMemory.readJson(LocaleManager.getTranslationFile(locale), null);
+        if (!groups) {
+            Logger.error(`无法读取翻译文件: ${LocaleManager.getTranslationFile(locale)}`);
+            return null;
+        }
+        const untranslatedGroups = TranslationMemory.readJson(LocaleManager.getUntranslatedFile(locale), {}) || {};
+        const userFile = LocaleManager.getUserFile(locale);
+        const userGroups = TranslationMemory.readJson(userFile, {});
+        if (!userGroups) {
+            return null;
+        }
+
+        // 原文 → 所在分组，翻译文件优先
+        const known = new Map();
+        for (const source of [groups, userGroups, untranslatedGroups]) {
+            for (const [group, entries] of this.entriesOf(TranslationEntry.withoutArchived(source))) {
+                entries.forEach(([text]) => known.has(text) || known.set(text, group));
+            }
+        }
+        const lookup = (source, group, text) => (source[group] && typeof source[group] === 'object' ? source[group][text] : undefined);
+        const result = { staged: [], drafts: [], unchanged: 0, empty: 0, unknown: [], conflicts: [] };
+
+        for (const unit of units) {
+            const group = unit.group || known.get(unit.source);
+            if (unit.target === null || unit.target === '' || (unit.state === 'initial' && unit.target === unit.source)) {
+                result.empty++;
+                continue;
+            }
+            if (!group || !known.has(unit.source)) {
+                result.unknown.push({ group: unit.group, source: unit.source });
+                continue;
+            }
+
+            const current = lookup(groups, group, unit.source);
+            const staged = lookup(userGroups, group, unit.source);
+            let value = unit.state === 'initial'
+                ? { value: unit.target, fuzzy: true }
+                : TranslationEntry.withValue(current, unit.target);
+            const comment = unit.comment === undefined ? TranslationEntry.getComment(staged || current) : unit.comment;
+            value = TranslationEntry.withComment(value, comment);
+
+            const same = raw => raw !== undefined && JSON.stringify(raw) === JSON.stringify(value);
+            const unconfirmed = unit.state === 'initial' && current !== undefined && TranslationEntry.getValue(current) === unit.target;
+            if (same(staged) || (staged === undefined && (same(current) || unconfirmed))) {
+                result.unchanged++;
+                continue;
+            }
+
+            // fuzzy 草稿在合并时会被跳过，不会覆盖翻译文件中的译文；翻译文件中尚未翻译的词条被覆盖不算冲突
+            const overwritten = staged !== undefined ? staged : (unit.state !== 'initial' ? current : undefined);
+            const previous = overwritten === undefined ? null : TranslationEntry.getValue(overwritten);
+            if (previous !== null && previous !== unit.target && (staged !== undefined || this.isTranslated(unit.source, previous, locale))) {
+                result.conflicts.push({
+                    group,
+                    source: unit.source,
+                    previous,
+                    imported: unit.target,
+                    file: path.basename(staged !== undefined ? userFile : LocaleManager.getTranslationFile(locale))
+                });
+            }
+            userGroups[group] = userGroups[group] || {};
+            userGroups[group][unit.source] = value;
+            (unit.state === 'initial' ? result.drafts : result.staged).push({ group, source: unit.source, target: unit.target });
+        }
+
+        if (result.staged.length + result.drafts.length > 0 && !FileUtils.safeWriteFile(userFile, JSON.stringify(userGroups, null, 2))) {
+            return null;
+        }
+        return result;
+    }
+
+    /**
+     * 列出可以导入的分组及其原文：翻译文件（不含 archived 分组）、未翻译清单与 yes-<语言>.json 中的全部词条
+     * @param {string} locale 语言代码
+     * @returns {Map|null} 分组名 → 原文集合，翻译文件无法读取时返回 null
+     */
+    static getKnownSources(locale) {
+        const groups = TranslationMemory.readJson(LocaleManager.getTranslationFile(locale), null);
+        if (!groups) {
+            return null;
+        }
+        const untranslatedGroups = TranslationMemory.readJson(LocaleManager.getUntranslatedFile(locale), {}) || {};
+        const userGroups = TranslationMemory.readJson(LocaleManager.getUserFile(locale), {}) || {};
+
+        const known = new Map();
+        for (const source of [groups, untranslatedGroups, userGroups]) {
+            for (const [group, entries] of this.entriesOf(TranslationEntry.withoutArchived(source))) {
+                const sources = known.get(group) || new Set();
+                entries.forEach(([text]) => sources.add(text));
+                known.set(group, sources);
+            }
+        }
+        return known;
+    }
+
+    /**
+     * 列出按分组组织的翻译中的词条，跳过结构无效的分组
+     * @param {Object} groups 按分组组织的翻译
+     * @returns {Array<[string, Array<[string, *]>]>} [分组名, [[原文, 值]]]
+     */
+    static entriesOf(groups) {
+        return Object.entries(groups)
+            .filter(([, entries]) => entries && typeof entries === 'object' && !Array.isArray(entries))
+            .map(([group, entries]) => [group, Object.entries(entries)]);
+    }
+
+    /**
+     * 输出导入结果，需要时调用 TranslationMerger 合并到翻译文件
+     * @param {string} locale 语言代码
+     * @param {Object} result stageUnits 的结果
+     * @param {boolean} merge 是否立即合并
+     * @returns {boolean} 是否成功
+     */
+    static finishImport(locale, result, merge) {
+        const userFile = path.basename(LocaleManager.getUserFile(locale));
+        console.log(`\n新译文: ${result.staged.length}，待确认草稿: ${result.drafts.length}，未改动: ${result.unchanged}，无译文: ${result.empty}`);
+        if (result.unknown.length > 0) {
+            console.log(`\n[UNKNOWN] 翻译文件与未翻译清单中都没有的原文，未导入 (${result.unknown.length}):`);
+            result.unknown.forEach(item => console.log(`  - ${item.group}: "${item.source}"`));
+        }
+        if (result.conflicts.length > 0) {
+            console.log(`\n[CONFLICT] 已有不同译文，已被导入的译文覆盖 (${result.conflicts.length}):`);
+            result.conflicts.forEach(item => console.log(`  - ${item.file} ${item.group}: "${item.source}" "${item.previous}" → "${item.imported}"`));
+        }
+
+        if (result.staged.length + result.drafts.length === 0) {
+            Logger.success('没有需要导入的译文');
+            return true;
+        }
+        Logger.success(`已写入 ${userFile}${result.drafts.length > 0 ? '，草稿带 fuzzy 标记，确认后删除该标记再合并' : ''}`);
+        if (!merge) {
+            console.log('运行 npm run merge 合并到翻译文件');
+            return true;
+        }
+
+        const merger = new TranslationMerger({ locale });
+        const mergeResult = merger.run();
+        if (mergeResult.success) {
+            Logger.success(`已合并到 ${path.basename(LocaleManager.getTranslationFile(locale))}`);
+        }
+        return mergeResult.success;
+    }
+}
+
+module.exports = { TranslationExchange };
\ No newline at end of file
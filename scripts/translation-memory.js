@@ -0,0 +1,239 @@
+const path = require('path');
+
+const { Logger, FileUtils } = require('./apply.js');
+const { TranslationEntry, ARCHIVED_GROUP } = require('./translation-entry.js');
+const { LocaleManager } = require('./locale-manager.js');
+const { TextSimilarity, DEFAULT_THRESHOLD } = require('./text-similarity.js');
+const { JsonReader } = require('./json-reader.js');
+
+const REPORT_FILE = 'suggestion-report.json';
+const DEFAULT_SUGGESTIONS = 3;
+
+/**
+ * 翻译记忆
+ * 以翻译文件（含 archived 分组）中的 原文/译文 对为记忆库，为未翻译的文本推荐相似的已有翻译；
+ * 推荐结果可作为草稿写入 yes-<语言>.json，草稿带 fuzzy 标记，合并时会被跳过，确认译文后删除该标记即可
+ */
+class TranslationMemory {
+    /**
+     * @param {Array<{source: string, target: string, group: string}>} units 记忆单元
+     */
+    constructor(units) {
+        this.units = new Map();
+        for (const unit of units) {
+            // 同一原文出现在多个分组时，优先使用未归档分组中的译文
+            const existing = this.units.get(unit.source);
+            if (!existing || (existing.group === ARCHIVED_GROUP && unit.group !== ARCHIVED_GROUP)) {
+                this.units.set(unit.source, unit);
+            }
+        }
+        this.index = TextSimilarity.createIndex([...this.units.keys()]);
+    }
+
+    /**
+     * 从按分组组织的翻译中收集记忆单元，跳过未翻译与 fuzzy 草稿词条
+     * @param {Object} groups 按分组组织的翻译
+     * @param {string} locale 语言代码
+     * @returns {Array<{source: string, target: string, group: string}>}
+     */
+    static collectUnits(groups, locale) {
+        const units = [];
+        for (const [groupName, group] of Object.entries(groups)) {
+            if (!group || typeof group !== 'object') {
+                continue;
+            }
+            for (const [source, entry] of Object.entries(group)) {
+                const target = TranslationEntry.getValue(entry);
+                if (!TranslationEntry.isFuzzy(entry) && target !== source && LocaleManager.isTranslatedText(target, locale)) {
+                    units.push({ source, target, group: groupName });
+                }
+            }
+        }
+        return units;
+    }
+
+    /**
+     * 为文本推荐相似的已有翻译
+     * @param {string} text 未翻译的原文
+     * @param {Object} options { threshold, limit }
+     * @returns {Array<{source: string, target: string, group: string, score: number}>} 按相似度降序排列
+     */
+    suggest(text, options = {}) {
+        return TextSimilarity.findSimilar(text, this.index, options)
+            .map(match => ({ ...this.units.get(match.text), score: match.score }));
+    }
+
+    /**
+     * 找出未翻译清单中尚未被翻译文件覆盖的文本
+     * @param {Object} untranslatedGroups 未翻译清单 (no.json)
+     * @param {Object} groups 按分组组织的翻译
+     * @param {string} locale 语言代码
+     * @returns {Array<{text: string, group: string}>}
+     */
+    static findUntranslated(untranslatedGroups, groups, locale) {
+        const translated = new Set(
+            this.collectUnits(TranslationEntry.withoutArchived(groups), locale).map(unit => unit.source)
+        );
+        const seen = new Set();
+        const result = [];
+
+        for (const [groupName, group] of Object.entries(untranslatedGroups)) {
+            if (!group || typeof group !== 'object') {
+                continue;
+            }
+            for (const text of Object.keys(group)) {
+                if (!translated.has(text) && !seen.has(text)) {
+                    seen.add(text);
+                    result.push({ text, group: groupName });
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * 把最相似的译文作为 fuzzy 草稿写入用户翻译，已存在的词条不会被覆盖；
+     * 草稿放入相似词条所在的分组，相似词条已归档时放入文本在未翻译清单中的分组
+     * @param {Object} userGroups 用户翻译 (yes-<语言>.json)
+     * @param {Array} results 推荐结果 { text, group, suggestions }
+     * @returns {number} 新增的草稿数量
+     */
+    static fillDrafts(userGroups, results) {
+        const existing = new Set(Object.values(userGroups).flatMap(group => (group && typeof group === 'object' ? Object.keys(group) : [])));
+        let added = 0;
+
+        for (const { text, group, suggestions } of results) {
+            if (suggestions.length === 0 || existing.has(text)) {
+                continue;
+            }
+            const best = suggestions[0];
+            const targetGroup = best.group === ARCHIVED_GROUP ? group : best.group;
+            userGroups[targetGroup] = userGroups[targetGroup] || {};
+            userGroups[targetGroup][text] = { value: best.target, fuzzy: true };
+            added++;
+        }
+
+        return added;
+    }
+
+    /**
+     * 读取 JSON 文件
+     * @param {string} filePath 文件路径
+     * @param {*} fallback 文件不存在时的返回值
+     * @returns {*} 解析结果，解析失败时返回 null
+     */
+    static readJson(filePath, fallback) {
+        const content = FileUtils.safeReadFile(filePath);
+        if (content === null) {
+            return fallback;
+        }
+
+        try {
+            const { value, duplicates } = JsonReader.parse(content, filePath);
+            duplicates.forEach(duplicate => Logger.error(JsonReader.describeDuplicate(duplicate, filePath)));
+            return value;
+        } catch (error) {
+            Logger.error(`JSON 解析失败: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * 为未翻译清单中的文本推荐译文
+     * @param {Object} options { locale, threshold, limit, fill }
+     * @returns {boolean} 是否成功
+     */
+    static run(options) {
+        const projectRoot = path.resolve(__dirname, '..');
+        const translationFile = LocaleManager.getTranslationFile(options.locale);
+        const untranslatedFile = LocaleManager.getUntranslatedFile(options.locale);
+
+        const groups = this.readJson(translationFile, null);
+        if (!groups) {
+            Logger.error(`无法读取翻译文件: ${translationFile}`);
+            return false;
+        }
+        const untranslatedGroups = this.readJson(untranslatedFile, null);
+        if (!untranslatedGroups) {
+            Logger.error(`无法读取未翻译清单: ${untranslatedFile}，请先运行 npm run validate 或 npm run extract`);
+            return false;
+        }
+
+        const memory = new TranslationMemory(this.collectUnits(groups, options.locale));
+        const results = this.findUntranslated(untranslatedGroups, groups, options.locale)
+            .map(item => ({ ...item, suggestions: memory.suggest(item.text, options) }));
+        const matched = results.filter(result => result.suggestions.length > 0);
+
+        console.log(`\n记忆库: ${memory.units.size} 个词条，未翻译文本: ${results.length} 个，其中 ${matched.length} 个找到相似译文\n`);
+        for (const result of matched) {
+            console.log(`"${result.text}"`);
+            result.suggestions.forEach(suggestion => console.log(`  ${suggestion.score}  ${suggestion.source} → ${suggestion.target}`));
+        }
+
+        const reportPath = path.join(projectRoot, 'translations', REPORT_FILE);
+        if (FileUtils.safeWriteFile(reportPath, JSON.stringify({ timestamp: new Date().toISOString(), locale: options.locale, threshold: options.threshold, results }, null, 2))) {
+            Logger.success(`\n推荐报告: ${reportPath}`);
+        }
+
+        if (!options.fill) {
+            return true;
+        }
+
+        const userFile = LocaleManager.getUserFile(options.locale);
+        const userGroups = this.readJson(userFile, {});
+        if (!userGroups) {
+            return false;
+        }
+        const added = this.fillDrafts(userGroups, matched);
+        if (added > 0 && !FileUtils.safeWriteFile(userFile, JSON.stringify(userGroups, null, 2))) {
+            return false;
+        }
+        Logger.success(`已向 ${path.basename(userFile)} 写入 ${added} 个 fuzzy 草稿，确认译文后删除 "fuzzy": true 再合并`);
+        return true;
+    }
+
+    /**
+     * 解析命令行参数
+     * @param {string[]} args 命令行参数
+     * @returns {{locale: string, threshold: number, limit: number, fill: boolean}}
+     */
+    static parseArgs(args) {
+        const { locale, args: rest } = LocaleManager.parseArgs(args);
+        const readNumber = (name, fallback, parse) => {
+            const index = rest.indexOf(name);
+            return index === -1 ? fallback : parse(rest[index + 1]);
+        };
+
+        return {
+            locale,
+            threshold: readNumber('--threshold', DEFAULT_THRESHOLD, parseFloat),
+            limit: readNumber('--limit', DEFAULT_SUGGESTIONS, value => parseInt(value, 10)),
+            fill: rest.includes('--fill')
+        };
+    }
+}
+
+function main() {
+    console.log('--- 翻译记忆推荐工具 ---');
+    const options = TranslationMemory.parseArgs(process.argv.slice(2));
+
+    if (!(options.threshold > 0 && options.threshold <= 1)) {
+        Logger.error('参数无效: --threshold 必须在 0 到 1 之间');
+        process.exit(1);
+    }
+    if (!Number.isInteger(options.limit) || options.limit < 1) {
+        Logger.error('参数无效: --limit 必须是正整数');
+        process.exit(1);
+    }
+
+    if (!TranslationMemory.run(options)) {
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { TranslationMemory };
\ No newline at end of file
@@ -1,17 +1,26 @@
 const fs = require('fs');
 const path = require('path');
 
+const { TranslationEntry, ARCHIVED_GROUP } = require('./translation-entry.js');
+const { LocaleManager, DEFAULT_LOCALE } = require('./locale-manager.js');
+const { JsonReader } = require('./json-reader.js');
+
 /**
  * 翻译合并器类
- * 用于在启动前检查并合并 yes-zh-cn.json 文件到 zh-cn.json
+ * 用于在启动前检查并合并 yes-<语言>.json 文件到 <语言>.json，默认语言为 zh-cn
  */
 class TranslationMerger {
-    constructor() {
+    /**
+     * @param {Object} options { locale }
+     */
+    constructor(options = {}) {
+        this.locale = LocaleManager.normalize(options.locale || DEFAULT_LOCALE);
         this.translationsDir = path.join(__dirname, '..', 'translations');
-        this.zhCnFile = path.join(this.translationsDir, 'zh-cn.json');
-        this.yesZhCnFile = path.join(this.translationsDir, 'yes-zh-cn.json');
-        this.backupFile = path.join(this.translationsDir, 'zh-cn.json.backup');
+        this.zhCnFile = LocaleManager.getTranslationFile(this.locale);
+        this.yesZhCnFile = LocaleManager.getUserFile(this.locale);
+        this.backupFile = `${this.zhCnFile}.backup`;
         this.mergeLog = [];
+        this.skippedFuzzy = [];
     }
 
     static log(level, message) {
@@ -66,7 +75,7 @@ class TranslationMerger {
     }
 
     /**
-     * 解析JSON文件
+     * 解析JSON文件，有重复键时不合并，以免被覆盖的译文在写回翻译文件时丢失
      */
     parseJsonFile(filePath) {
         const content = this.safeReadFile(filePath);
@@ -75,11 +84,20 @@ class TranslationMerger {
         }
 
         try {
-            const parsed = JSON.parse(content);
+            const { value, duplicates } = JsonReader.parse(content, filePath);
+            if (duplicates.length > 0) {
+                duplicates.forEach(duplicate => TranslationMerger.log('ERROR', JsonReader.describeDuplicate(duplicate, filePath)));
+                this.mergeLog.push({
+                    type: 'DUPLICATE_KEYS',
+                    file: filePath,
+                    duplicates
+                });
+                return null;
+            }
             TranslationMerger.log('INFO', `成功解析JSON文件: ${filePath}`);
-            return parsed;
+            return value;
         } catch (error) {
-            TranslationMerger.log('ERROR', `JSON解析失败: ${filePath} - ${error.message}`);
+            TranslationMerger.log('ERROR', `JSON解析失败: ${error.message}`);
             this.mergeLog.push({
                 type: 'JSON_PARSE_ERROR',
                 file: filePath,
@@ -94,7 +112,7 @@ class TranslationMerger {
      */
     createBackup() {
         if (!fs.existsSync(this.zhCnFile)) {
-            TranslationMerger.log('WARN', 'zh-cn.json 文件不存在，无需备份');
+            TranslationMerger.log('WARN', `${path.basename(this.zhCnFile)} 文件不存在，无需备份`);
             return true;
         }
 
@@ -113,7 +131,13 @@ class TranslationMerger {
         const result = { ...target };
         
         for (const [key, value] of Object.entries(source)) {
-            if (value && typeof value === 'object' && !Array.isArray(value)) {
+            // fuzzy 草稿尚未确认，保留在 yes 文件中，不合并
+            if (TranslationEntry.isFuzzy(value)) {
+                this.skippedFuzzy.push(key);
+                continue;
+            }
+            // 词条对象（带替换选项的译文）整体覆盖，只有分组才递归合并
+            if (value && typeof value === 'object' && !Array.isArray(value) && !TranslationEntry.isEntryObject(value)) {
                 result[key] = this.deepMerge(result[key] || {}, value);
             } else {
                 result[key] = value;
@@ -123,6 +147,31 @@ class TranslationMerger {
         return result;
     }
 
+    /**
+     * 重新加入其他分组的词条从归档分组中移除
+     */
+    unarchive(translations) {
+        const archived = translations[ARCHIVED_GROUP];
+        if (!archived || typeof archived !== 'object') {
+            return [];
+        }
+
+        const restored = [];
+        for (const group of Object.values(TranslationEntry.withoutArchived(translations))) {
+            if (typeof group !== 'object' || group === null) {
+                continue;
+            }
+            for (const key of Object.keys(group)) {
+                if (key in archived) {
+                    delete archived[key];
+                    restored.push(key);
+                }
+            }
+        }
+
+        return restored;
+    }
+
     /**
      * 统计合并结果
      */
@@ -130,7 +179,7 @@ class TranslationMerger {
         let total = 0;
         let categories = 0;
         
-        for (const [category, items] of Object.entries(translations)) {
+        for (const [category, items] of Object.entries(TranslationEntry.withoutArchived(translations))) {
             if (typeof items === 'object' && items !== null) {
                 categories++;
                 total += Object.keys(items).length;
@@ -146,23 +195,23 @@ class TranslationMerger {
     checkAndMerge() {
         TranslationMerger.log('INFO', '开始检查翻译文件合并...');
         
-        // 检查 yes-zh-cn.json 是否存在
+        // 检查 yes-<语言>.json 是否存在
         if (!fs.existsSync(this.yesZhCnFile)) {
-            TranslationMerger.log('INFO', 'yes-zh-cn.json 文件不存在，跳过合并');
+            TranslationMerger.log('INFO', `${path.basename(this.yesZhCnFile)} 文件不存在，跳过合并`);
             return { success: true, merged: false, reason: '文件不存在' };
         }
 
         // 读取现有翻译文件
         const existingTranslations = this.parseJsonFile(this.zhCnFile);
         if (!existingTranslations) {
-            TranslationMerger.log('ERROR', '无法读取现有的 zh-cn.json 文件');
+            TranslationMerger.log('ERROR', `无法读取现有的 ${path.basename(this.zhCnFile)} 文件`);
             return { success: false, merged: false, reason: '无法读取现有文件' };
         }
 
         // 读取要合并的文件
         const newTranslations = this.parseJsonFile(this.yesZhCnFile);
         if (!newTranslations) {
-            TranslationMerger.log('ERROR', '无法读取 yes-zh-cn.json 文件');
+            TranslationMerger.log('ERROR', `无法读取 ${path.basename(this.yesZhCnFile)} 文件`);
             return { success: false, merged: false, reason: '无法读取合并文件' };
         }
 
@@ -177,6 +226,13 @@ class TranslationMerger {
 
         // 执行深度合并
         const mergedTranslations = this.deepMerge(existingTranslations, newTranslations);
+        if (this.skippedFuzzy.length > 0) {
+            TranslationMerger.log('WARN', `跳过 ${this.skippedFuzzy.length} 个 fuzzy 草稿，确认译文并删除 fuzzy 标记后才会合并`);
+        }
+        const restored = this.unarchive(mergedTranslations);
+        if (restored.length > 0) {
+            TranslationMerger.log('INFO', `${restored.length} 个已归档的词条重新加入翻译: ${restored.join(', ')}`);
+        }
         
         // 统计合并后的情况
         const afterStats = this.countTranslations(mergedTranslations);
@@ -202,7 +258,8 @@ class TranslationMerger {
             added: {
                 translations: addedTranslations,
                 categories: addedCategories
-            }
+            },
+            skippedFuzzy: this.skippedFuzzy
         });
 
         TranslationMerger.log('SUCCESS', `成功合并翻译文件，新增 ${addedTranslations} 个词条`);
@@ -216,7 +273,8 @@ class TranslationMerger {
                 added: {
                     translations: addedTranslations,
                     categories: addedCategories
-                }
+                },
+                skippedFuzzy: this.skippedFuzzy.length
             }
         };
     }
@@ -227,6 +285,7 @@ class TranslationMerger {
     generateMergeReport(result) {
         const report = {
             timestamp: new Date().toISOString(),
+            locale: this.locale,
             success: result.success,
             merged: result.merged,
             reason: result.reason,
@@ -280,7 +339,8 @@ class TranslationMerger {
  * 命令行入口
  */
 function main() {
-    const merger = new TranslationMerger();
+    const { locale } = LocaleManager.parseArgs(process.argv.slice(2));
+    const merger = new TranslationMerger({ locale });
     const result = merger.run();
     
     if (!result.success) {
@@ -0,0 +1,158 @@
+const { Logger, FileUtils } = require('./apply.js');
+const { ARCHIVED_GROUP } = require('./translation-entry.js');
+const { LocaleManager } = require('./locale-manager.js');
+const { MatchHistory } = require('./match-history.js');
+const { JsonReader } = require('./json-reader.js');
+
+const DEFAULT_VERSIONS = 3;
+
+/**
+ * 过时词条清理
+ * 根据应用汉化时记录的匹配情况，找出最近几个 Cursor 版本中都未找到的词条；
+ * 可将其移入翻译文件的 archived 分组而不是直接删除，归档的词条不再参与替换与校验
+ */
+class TranslationPruner {
+    /**
+     * 按分组找出过时词条
+     * @param {Object} groups 按分组组织的翻译
+     * @param {Set} stale 过时的原文
+     * @returns {Object} 分组名 → 过时原文列表
+     */
+    static findStaleEntries(groups, stale) {
+        const found = {};
+        for (const [groupName, group] of Object.entries(groups)) {
+            if (groupName === ARCHIVED_GROUP || !group || typeof group !== 'object') {
+                continue;
+            }
+            const keys = Object.keys(group).filter(key => stale.has(key));
+            if (keys.length > 0) {
+                found[groupName] = keys;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * 将过时词条移入 archived 分组，归档中已有的同名词条被新值覆盖
+     * @param {Object} groups 按分组组织的翻译
+     * @param {Object} staleEntries findStaleEntries 的结果
+     * @returns {Object} 新的翻译对象
+     */
+    static archive(groups, staleEntries) {
+        const result = {};
+        const archived = { ...(groups[ARCHIVED_GROUP] || {}) };
+
+        for (const [groupName, group] of Object.entries(groups)) {
+            if (groupName === ARCHIVED_GROUP) {
+                continue;
+            }
+            const staleKeys = new Set(staleEntries[groupName] || []);
+            const kept = {};
+            for (const [key, value] of Object.entries(group)) {
+                if (staleKeys.has(key)) {
+                    archived[key] = value;
+                } else {
+                    kept[key] = value;
+                }
+            }
+            // 词条全部归档后删除空分组
+            if (Object.keys(kept).length > 0 || staleKeys.size === 0) {
+                result[groupName] = kept;
+            }
+        }
+
+        result[ARCHIVED_GROUP] = archived;
+        return result;
+    }
+
+    /**
+     * 列出并按需归档过时词条
+     * @param {Object} options { locale, versions, archive }
+     * @returns {boolean} 是否成功
+     */
+    static run(options) {
+        const translationFile = LocaleManager.getTranslationFile(options.locale);
+        const content = FileUtils.safeReadFile(translationFile);
+        if (content === null) {
+            Logger.error(`无法读取翻译文件: ${translationFile}`);
+            return false;
+        }
+
+        let groups;
+        try {
+            const parsed = JsonReader.parse(content, translationFile);
+            if (parsed.duplicates.length > 0) {
+                // 清理会重写翻译文件，重复键中被覆盖的译文会丢失，需先手动处理
+                parsed.duplicates.forEach(duplicate => Logger.error(JsonReader.describeDuplicate(duplicate, translationFile)));
+                Logger.error('翻译文件中有重复的键，请先合并或删除重复的词条');
+                return false;
+            }
+            groups = parsed.value;
+        } catch (error) {
+            Logger.error(`翻译文件解析失败: ${error.message}`);
+            return false;
+        }
+
+        const { versions, stale } = MatchHistory.findStale(options.locale, options.versions);
+        if (versions.length < options.versions) {
+            console.log(`\n${options.locale} 只有 ${versions.length} 个版本的匹配记录（${versions.join(', ') || '无'}），至少需要 ${options.versions} 个版本才能判断过时词条`);
+            console.log('匹配记录在每次应用汉化时按 Cursor 版本保存，也可以用 --versions 减少版本数量');
+            return true;
+        }
+
+        const staleEntries = this.findStaleEntries(groups, stale);
+        const total = Object.values(staleEntries).reduce((sum, keys) => sum + keys.length, 0);
+        console.log(`\n根据 ${versions.join(', ')} 版本的匹配记录，有 ${total} 个词条在这些版本中都未找到`);
+        if (total === 0) {
+            return true;
+        }
+
+        for (const [groupName, keys] of Object.entries(staleEntries)) {
+            console.log(`\n${groupName} (${keys.length}):`);
+            keys.forEach(key => console.log(`  - ${key}`));
+        }
+
+        if (!options.archive) {
+            console.log(`\n使用 --archive 可将这些词条移入 ${ARCHIVED_GROUP} 分组`);
+            return true;
+        }
+
+        if (!FileUtils.safeWriteFile(translationFile, JSON.stringify(this.archive(groups, staleEntries), null, 2))) {
+            return false;
+        }
+        Logger.success(`\n已将 ${total} 个词条移入 ${ARCHIVED_GROUP} 分组，需要恢复时移回原分组即可`);
+        return true;
+    }
+
+    /**
+     * 解析命令行参数
+     * @param {string[]} args 命令行参数
+     * @returns {{locale: string, versions: number, archive: boolean}}
+     */
+    static parseArgs(args) {
+        const { locale, args: rest } = LocaleManager.parseArgs(args);
+        const index = rest.indexOf('--versions');
+        const versions = index === -1 ? DEFAULT_VERSIONS : parseInt(rest[index + 1], 10);
+        return { locale, versions, archive: rest.includes('--archive') };
+    }
+}
+
+function main() {
+    console.log('--- 过时词条清理工具 ---');
+    const options = TranslationPruner.parseArgs(process.argv.slice(2));
+
+    if (!Number.isInteger(options.versions) || options.versions < 1) {
+        Logger.error('参数无效: --versions 必须是正整数');
+        process.exit(1);
+    }
+
+    if (!TranslationPruner.run(options)) {
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { TranslationPruner };
\ No newline at end of file
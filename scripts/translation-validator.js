@@ -1,16 +1,25 @@
 const fs = require('fs');
 const path = require('path');
 
+const { TranslationEntry } = require('./translation-entry.js');
+const { LocaleManager, DEFAULT_LOCALE } = require('./locale-manager.js');
+const { StringExtractor, EXTRACTED_GROUP } = require('./string-extractor.js');
+const { ProtectedTerms } = require('./protected-terms.js');
+const { JsonReader } = require('./json-reader.js');
+
 /**
  * 翻译验证器类
  * 用于检测未翻译的词条并创建缺失的翻译文件
  */
 class TranslationValidator {
     constructor(options = {}) {
+        this.locale = LocaleManager.normalize(options.locale || DEFAULT_LOCALE);
         this.translationsDir = path.join(__dirname, '..', 'translations');
-        this.zhCnFile = path.join(this.translationsDir, 'zh-cn.json');
-        this.noFile = path.join(this.translationsDir, 'no.json');
+        this.zhCnFile = LocaleManager.getTranslationFile(this.locale);
+        this.noFile = LocaleManager.getUntranslatedFile(this.locale);
         this.missingTranslations = [];
+        this.protectedViolations = [];
+        this.duplicateKeys = [];
         this.errorLog = [];
         this.quietMode = options.quiet || false;
     }
@@ -85,11 +94,16 @@ class TranslationValidator {
         }
 
         try {
-            const parsed = JSON.parse(content);
+            const { value, duplicates } = JsonReader.parse(content, filePath);
+            // 同一文件可能被读取多次，只保留最后一次的结果
+            this.duplicateKeys = [
+                ...this.duplicateKeys.filter(duplicate => duplicate.file !== filePath),
+                ...duplicates.map(duplicate => ({ file: filePath, ...duplicate }))
+            ];
             TranslationValidator.log('INFO', `成功解析JSON文件: ${filePath}`, this.quietMode);
-            return parsed;
+            return value;
         } catch (error) {
-            TranslationValidator.log('ERROR', `JSON解析失败: ${filePath} - ${error.message}`, this.quietMode);
+            TranslationValidator.log('ERROR', `JSON解析失败: ${error.message}`, this.quietMode, true);
             this.errorLog.push({
                 type: 'JSON_PARSE_ERROR',
                 file: filePath,
@@ -99,6 +113,14 @@ class TranslationValidator {
         }
     }
 
+    /**
+     * 读取翻译文件，去掉已归档的分组
+     */
+    parseActiveTranslations() {
+        const parsed = this.parseJsonFile(this.zhCnFile);
+        return parsed && TranslationEntry.withoutArchived(parsed);
+    }
+
     /**
      * 提取所有词条（包括已翻译和未翻译的）
      */
@@ -107,10 +129,10 @@ class TranslationValidator {
         
         const extractFromObject = (obj, prefix = '') => {
             for (const [key, value] of Object.entries(obj)) {
-                if (typeof value === 'string') {
+                if (TranslationEntry.isEntry(value)) {
                     terms.push({
                         key: key,
-                        value: value,
+                        value: TranslationEntry.getValue(value),
                         path: prefix ? `${prefix}.${key}` : key
                     });
                 } else if (typeof value === 'object' && value !== null) {
@@ -130,10 +152,10 @@ class TranslationValidator {
         const flattened = {};
         
         for (const [key, value] of Object.entries(obj)) {
-            if (typeof value === 'object' && value !== null) {
+            if (TranslationEntry.isEntry(value)) {
+                flattened[key] = TranslationEntry.getValue(value);
+            } else if (typeof value === 'object' && value !== null) {
                 Object.assign(flattened, this.flattenTranslations(value, prefix ? `${prefix}.${key}` : key));
-            } else if (typeof value === 'string') {
-                flattened[key] = value;
             }
         }
         
@@ -142,26 +164,25 @@ class TranslationValidator {
 
     /**
      * 检查词条是否已翻译
-     * 如果包含中文字符，认为已翻译
+     * 如果包含目标语言的文字（如中文字符），认为已翻译
      * 如果只包含英文字符、数字、符号等，认为未翻译
      */
     isTranslated(term) {
-        // 检查是否包含中文字符
-        const hasChinese = /[\u4e00-\u9fff]/.test(term.value);
+        // 检查是否包含目标语言的文字
+        const hasChinese = LocaleManager.isTranslatedText(term.value, this.locale);
         // 检查是否主要是英文内容（包含英文字母且长度大于2）
         const isEnglishContent = /[a-zA-Z]/.test(term.value) && term.value.length > 2;
         
-        // 如果包含中文，认为已翻译
+        // 如果包含目标语言的文字，认为已翻译
         if (hasChinese) {
             return true;
         }
         
         // 如果是纯英文内容且长度较长，可能是未翻译的
         if (isEnglishContent) {
-            // 排除一些明显的技术术语或简短词汇
-            const technicalTerms = ['API', 'URL', 'ID', 'AWS', 'IAM', 'JSON', 'HTML', 'CSS', 'JS', 'TS'];
-            if (technicalTerms.includes(term.value.trim())) {
-                return true; // 技术术语认为不需要翻译
+            // 只由受保护术语（产品名、技术名词、快捷键）组成的内容不需要翻译
+            if (!/[a-zA-Z]/.test(ProtectedTerms.strip(term.value))) {
+                return true;
             }
             return false; // 其他英文内容认为未翻译
         }
@@ -170,15 +191,50 @@ class TranslationValidator {
         return true;
     }
 
+    /**
+     * 检查受保护术语：原文中的产品名、技术名词与快捷键必须原样出现在译文中（含全部变体），
+     * 原文本身就是受保护术语的词条，译文必须与原文一致
+     */
+    checkProtectedTerms(translations) {
+        const violations = [];
+
+        for (const [groupName, group] of Object.entries(translations)) {
+            if (!group || typeof group !== 'object') {
+                continue;
+            }
+            for (const [key, value] of Object.entries(group)) {
+                if (!TranslationEntry.isEntry(value)) {
+                    continue;
+                }
+                if (ProtectedTerms.isProtected(key)) {
+                    for (const translation of new Set(TranslationEntry.getValues(value))) {
+                        if (translation !== key) {
+                            violations.push({ path: `${groupName}.${key}`, key, translation, reason: '受保护的术语不应翻译，译文应与原文一致' });
+                        }
+                    }
+                    continue;
+                }
+                for (const translation of new Set(TranslationEntry.getValues(value))) {
+                    const missing = ProtectedTerms.findMissing(key, translation);
+                    if (missing.length > 0) {
+                        violations.push({ path: `${groupName}.${key}`, key, translation, reason: `译文中缺少受保护的术语: ${missing.join(', ')}` });
+                    }
+                }
+            }
+        }
+
+        return violations;
+    }
+
     /**
      * 分析翻译文件
      */
     analyzeTranslations() {
         TranslationValidator.log('INFO', '开始分析翻译文件...', this.quietMode);
         
-        const zhCnTranslations = this.parseJsonFile(this.zhCnFile);
+        const zhCnTranslations = this.parseActiveTranslations();
         if (!zhCnTranslations) {
-            TranslationValidator.log('ERROR', '无法读取 zh-cn.json 文件', this.quietMode);
+            TranslationValidator.log('ERROR', `无法读取 ${path.basename(this.zhCnFile)} 文件`, this.quietMode);
             return false;
         }
 
@@ -186,6 +242,11 @@ class TranslationValidator {
         this.allTermsCount = allTerms.length;
         TranslationValidator.log('INFO', `找到 ${allTerms.length} 个总词条`, this.quietMode);
 
+        this.protectedViolations = this.checkProtectedTerms(zhCnTranslations);
+        this.protectedViolations.forEach(violation => {
+            TranslationValidator.log('ERROR', `${violation.path}: ${violation.reason}`, this.quietMode);
+        });
+
         // 检查现有翻译文件中未翻译的词条
         const existingUntranslated = allTerms.filter(term => !this.isTranslated(term));
         
@@ -218,13 +279,23 @@ class TranslationValidator {
             }
         }
         
-        // 合并两种类型的未翻译词条
-        this.missingTranslations = [...existingUntranslated, ...missingCommonTerms];
+        // 从 Cursor 源文件中提取的界面文本（npm run extract）中尚未翻译的部分
+        const missingExtractedTerms = StringExtractor.loadExtracted(this.locale)
+            .filter(text => !flatTranslations[text] && !commonEnglishTerms.includes(text))
+            .map(text => ({
+                path: EXTRACTED_GROUP,
+                key: text,
+                value: text,
+                category: EXTRACTED_GROUP
+            }));
+        
+        // 合并三种类型的未翻译词条
+        this.missingTranslations = [...existingUntranslated, ...missingCommonTerms, ...missingExtractedTerms];
         
         // 统计已翻译的词条
         const translatedTerms = allTerms.filter(term => this.isTranslated(term));
         TranslationValidator.log('INFO', `已翻译词条: ${translatedTerms.length} 个`, this.quietMode);
-        TranslationValidator.log('INFO', `翻译完成度: ${((translatedTerms.length / (allTerms.length + missingCommonTerms.length)) * 100).toFixed(1)}%`, this.quietMode);
+        TranslationValidator.log('INFO', `翻译完成度: ${((translatedTerms.length / (allTerms.length + missingCommonTerms.length + missingExtractedTerms.length)) * 100).toFixed(1)}%`, this.quietMode);
         
         TranslationValidator.log('INFO', `发现 ${this.missingTranslations.length} 个未翻译的词条`, this.quietMode);
         
@@ -232,13 +303,13 @@ class TranslationValidator {
     }
 
     /**
-     * 创建no.json文件
-     * 参照zh-cn.json的结构，保持一致性
+     * 创建no.json文件（非默认语言为 no-<语言>.json）
+     * 参照翻译文件的结构，保持一致性
      */
     createNoJson() {
-        const zhCnTranslations = this.parseJsonFile(this.zhCnFile);
+        const zhCnTranslations = this.parseActiveTranslations();
         if (!zhCnTranslations) {
-            TranslationValidator.log('ERROR', '无法读取 zh-cn.json 文件作为参照', this.quietMode);
+            TranslationValidator.log('ERROR', `无法读取 ${path.basename(this.zhCnFile)} 文件作为参照`, this.quietMode);
             return false;
         }
 
@@ -247,24 +318,30 @@ class TranslationValidator {
         
         function extractOriginalTerms(obj, target) {
             for (const [key, value] of Object.entries(obj)) {
-                if (typeof value === 'object' && value !== null) {
+                if (TranslationEntry.isEntry(value)) {
+                    target[key] = key;
+                } else if (typeof value === 'object' && value !== null) {
                     target[key] = {};
                     extractOriginalTerms(value, target[key]);
-                } else if (typeof value === 'string') {
-                    target[key] = key;
                 }
             }
         }
         
         extractOriginalTerms(zhCnTranslations, originalData);
+
+        // 保留界面文本提取工具写入的分组（npm run extract），该分组来自 Cursor 源文件，无法从翻译文件重建
+        const previous = this.parseJsonFile(this.noFile);
+        if (previous && previous[EXTRACTED_GROUP]) {
+            originalData[EXTRACTED_GROUP] = previous[EXTRACTED_GROUP];
+        }
         
         const jsonString = JSON.stringify(originalData, null, 2);
         
         if (this.safeWriteFile(this.noFile, jsonString)) {
-            TranslationValidator.log('SUCCESS', `成功创建 no.json 文件，包含 ${allOriginalTerms.length} 个原始词条，其中 ${this.missingTranslations.length} 个未翻译`, this.quietMode);
+            TranslationValidator.log('SUCCESS', `成功创建 ${path.basename(this.noFile)} 文件，包含 ${allOriginalTerms.length} 个原始词条，其中 ${this.missingTranslations.length} 个未翻译`, this.quietMode);
             return true;
         } else {
-            TranslationValidator.log('ERROR', '创建 no.json 文件失败', this.quietMode);
+            TranslationValidator.log('ERROR', `创建 ${path.basename(this.noFile)} 文件失败`, this.quietMode);
             return false;
         }
     }
@@ -275,9 +352,12 @@ class TranslationValidator {
     generateReport() {
         const report = {
             timestamp: new Date().toISOString(),
+            locale: this.locale,
             summary: {
                 total_terms: this.allTermsCount || 0,
                 missing_translations: this.missingTranslations.length,
+                protected_term_violations: this.protectedViolations.length,
+                duplicate_keys: this.duplicateKeys.length,
                 errors: this.errorLog.length
             },
             missing_translations: this.missingTranslations.map(term => ({
@@ -285,11 +365,13 @@ class TranslationValidator {
                 english_text: term.value,
                 category: term.path.split('.')[0]
             })),
+            protected_term_violations: this.protectedViolations,
+            duplicate_keys: this.duplicateKeys.map(duplicate => JsonReader.describeDuplicate(duplicate, duplicate.file)),
             errors: this.errorLog,
             recommendations: [
-                "检查 no.json 文件中的未翻译词条",
-                "为未翻译的词条添加中文翻译",
-                "将翻译添加到 zh-cn.json 文件中",
+                `检查 ${path.basename(this.noFile)} 文件中的未翻译词条`,
+                `为未翻译的词条添加 ${LocaleManager.getProfile(this.locale).name} 翻译`,
+                `将翻译添加到 ${path.basename(this.zhCnFile)} 文件中`,
                 "重新运行验证以确保所有词条都已翻译"
             ]
         };
@@ -332,13 +414,26 @@ class TranslationValidator {
                 TranslationValidator.log('SUCCESS', '翻译验证完成！');
                 TranslationValidator.log('INFO', `发现 ${this.missingTranslations.length} 个未翻译词条`);
                 TranslationValidator.log('INFO', `错误数量: ${this.errorLog.length}`);
-                TranslationValidator.log('INFO', 'no.json 文件已更新，包含所有原始英文词条');
+                TranslationValidator.log('INFO', `${path.basename(this.noFile)} 文件已更新，包含所有原始英文词条`);
                 
                 if (this.missingTranslations.length > 0) {
-                    TranslationValidator.log('WARN', '请检查 no.json 文件中的未翻译词条');
+                    TranslationValidator.log('WARN', `请检查 ${path.basename(this.noFile)} 文件中的未翻译词条`);
                 }
             }
 
+            // 受保护术语被翻译会破坏产品名与快捷键，视为验证失败
+            if (this.protectedViolations.length > 0) {
+                TranslationValidator.log('ERROR', `发现 ${this.protectedViolations.length} 处受保护术语问题，详见 translation-report.json`, this.quietMode, true);
+                return false;
+            }
+
+            // 重复的键只有最后一个生效，前面的译文会被静默丢弃
+            if (this.duplicateKeys.length > 0) {
+                TranslationValidator.log('ERROR', `发现 ${this.duplicateKeys.length} 个重复的键:`, this.quietMode, true);
+                this.duplicateKeys.forEach(duplicate => TranslationValidator.log('ERROR', JsonReader.describeDuplicate(duplicate, duplicate.file), this.quietMode, true));
+                return false;
+            }
+
             return true;
         } catch (error) {
             TranslationValidator.log('ERROR', `执行过程中发生错误: ${error.message}`);
@@ -356,10 +451,10 @@ class TranslationValidator {
  * 命令行入口
  */
 function main() {
-    const args = process.argv.slice(2);
+    const { locale, args } = LocaleManager.parseArgs(process.argv.slice(2));
     const quietMode = args.includes('--quiet') || args.includes('-q');
     
-    const validator = new TranslationValidator({ quiet: quietMode });
+    const validator = new TranslationValidator({ quiet: quietMode, locale });
     const success = validator.run();
     
     if (!success) {
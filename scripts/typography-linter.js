@@ -0,0 +1,302 @@
+const fs = require('fs');
+const path = require('path');
+
+const { TranslationEntry } = require('./translation-entry.js');
+const { LocaleManager } = require('./locale-manager.js');
+const { PlaceholderChecker } = require('./placeholder-checker.js');
+const { JsonReader } = require('./json-reader.js');
+
+const CONVERSION_TABLE = path.join(__dirname, 'data', 'zh-tw-conversion.json');
+const SEVERITIES = ['off', 'warning', 'error'];
+const CJK = '\\u4e00-\\u9fff';
+const LATIN = 'A-Za-z0-9';
+// 半角标点 → 全角标点
+const FULL_WIDTH = { ',': '，', ';': '；', ':': '：', '!': '！', '?': '？', '(': '（', ')': '）' };
+// 原文句末标点 → 译文中对应的句末标点
+const TRAILING = { '.': '。', '!': '！', '?': '？', ':': '：' };
+const TRAILING_TRANSLATED = /[。！？：.!?:]$/;
+const DEFAULT_ELLIPSIS = '…';
+
+/**
+ * 中文排版检查
+ * 规则可在 <语言>.typography.json 中设置级别（off / warning / error）及选项，
+ * 能安全修复的规则提供自动修复（npm run validate:missing -- fix）
+ */
+class TypographyLinter {
+    static traditionalMap = null;
+
+    /**
+     * 读取语言的排版规则配置，未配置的规则使用默认级别
+     * @param {string} locale 语言代码
+     * @returns {Object|null} 规则 ID → { severity, options }，没有配置文件的语言返回 null
+     * @throws {Error} 配置无效时抛出
+     */
+    static loadConfig(locale) {
+        const configFile = LocaleManager.getTypographyFile(locale);
+        if (!fs.existsSync(configFile)) {
+            return null;
+        }
+
+        const raw = JsonReader.parseConfig(fs.readFileSync(configFile, 'utf-8'), configFile);
+        const config = {};
+        for (const [id, rule] of Object.entries(RULES)) {
+            const setting = raw[id] === undefined ? rule.severity : raw[id];
+            const options = typeof setting === 'object' && setting !== null ? setting : { severity: setting };
+            if (!SEVERITIES.includes(options.severity)) {
+                throw new Error(`规则 "${id}" 的级别无效: ${options.severity}`);
+            }
+            config[id] = { severity: options.severity, options };
+        }
+
+        const unknown = Object.keys(raw).filter(id => !RULES[id]);
+        if (unknown.length > 0) {
+            throw new Error(`未知的排版规则: ${unknown.join(', ')}`);
+        }
+        return config;
+    }
+
+    /**
+     * 检查一条译文
+     * @param {string} source 英文原文
+     * @param {string} translation 译文
+     * @param {Object} config loadConfig 返回的配置
+     * @returns {Array<{rule: string, severity: string, message: string, fixable: boolean}>}
+     */
+    static lint(source, translation, config) {
+        const problems = [];
+        for (const [id, rule] of Object.entries(RULES)) {
+            const { severity, options } = config[id];
+            if (severity === 'off') {
+                continue;
+            }
+            for (const message of rule.check(source, translation, options)) {
+                problems.push({ rule: id, severity, message, fixable: !!rule.fix });
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * 自动修复译文中可安全修复的问题
+     * @param {string} source 英文原文
+     * @param {string} translation 译文
+     * @param {Object} config loadConfig 返回的配置
+     * @returns {string} 修复后的译文
+     */
+    static fix(source, translation, config) {
+        let result = translation;
+        for (const [id, rule] of Object.entries(RULES)) {
+            if (rule.fix && config[id].severity !== 'off') {
+                result = rule.fix(source, result, config[id].options);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 自动修复翻译文件中的一个词条，依次处理字符串、词条对象的 value 与变体数组中的每个译文
+     * @param {string} source 英文原文
+     * @param {*} entry 翻译文件中的值
+     * @param {Object} config loadConfig 返回的配置
+     * @returns {*} 修复后的值，结构与原值相同
+     */
+    static fixEntry(source, entry, config) {
+        if (typeof entry === 'string') {
+            return this.fix(source, entry, config);
+        }
+        if (Array.isArray(entry)) {
+            return entry.map(variant => this.fixEntry(source, variant, config));
+        }
+        if (TranslationEntry.isEntryObject(entry)) {
+            return { ...entry, value: this.fix(source, entry.value, config) };
+        }
+        return entry;
+    }
+
+    /**
+     * 繁体字 → 简体字对照，由繁体转换表反推，只保留一一对应的字
+     * @returns {Map}
+     */
+    static getTraditionalMap() {
+        if (this.traditionalMap) {
+            return this.traditionalMap;
+        }
+
+        const characters = fs.existsSync(CONVERSION_TABLE) ? JsonReader.parseConfig(fs.readFileSync(CONVERSION_TABLE, 'utf-8'), CONVERSION_TABLE).characters || {} : {};
+        const simplified = new Set(Object.keys(characters));
+        const reverse = new Map();
+        const ambiguous = new Set();
+        for (const [simple, traditional] of Object.entries(characters)) {
+            if (traditional === simple || simplified.has(traditional)) {
+                continue;
+            }
+            if (reverse.has(traditional)) {
+                ambiguous.add(traditional);
+            }
+            reverse.set(traditional, simple);
+        }
+        ambiguous.forEach(traditional => reverse.delete(traditional));
+
+        this.traditionalMap = reverse;
+        return reverse;
+    }
+}
+
+/**
+ * 把与中文相邻的半角标点换成全角，括号成对转换，并去掉全角标点两侧的空格
+ * @param {string} text 译文
+ * @returns {string}
+ */
+function toFullWidthPunctuation(text) {
+    const chars = [...text];
+    const isCjk = char => char !== undefined && new RegExp(`[${CJK}]`).test(char);
+    const neighbour = (index, step) => {
+        let i = index + step;
+        while (chars[i] === ' ') {
+            i += step;
+        }
+        return chars[i];
+    };
+
+    const open = [];
+    for (let i = 0; i < chars.length; i++) {
+        if (chars[i] === '(') {
+            open.push(i);
+        } else if (chars[i] === ')' && open.length > 0) {
+            const start = open.pop();
+            if (isCjk(neighbour(start, -1)) || isCjk(neighbour(i, 1)) || isCjk(neighbour(start, 1)) || isCjk(neighbour(i, -1))) {
+                chars[start] = FULL_WIDTH['('];
+                chars[i] = FULL_WIDTH[')'];
+            }
+        } else if (/[,;:!?]/.test(chars[i]) && isCjk(neighbour(i, -1))) {
+            chars[i] = FULL_WIDTH[chars[i]];
+        } else if (chars[i] === '.' && isCjk(chars[i - 1]) && (chars[i + 1] === undefined || chars[i + 1] === ' ' || isCjk(chars[i + 1]))) {
+            chars[i] = '。';
+        }
+    }
+
+    return chars.join('')
+        .replace(/ +([，。；：！？）])/g, '$1')
+        .replace(/([，。；：！？（]) +/g, '$1')
+        .replace(/ +（/g, '（')
+        .replace(/） +/g, '）');
+}
+
+// 规则：check 返回问题描述列表，fix（可选）返回修复后的译文
+const RULES = {
+    'punctuation-width': {
+        severity: 'error',
+        check(source, translation) {
+            const fixed = toFullWidthPunctuation(translation);
+            return fixed === translation ? [] : [`中文中应使用全角标点: "${fixed}"`];
+        },
+        fix: (source, translation) => toFullWidthPunctuation(translation)
+    },
+    'cjk-latin-spacing': {
+        severity: 'warning',
+        check(source, translation) {
+            const missing = translation.match(new RegExp(`[${CJK}][${LATIN}$]|[${LATIN}}%][${CJK}]`, 'g')) || [];
+            return missing.map(pair => `中文与英文、数字之间应有空格: "${pair}"`);
+        },
+        fix: (source, translation) => translation
+            .replace(new RegExp(`([${CJK}])([${LATIN}$])`, 'g'), '$1 $2')
+            .replace(new RegExp(`([${LATIN}}%])([${CJK}])`, 'g'), '$1 $2')
+    },
+    'ellipsis': {
+        severity: 'warning',
+        check(source, translation, options) {
+            const style = options.style || DEFAULT_ELLIPSIS;
+            const found = (translation.match(/\.{3}|。{3}|…+/g) || []).filter(ellipsis => ellipsis !== style);
+            return found.map(ellipsis => `省略号应写作 "${style}": "${ellipsis}"`);
+        },
+        fix: (source, translation, options) => translation.replace(/\.{3}|。{3}|…+/g, options.style || DEFAULT_ELLIPSIS)
+    },
+    'quote-style': {
+        severity: 'warning',
+        check(source, translation) {
+            return findTextQuotes(translation).length > 0 && new RegExp(`[${CJK}]`).test(translation) ? ['中文中应使用弯引号 “”'] : [];
+        },
+        fix(source, translation) {
+            // 只修复 HTML 标签与占位符之外成对出现的直引号，标签属性中的引号必须保留
+            const quotes = findTextQuotes(translation);
+            if (quotes.length % 2 !== 0 || !new RegExp(`[${CJK}]`).test(translation)) {
+                return translation;
+            }
+            const chars = [...translation];
+            quotes.forEach((index, i) => {
+                chars[index] = i % 2 === 0 ? '“' : '”';
+            });
+            return chars.join('');
+        }
+    },
+    'trailing-punctuation': {
+        severity: 'warning',
+        check(source, translation) {
+            const expected = expectedTrailing(source);
+            const actual = translation.match(TRAILING_TRANSLATED);
+            if (expected && !translation.endsWith(expected)) {
+                return [`原文以 "${source.slice(-1)}" 结尾，译文应以 "${expected}" 结尾`];
+            }
+            if (!expected && actual && !/[.!?:]$/.test(source) && !/\.{3}$/.test(source)) {
+                return [`原文没有句末标点，译文不应以 "${actual[0]}" 结尾`];
+            }
+            return [];
+        },
+        fix(source, translation) {
+            const expected = expectedTrailing(source);
+            const stripped = translation.replace(TRAILING_TRANSLATED, '');
+            if (expected) {
+                return translation.endsWith(expected) ? translation : `${stripped}${expected}`;
+            }
+            return /[.!?:]$/.test(source) ? translation : stripped;
+        }
+    },
+    'traditional-characters': {
+        severity: 'error',
+        check(source, translation) {
+            const map = TypographyLinter.getTraditionalMap();
+            const found = [...new Set([...translation].filter(char => map.has(char)))];
+            return found.length > 0 ? [`包含繁体字: ${found.map(char => `${char}→${map.get(char)}`).join(' ')}`] : [];
+        },
+        fix(source, translation) {
+            const map = TypographyLinter.getTraditionalMap();
+            return [...translation].map(char => map.get(char) || char).join('');
+        }
+    }
+};
+
+/**
+ * 找出 HTML 标签、占位符等标记之外的直引号
+ * @param {string} text 译文
+ * @returns {number[]} 直引号在字符数组中的下标
+ */
+function findTextQuotes(text) {
+    const masked = new Array(text.length).fill(false);
+    for (const { token, index } of PlaceholderChecker.extract(text)) {
+        masked.fill(true, index, index + token.length);
+    }
+
+    const quotes = [];
+    let offset = 0;
+    [...text].forEach((char, i) => {
+        if (char === '"' && !masked[offset]) {
+            quotes.push(i);
+        }
+        offset += char.length;
+    });
+    return quotes;
+}
+
+/**
+ * 根据原文的句末标点得到译文应有的句末标点，省略号与不以标点结尾的原文返回 null
+ * @param {string} source 英文原文
+ * @returns {string|null}
+ */
+function expectedTrailing(source) {
+    if (/\.{3}$/.test(source) || /\.\w+\.$/.test(source)) {
+        return null;
+    }
+    return TRAILING[source.slice(-1)] || null;
+}
+
+module.exports = { TypographyLinter };
\ No newline at end of file
@@ -0,0 +1,302 @@
+// 高风险位置：字面量在此处参与程序逻辑，替换后可能破坏 Cursor 功能
+const RISKY_CONTEXTS = ['propertyKey', 'comparison', 'caseLabel', 'memberAccess', 'eventName', 'elementType', 'identifier', 'moduleName'];
+// 展示位置：字面量直接作为界面文本使用
+const DISPLAY_CONTEXTS = ['jsxChild', 'displayProperty', 'displayAssignment', 'localizeArgument'];
+// 中性位置：无法仅凭上下文判断用途
+const NEUTRAL_CONTEXTS = ['argument', 'propertyValue', 'assignment', 'ternary', 'return', 'arrayElement', 'concatenation', 'unknown'];
+
+const DISPLAY_PROPERTIES = new Set([
+    'title', 'label', 'description', 'placeholder', 'tooltip', 'ariaLabel', 'message', 'text', 'detail',
+    'header', 'caption', 'hint', 'subtitle', 'buttonText', 'confirmText', 'cancelText', 'markdownDescription'
+]);
+const IDENTIFIER_PROPERTIES = new Set([
+    'id', 'type', 'kind', 'command', 'key', 'event', 'mode', 'scheme', 'language', 'languageId', 'icon',
+    'className', 'when', 'role', 'value', 'state', 'status', 'action', 'name', 'group', 'source', 'tag'
+]);
+const DISPLAY_ASSIGNMENTS = new Set(['textContent', 'innerText', 'title', 'placeholder', 'ariaLabel', 'label', 'description', 'tooltip', 'message']);
+const EVENT_CALLEES = new Set(['addEventListener', 'removeEventListener', 'on', 'once', 'off', 'emit', 'fire', 'dispatchEvent', 'trigger', 'listen']);
+const ELEMENT_CALLEES = new Set(['createElement', 'jsx', 'jsxs', 'jsxDEV', 'h']);
+const LOCALIZE_CALLEES = new Set(['localize', 'localize2', 'localizeWithPath', 'localize2WithPath', 'nls']);
+const MODULE_CALLEES = new Set(['require', 'import', 'importScripts']);
+const COMPARISON_OPERATORS = new Set(['===', '!==', '==', '!=']);
+
+const MAX_LOOKBEHIND = 1000;
+
+/**
+ * 字面量用途分类器
+ * 根据字面量前后的记号判断其在代码中的用途（对象键、比较操作数、case 标签、JSX 子节点等），
+ * 供替换引擎跳过会影响程序逻辑的位置
+ */
+class UsageClassifier {
+    /**
+     * 获取用途所属类别
+     * @param {string} context 用途
+     * @returns {string} risky | display | neutral
+     */
+    static getCategory(context) {
+        if (RISKY_CONTEXTS.includes(context)) {
+            return 'risky';
+        }
+        if (DISPLAY_CONTEXTS.includes(context)) {
+            return 'display';
+        }
+        return 'neutral';
+    }
+
+    /**
+     * 判断是否为已知的用途名称
+     * @param {string} context 用途
+     * @returns {boolean}
+     */
+    static isKnownContext(context) {
+        return RISKY_CONTEXTS.includes(context) || DISPLAY_CONTEXTS.includes(context) || NEUTRAL_CONTEXTS.includes(context);
+    }
+
+    /**
+     * 判断字符是否可以出现在标识符中
+     * @param {string} char 字符
+     * @returns {boolean}
+     */
+    static isIdentifierChar(char) {
+        return char !== undefined && /[\w$]/.test(char);
+    }
+
+    /**
+     * 读取 position 之前的一个记号（跳过空白）
+     * @param {string} content JS 文件内容
+     * @param {number} position 起点（不含）
+     * @returns {{text: string, start: number}}
+     */
+    static previousToken(content, position) {
+        let i = position - 1;
+        while (i >= 0 && /\s/.test(content[i])) {
+            i--;
+        }
+        if (i < 0) {
+            return { text: '', start: 0 };
+        }
+
+        const end = i + 1;
+        if (this.isIdentifierChar(content[i])) {
+            while (i > 0 && this.isIdentifierChar(content[i - 1])) {
+                i--;
+            }
+        } else if ('=!<>'.includes(content[i])) {
+            while (i > 0 && end - i < 3 && '=!<>'.includes(content[i - 1])) {
+                i--;
+            }
+        }
+        return { text: content.slice(i, end), start: i };
+    }
+
+    /**
+     * 读取 position 之后的一个记号（跳过空白）
+     * @param {string} content JS 文件内容
+     * @param {number} position 起点（含）
+     * @returns {{text: string, end: number}}
+     */
+    static nextToken(content, position) {
+        let i = position;
+        while (i < content.length && /\s/.test(content[i])) {
+            i++;
+        }
+        if (i >= content.length) {
+            return { text: '', end: content.length };
+        }
+
+        const start = i;
+        if (this.isIdentifierChar(content[i])) {
+            while (i < content.length && this.isIdentifierChar(content[i])) {
+                i++;
+            }
+        } else if ('=!<>'.includes(content[i])) {
+            while (i < content.length && i - start < 3 && '=!<>'.includes(content[i])) {
+                i++;
+            }
+        } else {
+            i++;
+        }
+        return { text: content.slice(start, i), end: i };
+    }
+
+    /**
+     * 向前查找包围当前位置的未闭合括号，跳过其间的字符串
+     * @param {string} content JS 文件内容
+     * @param {number} position 起点（不含）
+     * @returns {number} 括号位置，未找到时返回 -1
+     */
+    static findEnclosingOpener(content, position) {
+        let depth = 0;
+        const limit = Math.max(0, position - MAX_LOOKBEHIND);
+
+        for (let i = position - 1; i >= limit; i--) {
+            const char = content[i];
+            if (char === '"' || char === "'" || char === '`') {
+                let open = content.lastIndexOf(char, i - 1);
+                while (open > 0 && content[open - 1] === '\\') {
+                    open = content.lastIndexOf(char, open - 2);
+                }
+                if (open < limit) {
+                    return -1;
+                }
+                i = open;
+            } else if (char === ')' || char === ']' || char === '}') {
+                depth++;
+            } else if (char === '(' || char === '[' || char === '{') {
+                if (depth === 0) {
+                    return i;
+                }
+                depth--;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * 获取调用表达式中被调用函数的名称，如 (0,r.localize)( 返回 localize
+     * @param {string} content JS 文件内容
+     * @param {number} parenIndex 左括号位置
+     * @returns {string} 函数名，无法识别时返回空字符串
+     */
+    static getCalleeName(content, parenIndex) {
+        const before = content.slice(Math.max(0, parenIndex - 80), parenIndex);
+        const match = before.match(/([A-Za-z_$][\w$]*)\s*\)?\s*$/);
+        return match ? match[1] : '';
+    }
+
+    /**
+     * 判断函数调用参数的用途
+     * @param {string} content JS 文件内容
+     * @param {number} literalStart 起始引号位置
+     * @param {number} opener 调用的左括号位置
+     * @returns {string} 用途
+     */
+    static classifyArgument(content, literalStart, opener) {
+        const callee = this.getCalleeName(content, opener);
+        const isFirstArgument = this.previousToken(content, literalStart).text === '(';
+
+        if (EVENT_CALLEES.has(callee)) {
+            return isFirstArgument ? 'eventName' : 'argument';
+        }
+        if (ELEMENT_CALLEES.has(callee)) {
+            return isFirstArgument ? 'elementType' : 'jsxChild';
+        }
+        if (LOCALIZE_CALLEES.has(callee)) {
+            return isFirstArgument ? 'identifier' : 'localizeArgument';
+        }
+        if (MODULE_CALLEES.has(callee)) {
+            return 'moduleName';
+        }
+        return 'argument';
+    }
+
+    /**
+     * 判断冒号之后的字面量是对象属性值还是三元表达式分支
+     * @param {string} content JS 文件内容
+     * @param {number} colonIndex 冒号位置
+     * @returns {string} 用途
+     */
+    static classifyAfterColon(content, colonIndex) {
+        const key = this.previousToken(content, colonIndex);
+        let keyName = key.text;
+        let keyStart = key.start;
+
+        if (keyName === '"' || keyName === "'") {
+            const open = content.lastIndexOf(keyName, keyStart - 1);
+            keyName = content.slice(open + 1, keyStart);
+            keyStart = open;
+        }
+
+        const beforeKey = this.previousToken(content, keyStart).text;
+        if (beforeKey !== '{' && beforeKey !== ',') {
+            return 'ternary';
+        }
+        if (keyName === 'children') {
+            return 'jsxChild';
+        }
+        if (DISPLAY_PROPERTIES.has(keyName)) {
+            return 'displayProperty';
+        }
+        if (IDENTIFIER_PROPERTIES.has(keyName)) {
+            return 'identifier';
+        }
+        return 'propertyValue';
+    }
+
+    /**
+     * 判断字面量的用途
+     * @param {string} content JS 文件内容
+     * @param {number} start 起始引号位置
+     * @param {number} end 结束引号之后的位置
+     * @returns {{context: string, category: string}}
+     */
+    static classify(content, start, end) {
+        const context = this.detectContext(content, start, end);
+        return { context, category: this.getCategory(context) };
+    }
+
+    /**
+     * 根据前后记号推断用途
+     * @param {string} content JS 文件内容
+     * @param {number} start 起始引号位置
+     * @param {number} end 结束引号之后的位置
+     * @returns {string} 用途
+     */
+    static detectContext(content, start, end) {
+        const prev = this.previousToken(content, start);
+        const next = this.nextToken(content, end);
+
+        if (COMPARISON_OPERATORS.has(prev.text) || COMPARISON_OPERATORS.has(next.text)) {
+            return 'comparison';
+        }
+        if (prev.text === 'case') {
+            return 'caseLabel';
+        }
+        if (next.text === 'in') {
+            return 'propertyKey';
+        }
+        if (next.text === ':') {
+            return prev.text === '{' || prev.text === ',' ? 'propertyKey' : 'ternary';
+        }
+        if (prev.text === '[') {
+            const beforeBracket = this.previousToken(content, prev.start).text;
+            const isMemberAccess = this.isIdentifierChar(beforeBracket.slice(-1)) && beforeBracket !== 'return' ||
+                beforeBracket === ')' || beforeBracket === ']';
+            if (isMemberAccess && next.text === ']') {
+                return 'memberAccess';
+            }
+            return 'arrayElement';
+        }
+        if (prev.text === '?') {
+            return 'ternary';
+        }
+        if (prev.text === ':') {
+            return this.classifyAfterColon(content, prev.start);
+        }
+        if (prev.text === '(' || prev.text === ',') {
+            const opener = this.findEnclosingOpener(content, start);
+            if (opener !== -1 && content[opener] === '(') {
+                return this.classifyArgument(content, start, opener);
+            }
+            if (opener !== -1 && content[opener] === '[') {
+                return 'arrayElement';
+            }
+            return 'unknown';
+        }
+        if (prev.text === '=') {
+            const target = this.previousToken(content, prev.start);
+            const isProperty = this.previousToken(content, target.start).text === '.';
+            return isProperty && DISPLAY_ASSIGNMENTS.has(target.text) ? 'displayAssignment' : 'assignment';
+        }
+        if (prev.text === 'return') {
+            return 'return';
+        }
+        if (prev.text === '+' || next.text === '+') {
+            return 'concatenation';
+        }
+        return 'unknown';
+    }
+}
+
+module.exports = { UsageClassifier, RISKY_CONTEXTS, DISPLAY_CONTEXTS, NEUTRAL_CONTEXTS };
\ No newline at end of file
@@ -1,6 +1,16 @@
 const fs = require('fs');
 const path = require('path');
 
+const { TranslationEntry, FALLBACK_GROUP } = require('./translation-entry.js');
+const { DEFAULT_LOCALE, LocaleManager } = require('./locale-manager.js');
+const { StringExtractor, EXTRACTED_GROUP } = require('./string-extractor.js');
+const { Glossary } = require('./glossary.js');
+const { TypographyLinter } = require('./typography-linter.js');
+const { PlaceholderChecker } = require('./placeholder-checker.js');
+const { JsonReader } = require('./json-reader.js');
+
+const GLOSSARY_REPORT_FILE = 'glossary-report.json';
+
 /**
  * 翻译验证工具 - 增强版
  */
@@ -80,9 +90,9 @@ class TranslationValidator {
     }
 
     /**
-     * 检测未翻译的词条 - 通过读取Cursor源文件检测
+     * 检测未翻译的词条 - 常见词条清单加上 npm run extract 从 Cursor 源文件中提取的界面文本
      */
-    detectUntranslatedEntries(translations) {
+    detectUntranslatedEntries(translations, locale = DEFAULT_LOCALE) {
         const untranslated = [];
         
         try {
@@ -114,6 +124,16 @@ class TranslationValidator {
                     });
                 }
             }
+
+            for (const text of StringExtractor.loadExtracted(locale)) {
+                if (!flatTranslations[text] && !commonEnglishTerms.includes(text)) {
+                    untranslated.push({
+                        path: EXTRACTED_GROUP,
+                        englishText: text,
+                        category: 'extracted'
+                    });
+                }
+            }
             
         } catch (error) {
             TranslationValidator.log('ERROR', `检测未翻译词条时出错: ${error.message}`);
@@ -129,8 +149,8 @@ class TranslationValidator {
         const flattened = {};
         
         for (const [key, value] of Object.entries(obj)) {
-            if (typeof value === 'string') {
-                flattened[key] = value;
+            if (TranslationEntry.isEntry(value)) {
+                flattened[key] = TranslationEntry.getValue(value);
             } else if (typeof value === 'object' && value !== null) {
                 Object.assign(flattened, this.flattenTranslations(value, prefix ? `${prefix}.${key}` : key));
             }
@@ -141,10 +161,11 @@ class TranslationValidator {
     /**
      * 验证翻译文件 - 增强版
      * @param {string} projectRoot 项目根目录
+     * @param {string} locale 语言代码
      * @returns {{isValid: boolean, issues: string[], stats: Object, untranslated: Array}}
      */
-    validateTranslationFile(projectRoot) {
-        const translationPath = path.join(projectRoot, 'translations', 'zh-cn.json');
+    validateTranslationFile(projectRoot, locale = DEFAULT_LOCALE) {
+        const translationPath = path.join(projectRoot, 'translations', `${locale}.json`);
         const issues = [];
         const stats = {
             totalGroups: 0,
@@ -154,7 +175,11 @@ class TranslationValidator {
             longTranslations: 0,
             specialChars: 0,
             missingTranslations: 0,
-            untranslatedEntries: 0
+            untranslatedEntries: 0,
+            glossaryViolations: 0,
+            typographyErrors: 0,
+            typographyWarnings: 0,
+            markupErrors: 0
         };
 
         try {
@@ -182,7 +207,10 @@ class TranslationValidator {
 
             let translations;
             try {
-                translations = JSON.parse(content);
+                const parsed = JsonReader.parse(content, translationPath);
+                translations = parsed.value;
+                // 重复的键只有最后一个生效，前面的译文会被静默丢弃
+                parsed.duplicates.forEach(duplicate => issues.push(JsonReader.describeDuplicate(duplicate, translationPath)));
             } catch (parseError) {
                 TranslationValidator.log('ERROR', `JSON解析失败: ${parseError.message}`);
                 return {
@@ -198,19 +226,36 @@ class TranslationValidator {
                 issues.push('翻译文件格式无效');
                 return { isValid: false, issues, stats, untranslated: [] };
             }
+            translations = TranslationEntry.withoutArchived(translations);
 
             // 检测未翻译的词条
-            const untranslated = this.detectUntranslatedEntries(translations);
+            const untranslated = this.detectUntranslatedEntries(translations, locale);
             stats.untranslatedEntries = untranslated.length;
             TranslationValidator.log('INFO', `发现 ${untranslated.length} 个未翻译的词条`);
 
             // 统计分组数量
             stats.totalGroups = Object.keys(translations).length;
 
-            // 检查每个分组
-            const allKeys = new Set();
-            const duplicateKeys = new Set();
+            // 读取术语表，没有术语表的语言不检查术语
+            let glossary = null;
+            try {
+                glossary = Glossary.load(locale);
+            } catch (error) {
+                issues.push(`术语表无效: ${error.message}`);
+            }
+            const glossaryViolations = [];
 
+            // 读取排版规则，没有配置的语言不检查排版
+            let typography = null;
+            try {
+                typography = TypographyLinter.loadConfig(locale);
+            } catch (error) {
+                issues.push(`排版规则配置无效: ${error.message}`);
+            }
+            const typographyProblems = [];
+            const markupProblems = [];
+
+            // 检查每个分组
             for (const [groupName, group] of Object.entries(translations)) {
                 if (!group || typeof group !== 'object') {
                     issues.push(`分组 "${groupName}" 结构无效`);
@@ -218,7 +263,8 @@ class TranslationValidator {
                 }
 
                 // 检查分组中的翻译条目
-                for (const [key, value] of Object.entries(group)) {
+                for (const [key, entry] of Object.entries(group)) {
+                    const value = TranslationEntry.getValue(entry);
                     stats.totalEntries++;
 
                     // 检查键是否为空
@@ -228,15 +274,6 @@ class TranslationValidator {
                         continue;
                     }
 
-                    // 检查重复键
-                    const fullKey = `${groupName}.${key}`;
-                    if (allKeys.has(fullKey)) {
-                        duplicateKeys.add(fullKey);
-                        stats.duplicateKeys++;
-                    } else {
-                        allKeys.add(fullKey);
-                    }
-
                     // 检查翻译值
                     if (!value || typeof value !== 'string') {
                         issues.push(`键 "${key}" 在分组 "${groupName}" 中的翻译值无效`);
@@ -250,6 +287,12 @@ class TranslationValidator {
                         continue;
                     }
 
+                    if (TranslationEntry.getValues(entry).some(variant => variant.trim() === '')) {
+                        issues.push(`键 "${key}" 在分组 "${groupName}" 中存在空的变体译文`);
+                        stats.emptyEntries++;
+                        continue;
+                    }
+
                     // 检查翻译长度
                     if (value.length > 500) {
                         issues.push(`键 "${key}" 在分组 "${groupName}" 中的翻译过长 (${value.length} 字符)`);
@@ -261,12 +304,49 @@ class TranslationValidator {
                         issues.push(`键 "${key}" 在分组 "${groupName}" 中包含转义字符`);
                         stats.specialChars++;
                     }
+
+                    // 检查占位符与标记
+                    PlaceholderChecker.checkEntry(key, entry)
+                        .forEach(problem => markupProblems.push({ ...problem, group: groupName, source: key, message: PlaceholderChecker.describe(problem) }));
+
+                    // 检查术语译法
+                    if (glossary) {
+                        glossaryViolations.push(...Glossary.checkEntry(glossary, groupName, key, entry));
+                    }
+
+                    // 检查中文排版
+                    if (typography) {
+                        for (const translation of new Set(TranslationEntry.getValues(entry))) {
+                            TypographyLinter.lint(key, translation, typography)
+                                .forEach(problem => typographyProblems.push({ ...problem, group: groupName, source: key, translation }));
+                        }
+                    }
                 }
             }
 
-            // 添加重复键问题
-            if (duplicateKeys.size > 0) {
-                issues.push(`发现 ${duplicateKeys.size} 个重复键`);
+            if (glossaryViolations.length > 0) {
+                stats.glossaryViolations = glossaryViolations.length;
+                issues.push(`发现 ${glossaryViolations.length} 处术语译法与术语表不一致`);
+            }
+
+            if (markupProblems.length > 0) {
+                stats.markupErrors = markupProblems.length;
+                issues.push(`发现 ${markupProblems.length} 处占位符或标记与原文不一致，这些词条在应用汉化时会被跳过`);
+            }
+
+            stats.typographyErrors = typographyProblems.filter(problem => problem.severity === 'error').length;
+            stats.typographyWarnings = typographyProblems.length - stats.typographyErrors;
+            if (stats.typographyErrors > 0) {
+                issues.push(`发现 ${stats.typographyErrors} 处排版错误，可运行 npm run validate:missing -- fix 自动修复`);
+            }
+
+            // 检查在多个分组中定义的原文，译文不同时按分组优先级只采用一个
+            const duplicates = TranslationEntry.findDuplicateSources(translations);
+            const conflicts = duplicates.filter(item => item.conflict);
+            stats.duplicateKeys = duplicates.length;
+            if (conflicts.length > 0) {
+                const changed = conflicts.filter(item => item.previousGroup).length;
+                issues.push(`发现 ${conflicts.length} 条原文在多个分组中的译文不同，应用汉化时只采用优先级最高的分组${changed > 0 ? `，其中 ${changed} 条与旧版本采用的译文不同` : ''}`);
             }
 
             // 检查是否有足够的翻译条目
@@ -283,7 +363,14 @@ class TranslationValidator {
                 isValid: issues.length === 0,
                 issues,
                 stats,
-                untranslated
+                untranslated,
+                terminology: Glossary.groupByTerm(glossaryViolations),
+                typography: typographyProblems,
+                markup: markupProblems,
+                duplicates: {
+                    harmless: duplicates.filter(item => !item.conflict),
+                    conflicts
+                }
             };
 
         } catch (error) {
@@ -297,11 +384,11 @@ class TranslationValidator {
         }
     }
 
-    static generateReport(projectRoot) {
-        console.log('=== 翻译文件验证报告 ===');
+    static generateReport(projectRoot, locale = DEFAULT_LOCALE) {
+        console.log(`=== 翻译文件验证报告 (${locale}) ===`);
         
         const validator = new TranslationValidator();
-        const result = validator.validateTranslationFile(projectRoot);
+        const result = validator.validateTranslationFile(projectRoot, locale);
         
         if (result.isValid) {
             console.log('翻译文件验证通过');
@@ -328,8 +415,47 @@ class TranslationValidator {
             });
         }
 
+        // 按术语显示译法不一致的词条
+        if (result.terminology && Object.keys(result.terminology).length > 0) {
+            console.log('\n[GLOSSARY] 术语译法不一致:');
+            for (const [term, { expected, entries }] of Object.entries(result.terminology)) {
+                console.log(`  ${term} → ${expected.join(' / ')} (${entries.length} 处)`);
+                entries.forEach(item => console.log(`    - ${item.group}: "${item.source}" → "${item.translation}"`));
+            }
+
+            const reportPath = path.join(projectRoot, 'translations', GLOSSARY_REPORT_FILE);
+            validator.safeWriteFile(reportPath, JSON.stringify({ timestamp: new Date().toISOString(), locale, terms: result.terminology }, null, 2));
+            console.log(`  不一致之处详见: ${reportPath}，确有理由的词条可登记到术语表的 exceptions 中`);
+        }
+
+        // 显示占位符与标记问题
+        if (result.markup && result.markup.length > 0) {
+            console.log('\n[MARKUP] 占位符与标记不一致:');
+            result.markup.forEach(item => console.log(`  - ${item.group}: "${item.source}" → "${item.translation}" ${item.message}`));
+        }
+
+        // 显示在多个分组中定义的原文，第一个分组的译文为应用汉化时采用的译文
+        if (result.duplicates && result.duplicates.conflicts.length + result.duplicates.harmless.length > 0) {
+            const { conflicts, harmless } = result.duplicates;
+            console.log(`\n[DUPLICATES] 在多个分组中定义的原文 (冲突 ${conflicts.length}，译文相同 ${harmless.length}):`);
+            console.log(`  优先级: 按分组在文件中的顺序，靠后的分组优先，${FALLBACK_GROUP} 分组最低`);
+            conflicts.forEach(item => console.log(`  - [冲突] "${item.source}": ${item.entries.map((entry, index) => `${entry.group} "${entry.value}"${index === 0 ? ' (采用)' : ''}${entry.group === item.previousGroup ? ' (旧版本采用)' : ''}`).join('，')}`));
+            harmless.forEach(item => console.log(`  - [相同] "${item.source}" → "${item.entries[0].value}": ${item.entries.map(entry => entry.group).join('，')}`));
+        }
+
+        // 按规则显示排版问题
+        if (result.typography && result.typography.length > 0) {
+            console.log(`\n[TYPOGRAPHY] 排版问题 (错误 ${result.stats.typographyErrors}，警告 ${result.stats.typographyWarnings}):`);
+            const byRule = {};
+            result.typography.forEach(problem => (byRule[problem.rule] = byRule[problem.rule] || []).push(problem));
+            for (const [rule, problems] of Object.entries(byRule)) {
+                console.log(`  ${rule} [${problems[0].severity}] (${problems.length} 处${problems[0].fixable ? '，可自动修复' : ''})`);
+                problems.forEach(item => console.log(`    - ${item.group}: "${item.translation}" ${item.message}`));
+            }
+        }
+
         // 计算覆盖率
-        const coverage = this.calculateCoverage(projectRoot);
+        const coverage = this.calculateCoverage(projectRoot, locale);
         console.log('\n[COVERAGE] 覆盖率分析:');
         console.log(`  基础词汇覆盖率: ${coverage.basic}%`);
         console.log(`  界面元素覆盖率: ${coverage.ui}%`);
@@ -341,9 +467,10 @@ class TranslationValidator {
     /**
      * 计算翻译覆盖率
      * @param {string} projectRoot 项目根目录
+     * @param {string} locale 语言代码
      * @returns {Object} 覆盖率统计
      */
-    static calculateCoverage(projectRoot) {
+    static calculateCoverage(projectRoot, locale = DEFAULT_LOCALE) {
         const basicWords = [
             'Settings', 'Preferences', 'General', 'Advanced', 'Cancel', 'OK', 'Apply',
             'Save', 'Close', 'Open', 'Edit', 'Delete', 'Add', 'Remove', 'Search',
@@ -361,9 +488,9 @@ class TranslationValidator {
         ];
 
         try {
-            const translationPath = path.join(projectRoot, 'translations', 'zh-cn.json');
+            const translationPath = path.join(projectRoot, 'translations', `${locale}.json`);
             const content = fs.readFileSync(translationPath, 'utf-8');
-            const translations = JSON.parse(content);
+            const translations = TranslationEntry.withoutArchived(JsonReader.parse(content, translationPath).value);
 
             // 扁平化翻译对象
             const flatTranslations = {};
@@ -410,20 +537,28 @@ class TranslationValidator {
     /**
      * 修复常见问题
      * @param {string} projectRoot 项目根目录
+     * @param {string} locale 语言代码
      * @returns {boolean} 是否成功修复
      */
-    static fixCommonIssues(projectRoot) {
-        const translationPath = path.join(projectRoot, 'translations', 'zh-cn.json');
+    static fixCommonIssues(projectRoot, locale = DEFAULT_LOCALE) {
+        const translationPath = path.join(projectRoot, 'translations', `${locale}.json`);
         
         try {
             const content = fs.readFileSync(translationPath, 'utf-8');
-            let translations = JSON.parse(content);
+            const { value: translations, duplicates } = JsonReader.parse(content, translationPath);
+            // 修复会重写翻译文件，重复键中被覆盖的译文会丢失，需先手动处理
+            if (duplicates.length > 0) {
+                duplicates.forEach(duplicate => console.error(JsonReader.describeDuplicate(duplicate, translationPath)));
+                console.error('修复失败: 翻译文件中有重复的键，请先合并或删除重复的词条');
+                return false;
+            }
             let fixed = false;
 
             // 修复空值
             for (const [groupName, group] of Object.entries(translations)) {
                 if (group && typeof group === 'object') {
-                    for (const [key, value] of Object.entries(group)) {
+                    for (const [key, entry] of Object.entries(group)) {
+                        const value = TranslationEntry.getValue(entry);
                         if (!value || value.trim() === '') {
                             console.log(`修复空翻译: ${groupName}.${key}`);
                             delete group[key];
@@ -433,6 +568,24 @@ class TranslationValidator {
                 }
             }
 
+            // 修复排版问题
+            const typography = TypographyLinter.loadConfig(locale);
+            if (typography) {
+                for (const [groupName, group] of Object.entries(TranslationEntry.withoutArchived(translations))) {
+                    if (!group || typeof group !== 'object') {
+                        continue;
+                    }
+                    for (const [key, entry] of Object.entries(group)) {
+                        const result = TypographyLinter.fixEntry(key, entry, typography);
+                        if (JSON.stringify(result) !== JSON.stringify(entry)) {
+                            console.log(`修复排版: ${groupName}.${key}`);
+                            group[key] = result;
+                            fixed = true;
+                        }
+                    }
+                }
+            }
+
             // 移除空分组
             for (const [groupName, group] of Object.entries(translations)) {
                 if (!group || Object.keys(group).length === 0) {
@@ -462,13 +615,13 @@ class TranslationValidator {
 // 主函数
 function main() {
     const projectRoot = path.resolve(__dirname, '..');
-    const args = process.argv.slice(2);
+    const { locale, args } = LocaleManager.parseArgs(process.argv.slice(2));
 
     if (args.includes('fix')) {
         console.log('正在修复翻译文件中的常见问题...');
-        TranslationValidator.fixCommonIssues(projectRoot);
+        TranslationValidator.fixCommonIssues(projectRoot, locale);
     } else {
-        TranslationValidator.generateReport(projectRoot);
+        TranslationValidator.generateReport(projectRoot, locale);
     }
 }
 
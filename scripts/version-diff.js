@@ -0,0 +1,287 @@
+const fs = require('fs');
+const path = require('path');
+
+const { Logger, FileUtils, CursorPathFinder, TranslationProcessor, BackupManager } = require('./apply.js');
+const { LiteralMatcher } = require('./literal-matcher.js');
+const { StringExtractor } = require('./string-extractor.js');
+const { TextSimilarity, DEFAULT_THRESHOLD } = require('./text-similarity.js');
+const { VersionValidator } = require('./version-validator.js');
+const { LocaleManager } = require('./locale-manager.js');
+
+const REPORT_FILE = 'version-diff-report.json';
+const SUMMARY_ITEMS = 10;
+
+/**
+ * 版本间界面文本对比
+ * 对比两个 Cursor 版本的 workbench.desktop.main.js，列出新增、删除及疑似改写的界面文本，
+ * 并与翻译文件对照，找出已失效的翻译和需要新增翻译的文本
+ */
+class VersionDiff {
+    /**
+     * 解析对比对象：可以是 Cursor 安装路径，也可以是保存下来的 workbench.desktop.main.js；
+     * 安装目录中的文件已汉化且存在对应备份时读取备份中的英文原文
+     * @param {string} target 安装路径或文件路径
+     * @returns {{label: string, file: string, version: string|null}|null}
+     */
+    static resolveBundle(target) {
+        if (!target || !fs.existsSync(target)) {
+            Logger.error(`路径不存在: ${target}`);
+            return null;
+        }
+
+        if (fs.statSync(target).isFile()) {
+            return { label: target, file: target, version: null };
+        }
+
+        const { targetFile } = CursorPathFinder.getPlatformPaths(target);
+        if (!fs.existsSync(targetFile)) {
+            Logger.error(`在路径 ${target} 中找不到 workbench.desktop.main.js`);
+            return null;
+        }
+
+        const version = VersionValidator.getInstalledVersion(target);
+        const existing = BackupManager.findBackup(targetFile);
+        const content = FileUtils.safeReadFile(targetFile);
+        if (existing && existing.state && content !== null && BackupManager.hashContent(content) === existing.state.patchedHash) {
+            Logger.info(`${target} 已汉化，改为读取备份: ${existing.backupFile}`);
+            return { label: target, file: existing.backupFile, version };
+        }
+
+        return { label: target, file: targetFile, version };
+    }
+
+    /**
+     * 收集文件中的界面文本及出现在文件中的翻译原文，
+     * 已有翻译的原文即使不像界面文本（如单个单词）也计入对比
+     * @param {string} content JS 文件内容
+     * @param {LiteralMatcher} matcher 由翻译词条构建的匹配器
+     * @returns {{strings: Map, present: Set}} 文本 → { text, count }，以及出现过的翻译原文
+     */
+    static collect(content, matcher) {
+        const strings = new Map(StringExtractor.findUiStrings(content).map(item => [item.text, { text: item.text, count: item.count }]));
+        const { candidates, skipped, present } = matcher.findCandidates(content);
+
+        const originals = [...candidates.map(candidate => candidate.entry.original), ...skipped.map(item => item.original)];
+        const counts = new Map();
+        originals.forEach(original => counts.set(original, (counts.get(original) || 0) + 1));
+        for (const original of present) {
+            if (!strings.has(original)) {
+                strings.set(original, { text: original, count: counts.get(original) || 1 });
+            }
+        }
+
+        return { strings, present };
+    }
+
+    /**
+     * 为删除的文本在新增文本中寻找改写后的版本，每条新增文本最多与一条删除文本配对
+     * @param {string[]} removed 删除的文本
+     * @param {string[]} added 新增的文本
+     * @param {number} threshold 相似度阈值
+     * @returns {Array<{from: string, to: string, score: number}>}
+     */
+    static pairRewordings(removed, added, threshold) {
+        const index = TextSimilarity.createIndex(added);
+        const pairs = [];
+        for (const text of removed) {
+            TextSimilarity.findSimilar(text, index, { threshold })
+                .forEach(match => pairs.push({ from: text, to: match.text, score: match.score }));
+        }
+
+        // 相似度高的配对优先，已配对的文本不再参与其他配对
+        const usedFrom = new Set();
+        const usedTo = new Set();
+        return pairs
+            .sort((a, b) => b.score - a.score)
+            .filter(pair => {
+                if (usedFrom.has(pair.from) || usedTo.has(pair.to)) {
+                    return false;
+                }
+                usedFrom.add(pair.from);
+                usedTo.add(pair.to);
+                return true;
+            });
+    }
+
+    /**
+     * 对比两个版本的内容
+     * @param {string} oldContent 旧版本内容
+     * @param {string} newContent 新版本内容
+     * @param {Object} translations 扁平化后的翻译映射
+     * @param {number} threshold 改写判定的相似度阈值
+     * @returns {Object} 对比结果
+     */
+    static compare(oldContent, newContent, translations, threshold = DEFAULT_THRESHOLD) {
+        const matcher = new LiteralMatcher(translations);
+        const before = this.collect(oldContent, matcher);
+        const after = this.collect(newContent, matcher);
+
+        const addedTexts = [...after.strings.keys()].filter(text => !before.strings.has(text));
+        const removedTexts = [...before.strings.keys()].filter(text => !after.strings.has(text));
+        const reworded = this.pairRewordings(removedTexts, addedTexts, threshold);
+        const rewordedFrom = new Map(reworded.map(pair => [pair.from, pair]));
+        const rewordedTo = new Set(reworded.map(pair => pair.to));
+
+        const describe = (text, item) => ({ text, count: item.count, translated: StringExtractor.isCovered(matcher, text) });
+        const added = addedTexts.filter(text => !rewordedTo.has(text)).map(text => describe(text, after.strings.get(text)));
+        const removed = removedTexts.filter(text => !rewordedFrom.has(text)).map(text => describe(text, before.strings.get(text)));
+
+        // 旧版本中命中、新版本中不再出现的翻译已失效，改写的文本附上新版本中的对应文本
+        const deadTranslations = [...before.present]
+            .filter(original => !after.present.has(original))
+            .map(original => ({ original, rewordedTo: rewordedFrom.has(original) ? rewordedFrom.get(original).to : null }));
+
+        const needsTranslation = [
+            ...added.filter(item => !item.translated).map(item => ({ text: item.text, count: item.count, rewordedFrom: null })),
+            ...reworded
+                .filter(pair => !StringExtractor.isCovered(matcher, pair.to))
+                .map(pair => ({ text: pair.to, count: after.strings.get(pair.to).count, rewordedFrom: pair.from }))
+        ].sort((a, b) => b.count - a.count || a.text.localeCompare(b.text));
+
+        return {
+            stats: {
+                oldStrings: before.strings.size,
+                newStrings: after.strings.size,
+                added: added.length,
+                removed: removed.length,
+                reworded: reworded.length,
+                deadTranslations: deadTranslations.length,
+                needsTranslation: needsTranslation.length
+            },
+            added,
+            removed,
+            reworded,
+            deadTranslations,
+            needsTranslation
+        };
+    }
+
+    /**
+     * 输出控制台摘要
+     * @param {Object} result 对比结果
+     */
+    static printSummary(result) {
+        const { stats } = result;
+        console.log('\n' + '='.repeat(50));
+        console.log('[DIFF] 界面文本版本对比');
+        console.log('='.repeat(50));
+        console.log(`旧版本界面文本: ${stats.oldStrings}，新版本界面文本: ${stats.newStrings}`);
+        console.log(`新增: ${stats.added}，删除: ${stats.removed}，疑似改写: ${stats.reworded}`);
+        console.log(`已失效的翻译: ${stats.deadTranslations}，需要新增的翻译: ${stats.needsTranslation}`);
+
+        const printList = (title, items, format) => {
+            if (items.length === 0) {
+                return;
+            }
+            console.log(`\n${title}:`);
+            items.slice(0, SUMMARY_ITEMS).forEach(item => console.log(`  - ${format(item)}`));
+            if (items.length > SUMMARY_ITEMS) {
+                console.log(`  ... 另有 ${items.length - SUMMARY_ITEMS} 条，详见报告`);
+            }
+        };
+
+        printList('疑似改写', result.reworded, pair => `"${pair.from}" → "${pair.to}" (${pair.score})`);
+        printList('已失效的翻译', result.deadTranslations, item => (item.rewordedTo ? `"${item.original}" (改写为 "${item.rewordedTo}")` : `"${item.original}"`));
+        printList('需要新增的翻译', result.needsTranslation, item => `"${item.text}" ×${item.count}`);
+    }
+
+    /**
+     * 写入 JSON 报告
+     * @param {string} reportPath 报告路径
+     * @param {Object} report 报告内容
+     * @returns {boolean}
+     */
+    static writeReport(reportPath, report) {
+        return FileUtils.safeWriteFile(reportPath, JSON.stringify(report, null, 2));
+    }
+
+    /**
+     * 对比两个版本并输出结果
+     * @param {Object} options { oldTarget, newTarget, locale, threshold, output }
+     * @returns {boolean} 是否成功
+     */
+    static run(options) {
+        const projectRoot = path.resolve(__dirname, '..');
+        const oldBundle = this.resolveBundle(options.oldTarget);
+        const newBundle = this.resolveBundle(options.newTarget);
+        if (!oldBundle || !newBundle) {
+            return false;
+        }
+
+        const translations = TranslationProcessor.loadTranslations(projectRoot, options.locale);
+        if (!translations) {
+            Logger.error('无法加载翻译文件，对比终止');
+            return false;
+        }
+
+        const oldContent = FileUtils.safeReadFile(oldBundle.file);
+        const newContent = FileUtils.safeReadFile(newBundle.file);
+        if (oldContent === null || newContent === null) {
+            Logger.error('无法读取对比文件');
+            return false;
+        }
+
+        const result = this.compare(oldContent, newContent, translations, options.threshold);
+        this.printSummary(result);
+
+        const reportPath = options.output || path.join(projectRoot, 'translations', REPORT_FILE);
+        const written = this.writeReport(reportPath, {
+            timestamp: new Date().toISOString(),
+            locale: options.locale,
+            threshold: options.threshold,
+            old: oldBundle,
+            new: newBundle,
+            ...result
+        });
+        if (written) {
+            Logger.success(`\n对比报告: ${reportPath}`);
+        }
+        return written;
+    }
+
+    /**
+     * 解析命令行参数
+     * @param {string[]} args 命令行参数
+     * @returns {Object} 选项
+     */
+    static parseArgs(args) {
+        const { locale, args: rest } = LocaleManager.parseArgs(args);
+        const readOption = (name, fallback) => {
+            const index = rest.indexOf(name);
+            if (index === -1) {
+                return fallback;
+            }
+            const value = rest[index + 1];
+            rest.splice(index, 2);
+            return value;
+        };
+
+        const threshold = parseFloat(readOption('--threshold', DEFAULT_THRESHOLD));
+        const output = readOption('--output', null);
+        return { oldTarget: rest[0], newTarget: rest[1], locale, threshold, output };
+    }
+}
+
+function main() {
+    console.log('--- 界面文本版本对比工具 ---');
+    const options = VersionDiff.parseArgs(process.argv.slice(2));
+
+    if (!options.oldTarget || !options.newTarget) {
+        Logger.error('用法: npm run diff -- <旧版本安装路径或文件> <新版本安装路径或文件> [--threshold 0.6] [--output 报告路径]');
+        process.exit(1);
+    }
+    if (!(options.threshold > 0 && options.threshold <= 1)) {
+        Logger.error('参数无效: --threshold 必须在 0 到 1 之间');
+        process.exit(1);
+    }
+
+    if (!VersionDiff.run(options)) {
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { VersionDiff };
\ No newline at end of file
@@ -51,6 +51,31 @@ class VersionValidator {
         return versionInfo;
     }
 
+    /**
+     * 静默读取已安装的 Cursor 版本号，不输出日志
+     * @param {string} cursorPath Cursor 安装路径
+     * @returns {string} 版本号，无法读取时返回 'unknown'
+     */
+    static getInstalledVersion(cursorPath) {
+        const possiblePaths = [
+            path.join(cursorPath, 'package.json'),
+            path.join(cursorPath, 'resources', 'app', 'package.json'),
+            path.join(cursorPath, 'Contents', 'Resources', 'app', 'package.json')
+        ];
+
+        for (const packagePath of possiblePaths) {
+            try {
+                if (fs.existsSync(packagePath)) {
+                    return JSON.parse(fs.readFileSync(packagePath, 'utf-8')).version || 'unknown';
+                }
+            } catch (error) {
+                return 'unknown';
+            }
+        }
+
+        return 'unknown';
+    }
+
     /**
      * 查找 package.json 文件
      * @param {string} cursorPath Cursor 安装路径
@@ -0,0 +1,335 @@
+const path = require('path');
+
+const { Logger, FileUtils } = require('./apply.js');
+const { LocaleManager } = require('./locale-manager.js');
+const { TranslationExchange } = require('./translation-exchange.js');
+
+const XLIFF_NAMESPACE = 'urn:oasis:names:tc:xliff:document:2.0';
+const SOURCE_LANGUAGE = 'en';
+// XLIFF 2.0 的片段状态，由低到高；导入时 initial 状态的译文作为 fuzzy 草稿
+const STATES = ['initial', 'translated', 'reviewed', 'final'];
+const XML_TOKEN = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[A-Za-z_][\w:.-]*\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const XML_ATTRIBUTE = /([A-Za-z_][\w:.-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+/**
+ * XLIFF 2.0 导入导出
+ * 导出：每个翻译分组对应一个 <group>，每个词条对应一个 <unit>，未翻译清单中的文本以 initial 状态、无 <target> 导出；
+ * 导入：读取译员返回的 XLIFF，改动过的译文写入 yes-<语言>.json，由 npm run merge 合并
+ */
+class XliffConverter {
+    /**
+     * 生成 XLIFF 文档
+     * @param {string} locale 语言代码
+     * @param {Array} units TranslationExchange.collectUnits 的结果
+     * @returns {string}
+     */
+    static build(locale, units) {
+        const groups = new Map();
+        for (const unit of units) {
+            groups.set(unit.group, [...(groups.get(unit.group) || []), unit]);
+        }
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<xliff xmlns="${XLIFF_NAMESPACE}" version="2.0" srcLang="${SOURCE_LANGUAGE}" trgLang="${this.toLanguageTag(locale)}">`,
+            `  <file id="f1" original="${escapeXml(path.basename(LocaleManager.getTranslationFile(locale)))}" xml:space="preserve">`
+        ];
+        let groupIndex = 0;
+        let unitIndex = 0;
+        for (const [group, groupUnits] of groups) {
+            lines.push(`    <group id="g${++groupIndex}" name="${escapeXml(group)}">`);
+            for (const unit of groupUnits) {
+                lines.push(`      <unit id="u${++unitIndex}">`);
+                const notes = [];
+                if (unit.target === null) {
+                    notes.push('<note category="status">未翻译（来自未翻译清单）</note>');
+                }
+                if (unit.hasOptions) {
+                    notes.push('<note category="options">该词条带有替换选项或上下文变体，导入时只更新主译文</note>');
+                }
+                if (notes.length > 0) {
+                    lines.push('        <notes>', ...notes.map(note => `          ${note}`), '        </notes>');
+                }
+                lines.push(`        <segment state="${unit.state}">`);
+                lines.push(`          <source>${escapeXml(unit.source)}</source>`);
+                if (unit.target !== null) {
+                    lines.push(`          <target>${escapeXml(unit.target)}</target>`);
+                }
+                lines.push('        </segment>', '      </unit>');
+            }
+            lines.push('    </group>');
+        }
+        lines.push('  </file>', '</xliff>');
+        return lines.join('\n');
+    }
+
+    /**
+     * 解析 XLIFF 文档中的单元，每个单元的多个 <segment> 按顺序拼接
+     * @param {string} content XLIFF 内容
+     * @returns {{trgLang: string|null, units: Array<{group: string, source: string, target: string|null, state: string}>, errors: string[]}}
+     * @throws {Error} 不是 XLIFF 2.0 文档或 XML 结构无效时抛出
+     */
+    static parse(content) {
+        const root = parseXml(content);
+        if (!root || localName(root.name) !== 'xliff' || root.attributes.version !== '2.0') {
+            throw new Error('不是 XLIFF 2.0 文档');
+        }
+
+        const units = [];
+        const errors = [];
+        const visit = (element, group) => {
+            for (const child of element.children) {
+                if (typeof child === 'string') {
+                    continue;
+                }
+                const name = localName(child.name);
+                if (name === 'file' || name === 'group') {
+                    visit(child, name === 'group' ? child.attributes.name || child.attributes.id : group);
+                } else if (name === 'unit') {
+                    const unit = this.readUnit(child, group);
+                    if (unit.error) {
+                        errors.push(`unit ${child.attributes.id || '?'}: ${unit.error}`);
+                    } else {
+                        units.push(unit);
+                    }
+                }
+            }
+        };
+        visit(root, null);
+
+        return { trgLang: root.attributes.trgLang || null, units, errors };
+    }
+
+    /**
+     * 读取一个 <unit>
+     * @param {Object} element unit 元素
+     * @param {string|null} group 所在分组
+     * @returns {Object} 单元，无法导入时为 { error }
+     */
+    static readUnit(element, group) {
+        if (!group) {
+            return { error: '不在任何 <group> 中，无法确定分组' };
+        }
+
+        let source = '';
+        let target = null;
+        const states = [];
+        for (const part of element.children.filter(child => typeof child !== 'string')) {
+            const name = localName(part.name);
+            if (name !== 'segment' && name !== 'ignorable') {
+                continue;
+            }
+            states.push(part.attributes.state || 'initial');
+            const sourceElement = part.children.find(child => typeof child !== 'string' && localName(child.name) === 'source');
+            const targetElement = part.children.find(child => typeof child !== 'string' && localName(child.name) === 'target');
+            if (!sourceElement) {
+                return { error: '缺少 <source>' };
+            }
+            if ([sourceElement, targetElement].some(child => child && child.children.some(item => typeof item !== 'string'))) {
+                return { error: '包含内联标记，请在 CAT 工具中以纯文本处理' };
+            }
+            source += sourceElement.children.join('');
+            if (targetElement) {
+                target = (target || '') + targetElement.children.join('');
+            }
+        }
+
+        const unknownState = states.find(state => !STATES.includes(state));
+        if (unknownState) {
+            return { error: `未知的状态 ${unknownState}` };
+        }
+        // 多个片段时取最低的状态
+        const state = states.reduce((lowest, item) => (STATES.indexOf(item) < STATES.indexOf(lowest) ? item : lowest), 'final');
+        return { group, source, target, state };
+    }
+
+    /**
+     * 语言代码转换为 BCP 47 写法，如 zh-cn → zh-CN
+     * @param {string} locale 语言代码
+     * @returns {string}
+     */
+    static toLanguageTag(locale) {
+        return LocaleManager.normalize(locale).replace(/-([a-z]{2})$/, (match, region) => `-${region.toUpperCase()}`);
+    }
+
+    /**
+     * 导出翻译文件
+     * @param {Object} options { locale, output }
+     * @returns {boolean} 是否成功
+     */
+    static exportFile(options) {
+        const units = TranslationExchange.collectUnits(options.locale);
+        if (!units) {
+            Logger.error(`无法读取翻译文件: ${LocaleManager.getTranslationFile(options.locale)}`);
+            return false;
+        }
+
+        const output = path.resolve(options.output || path.join(path.dirname(LocaleManager.getTranslationFile(options.locale)), `${options.locale}.xlf`));
+        if (!FileUtils.safeWriteFile(output, this.build(options.locale, units))) {
+            return false;
+        }
+
+        const untranslated = units.filter(unit => unit.state === 'initial').length;
+        Logger.success(`已导出 ${units.length} 个单元（其中 ${untranslated} 个待翻译）: ${output}`);
+        return true;
+    }
+
+    /**
+     * 导入译员返回的 XLIFF
+     * @param {Object} options { locale, file, merge }
+     * @returns {boolean} 是否成功
+     */
+    static importFile(options) {
+        const content = FileUtils.safeReadFile(options.file);
+        if (content === null) {
+            Logger.error(`无法读取文件: ${options.file}`);
+            return false;
+        }
+
+        let parsed;
+        try {
+            parsed = this.parse(content);
+        } catch (error) {
+            Logger.error(`XLIFF 解析失败: ${error.message}`);
+            return false;
+        }
+        if (parsed.trgLang && (!LocaleManager.isValid(parsed.trgLang) || LocaleManager.normalize(parsed.trgLang) !== options.locale)) {
+            Logger.error(`XLIFF 的目标语言 ${parsed.trgLang} 与 ${options.locale} 不一致，请使用 --locale 指定语言`);
+            return false;
+        }
+        parsed.errors.forEach(error => Logger.error(`跳过无法导入的单元 ${error}`));
+
+        const result = TranslationExchange.stageUnits(options.locale, parsed.units);
+        return !!result && TranslationExchange.finishImport(options.locale, result, options.merge);
+    }
+
+    /**
+     * 解析命令行参数
+     * @param {string[]} args 命令行参数
+     * @returns {{command: string, file: string, locale: string, output: string|null, merge: boolean}}
+     */
+    static parseArgs(args) {
+        const { locale, args: rest } = LocaleManager.parseArgs(args);
+        const outputIndex = rest.indexOf('--output');
+        const output = outputIndex === -1 ? null : rest.splice(outputIndex, 2)[1];
+        const merge = rest.includes('--merge');
+        const positional = rest.filter(arg => arg !== '--merge');
+        return { command: positional[0], file: positional[1], locale, output, merge };
+    }
+}
+
+/**
+ * 转义 XML 文本与属性值，\r 以字符引用写出，避免被 XML 解析器归一化为 \n
+ * @param {string} text 文本
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/\r/g, '&#13;');
+}
+
+/**
+ * 还原 XML 实体与字符引用
+ * @param {string} text XML 文本
+ * @returns {string}
+ */
+function unescapeXml(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+        }
+        if (!(entity in XML_ENTITIES)) {
+            throw new Error(`未知的实体 &${entity};`);
+        }
+        return XML_ENTITIES[entity];
+    });
+}
+
+/**
+ * 去掉元素名称的命名空间前缀
+ * @param {string} name 元素名称
+ * @returns {string}
+ */
+function localName(name) {
+    return name.slice(name.indexOf(':') + 1);
+}
+
+/**
+ * 解析 XML 为 { name, attributes, children } 树，children 中的文本已还原实体；
+ * 只支持 XLIFF 所需的元素、属性、文本、CDATA、注释与处理指令
+ * @param {string} content XML 内容
+ * @returns {Object|null} 根元素
+ * @throws {Error} 标签不匹配时抛出
+ */
+function parseXml(content) {
+    const document = { name: '#document', attributes: {}, children: [] };
+    const stack = [document];
+    let position = 0;
+
+    const text = content.replace(/^\ufeff/, '');
+    const addText = value => {
+        if (value !== '') {
+            stack[stack.length - 1].children.push(value);
+        }
+    };
+
+    for (const match of text.matchAll(XML_TOKEN)) {
+        const [token, cdata, closing, name, attributeText, selfClosing] = match;
+        addText(unescapeXml(text.slice(position, match.index)));
+        position = match.index + token.length;
+
+        if (cdata !== undefined) {
+            addText(cdata);
+        } else if (name && closing) {
+            const open = stack.pop();
+            if (open.name !== name) {
+                throw new Error(`标签不匹配: <${open.name}> 与 </${name}>`);
+            }
+        } else if (name) {
+            const attributes = {};
+            for (const [, key, double, single] of (attributeText || '').matchAll(XML_ATTRIBUTE)) {
+                attributes[key] = unescapeXml(double !== undefined ? double : single);
+            }
+            const element = { name, attributes, children: [] };
+            stack[stack.length - 1].children.push(element);
+            if (!selfClosing) {
+                stack.push(element);
+            }
+        }
+    }
+
+    if (stack.length !== 1) {
+        throw new Error(`<${stack[stack.length - 1].name}> 未闭合`);
+    }
+    return document.children.find(child => typeof child !== 'string') || null;
+}
+
+function main() {
+    console.log('--- XLIFF 导入导出工具 ---');
+    const options = XliffConverter.parseArgs(process.argv.slice(2));
+
+    let success;
+    if (options.command === 'export') {
+        success = XliffConverter.exportFile(options);
+    } else if (options.command === 'import' && options.file) {
+        success = XliffConverter.importFile(options);
+    } else {
+        Logger.error('用法: npm run xliff:export -- [--output 文件] | npm run xliff:import -- <文件> [--merge]');
+        success = false;
+    }
+
+    if (!success) {
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { XliffConverter };
\ No newline at end of file
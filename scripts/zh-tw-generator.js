@@ -0,0 +1,237 @@
+const path = require('path');
+
+const { Logger, FileUtils } = require('./apply.js');
+const { TranslationEntry } = require('./translation-entry.js');
+const { LocaleManager } = require('./locale-manager.js');
+const { JsonReader } = require('./json-reader.js');
+
+const SOURCE_LOCALE = 'zh-cn';
+const TARGET_LOCALE = 'zh-tw';
+const TABLE_FILE = path.join(__dirname, 'data', 'zh-tw-conversion.json');
+// 模板占位符 ${name} 原样保留，不参与转换
+const PLACEHOLDER = /\$\{[^}]*\}/g;
+
+/**
+ * 繁体中文翻译生成器
+ * 根据内置的词语与字符对照表把 zh-cn.json 转换为 zh-tw.json，词语表包含台湾用语（如 软件→軟體、文件→檔案）；
+ * zh-tw.overrides.json 中人工校订的词条始终覆盖生成结果，重新生成不会改动该文件
+ */
+class TraditionalChineseGenerator {
+    /**
+     * 读取对照表
+     * @param {string} tableFile 对照表路径
+     * @returns {{phrases: Object, characters: Object, maxPhraseLength: number}|null}
+     */
+    static loadTable(tableFile = TABLE_FILE) {
+        const content = FileUtils.safeReadFile(tableFile);
+        if (!content) {
+            return null;
+        }
+
+        try {
+            const table = JsonReader.parseConfig(content, tableFile);
+            const phrases = table.phrases || {};
+            return {
+                phrases,
+                characters: table.characters || {},
+                maxPhraseLength: Math.max(0, ...Object.keys(phrases).map(phrase => phrase.length))
+            };
+        } catch (error) {
+            Logger.error(`对照表解析失败: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * 转换一段不含占位符的文本，词语按最长匹配优先，其余逐字转换；转换结果不会被再次转换
+     * @param {string} text 简体中文文本
+     * @param {Object} table 对照表
+     * @returns {string}
+     */
+    static convertSegment(text, table) {
+        let result = '';
+        let i = 0;
+
+        while (i < text.length) {
+            let matched = false;
+            for (let length = Math.min(table.maxPhraseLength, text.length - i); length >= 2; length--) {
+                const phrase = text.slice(i, i + length);
+                if (Object.prototype.hasOwnProperty.call(table.phrases, phrase)) {
+                    result += table.phrases[phrase];
+                    i += length;
+                    matched = true;
+                    break;
+                }
+            }
+            if (!matched) {
+                const char = text[i];
+                result += Object.prototype.hasOwnProperty.call(table.characters, char) ? table.characters[char] : char;
+                i++;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * 转换文本，保留模板占位符
+     * @param {string} text 简体中文文本
+     * @param {Object} table 对照表
+     * @returns {string}
+     */
+    static convertText(text, table) {
+        let result = '';
+        let lastIndex = 0;
+
+        for (const match of text.matchAll(PLACEHOLDER)) {
+            result += this.convertSegment(text.slice(lastIndex, match.index), table) + match[0];
+            lastIndex = match.index + match[0].length;
+        }
+
+        return result + this.convertSegment(text.slice(lastIndex), table);
+    }
+
+    /**
+     * 转换词条的译文，词条对象与变体数组中的其他选项保持不变
+     * @param {*} raw 翻译文件中的值
+     * @param {Object} table 对照表
+     * @returns {*}
+     */
+    static convertEntry(raw, table) {
+        if (typeof raw === 'string') {
+            return this.convertText(raw, table);
+        }
+        if (Array.isArray(raw)) {
+            return raw.map(variant => this.convertEntry(variant, table));
+        }
+        return { ...raw, value: this.convertText(raw.value, table) };
+    }
+
+    /**
+     * 按原有分组结构转换整个翻译文件
+     * @param {Object} groups 简体中文翻译
+     * @param {Object} table 对照表
+     * @returns {Object}
+     */
+    static convertGroups(groups, table) {
+        const result = {};
+
+        for (const [key, value] of Object.entries(groups)) {
+            if (TranslationEntry.isEntry(value)) {
+                result[key] = this.convertEntry(value, table);
+            } else if (value && typeof value === 'object') {
+                result[key] = this.convertGroups(value, table);
+            } else {
+                result[key] = value;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * 用人工校订的词条覆盖生成结果，词条整体替换，分组递归合并
+     * @param {Object} generated 生成的翻译
+     * @param {Object} overrides 人工校订的翻译
+     * @param {string[]} applied 收集被覆盖的词条路径
+     * @param {string} prefix 当前分组路径
+     * @returns {Object}
+     */
+    static applyOverrides(generated, overrides, applied = [], prefix = '') {
+        const result = { ...generated };
+
+        for (const [key, value] of Object.entries(overrides)) {
+            const keyPath = prefix ? `${prefix}.${key}` : key;
+            if (TranslationEntry.isEntry(value)) {
+                result[key] = value;
+                applied.push(keyPath);
+            } else if (value && typeof value === 'object') {
+                const base = result[key] && typeof result[key] === 'object' && !TranslationEntry.isEntry(result[key]) ? result[key] : {};
+                result[key] = this.applyOverrides(base, value, applied, keyPath);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * 读取 JSON 文件，文件不存在时返回默认值
+     * @param {string} filePath 文件路径
+     * @param {*} fallback 默认值
+     * @returns {*} 解析结果，解析失败时返回 null
+     */
+    static readJson(filePath, fallback) {
+        const content = FileUtils.safeReadFile(filePath);
+        if (content === null) {
+            return fallback;
+        }
+
+        try {
+            const { value, duplicates } = JsonReader.parse(content, filePath);
+            duplicates.forEach(duplicate => Logger.error(JsonReader.describeDuplicate(duplicate, filePath)));
+            return value;
+        } catch (error) {
+            Logger.error(`JSON 解析失败: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * 生成繁体中文翻译文件
+     * @returns {{success: boolean, converted: number, overridden: string[], output: string}}
+     */
+    static generate() {
+        const sourceFile = LocaleManager.getTranslationFile(SOURCE_LOCALE);
+        const overrideFile = LocaleManager.getOverrideFile(TARGET_LOCALE);
+        const outputFile = LocaleManager.getTranslationFile(TARGET_LOCALE);
+        const failed = { success: false, converted: 0, overridden: [], output: outputFile };
+
+        const table = this.loadTable();
+        if (!table) {
+            Logger.error(`无法读取对照表: ${TABLE_FILE}`);
+            return failed;
+        }
+
+        const source = this.readJson(sourceFile, null);
+        if (!source) {
+            Logger.error(`无法读取源翻译文件: ${sourceFile}`);
+            return failed;
+        }
+
+        const overrides = this.readJson(overrideFile, {});
+        if (!overrides) {
+            return failed;
+        }
+
+        const generated = this.convertGroups(TranslationEntry.withoutArchived(source), table);
+        const overridden = [];
+        const result = this.applyOverrides(generated, overrides, overridden);
+
+        if (!FileUtils.safeWriteFile(outputFile, JSON.stringify(result, null, 2))) {
+            return failed;
+        }
+
+        const converted = Object.values(generated).reduce((sum, group) => sum + Object.keys(group).length, 0);
+        return { success: true, converted, overridden, output: outputFile };
+    }
+}
+
+function main() {
+    console.log('--- 繁体中文翻译生成工具 ---');
+
+    const result = TraditionalChineseGenerator.generate();
+    if (!result.success) {
+        process.exit(1);
+    }
+
+    Logger.success(`已从 ${SOURCE_LOCALE}.json 生成 ${result.converted} 个词条: ${result.output}`);
+    if (result.overridden.length > 0) {
+        Logger.success(`其中 ${result.overridden.length} 个词条使用 ${path.basename(LocaleManager.getOverrideFile(TARGET_LOCALE))} 中的人工校订`);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { TraditionalChineseGenerator };
\ No newline at end of file
@@ -0,0 +1,310 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const { TranslationProcessor, FileUtils, BackupManager, ChecksumManager, PatchApplier } = require('../scripts/apply.js');
+const { TranslationEntry } = require('../scripts/translation-entry.js');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'workbench.desktop.main.js');
+
+// 原文 → 译文，译文中同样包含需要转义的字符
+const TRANSLATIONS = {
+    'Say "Hello"': '说 "你好"',
+    'It\'s done': '它\'s 完成',
+    'C:\\Users\\me': 'C:\\用户\\我',
+    'Caf\u00e9 menu': '咖啡馆菜单',
+    'Rocket \u{1F680} launch': '火箭 \u{1F680} 发射',
+    'Tab\tseparated': '制表符\t分隔',
+    'Line one continued': '第一行续',
+    'First line\nSecond line': '第一行\n第二行',
+    'Multi\nline template': '多行\n模板',
+    'Indexed ${0} files': '已索引 ${0} 个文件'
+};
+
+// 样例文件中各字面量的名称 → 原文
+const FIXTURE_LITERALS = {
+    doubleQuote: 'Say "Hello"',
+    singleQuote: 'It\'s done',
+    backslash: 'C:\\Users\\me',
+    unicode: 'Caf\u00e9 menu',
+    codePoint: 'Rocket \u{1F680} launch',
+    hex: 'Tab\tseparated',
+    continuation: 'Line one continued',
+    newline: 'First line\nSecond line',
+    template: 'Multi\nline template'
+};
+
+/**
+ * 在临时目录中执行测试，结束后删除
+ * @param {function(string): void} fn 接收临时目录路径的测试函数
+ */
+function withTempDir(fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-i18n-'));
+    try {
+        fn(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * 执行补丁后的代码，取出各字面量在运行时的值
+ * @param {string} content 补丁后的代码
+ * @returns {Object}
+ */
+function evaluate(content) {
+    const context = {};
+    vm.runInNewContext(`${content}\nthis.out = out;`, context);
+    return context.out;
+}
+
+for (const mode of ['direct', 'bilingual']) {
+    test(`${mode} 模式替换带转义的字面量后语法有效且运行结果正确`, () => {
+        const content = fs.readFileSync(FIXTURE, 'utf-8');
+        const result = TranslationProcessor.applyTranslations(content, TRANSLATIONS, mode);
+
+        assert.deepStrictEqual(result.errors, []);
+        assert.deepStrictEqual(result.notFound, []);
+        assert.strictEqual(result.replacementsCount, Object.keys(TRANSLATIONS).length);
+        assert.strictEqual(FileUtils.checkSyntax(result.content, FIXTURE).valid, true);
+
+        const out = evaluate(result.content);
+        for (const [name, original] of Object.entries(FIXTURE_LITERALS)) {
+            const translated = TRANSLATIONS[original];
+            assert.strictEqual(out[name].label, mode === 'bilingual' ? `${original}\n${translated}` : translated, name);
+        }
+        assert.strictEqual(out.unchanged.label, 'Not translated');
+    });
+
+    test(`${mode} 模式下模板中的 \${} 表达式只输出一次`, () => {
+        const content = fs.readFileSync(FIXTURE, 'utf-8');
+        const result = TranslationProcessor.applyTranslations(content, TRANSLATIONS, mode);
+
+        assert.strictEqual(result.content.split('${++out.calls}').length - 1, 1);
+        const out = evaluate(result.content);
+        assert.strictEqual(out.calls, 1);
+        assert.strictEqual(out.counter.label, '已索引 1 个文件');
+    });
+}
+
+test('译文与原文相同的词条在两种模式下都保持原样', () => {
+    const content = fs.readFileSync(FIXTURE, 'utf-8');
+    const identical = { 'Anthropic API Key': 'Anthropic API Key', 'Google API Key': 'Google API Key' };
+
+    for (const mode of ['direct', 'bilingual']) {
+        const result = TranslationProcessor.applyTranslations(content, { ...identical, 'Say "Hello"': '说 "你好"' }, mode);
+
+        assert.strictEqual(result.content.split('\n').find(line => line.includes('out.apiKey')), '(function(){out.apiKey={label:"Anthropic API Key",children:\'Google API Key\'};})();', mode);
+        assert.strictEqual(result.replacementsCount, 1, mode);
+        assert.deepStrictEqual(result.notFound, [], mode);
+        assert.deepStrictEqual({ ...evaluate(result.content).apiKey }, { label: 'Anthropic API Key', children: 'Google API Key' }, mode);
+    }
+});
+
+test('译文重复使用占位符时跳过该词条', () => {
+    const content = fs.readFileSync(FIXTURE, 'utf-8');
+    const result = TranslationProcessor.applyTranslations(content, { 'Indexed ${0} files': '已索引 ${0} 个文件（${0}）' }, 'direct');
+
+    assert.strictEqual(result.replacementsCount, 0);
+    assert.match(result.errors[0], /占位符重复/);
+    assert.strictEqual(evaluate(result.content).calls, 1);
+});
+
+test('未补丁的样例文件本身语法有效', () => {
+    const content = fs.readFileSync(FIXTURE, 'utf-8');
+    assert.strictEqual(FileUtils.checkSyntax(content, FIXTURE).valid, true);
+    assert.strictEqual(evaluate(content).template.label, 'Multi\nline template');
+});
+
+test('多个分组定义同一原文时靠后的分组优先，fallback 分组最低且只有采用它时才仅替换展示位置', () => {
+    const translations = TranslationProcessor.flattenTranslations({
+        general: { 'Open': '打开', 'Run': '运行' },
+        fallback: { 'Open': '开启', 'Close': '关闭' },
+        chat: { 'Run': '执行' }
+    });
+
+    const summary = key => TranslationEntry.normalizeVariants(translations[key]).map(({ value, displayOnly }) => ({ value, displayOnly }));
+    assert.deepStrictEqual(summary('Open'), [{ value: '打开', displayOnly: false }]);
+    assert.deepStrictEqual(summary('Run'), [{ value: '执行', displayOnly: false }]);
+    assert.deepStrictEqual(summary('Close'), [{ value: '关闭', displayOnly: true }]);
+});
+
+/**
+ * 创建带 checksums 的 product.json 及其备份
+ * @param {string} appPath 临时的 app 目录
+ * @param {Object} backupFields 备份中的 version 与 commit
+ * @returns {string} workbench 文件路径
+ */
+function createProduct(appPath, backupFields) {
+    const targetFile = path.join(appPath, 'out', 'vs', 'workbench', 'workbench.desktop.main.js');
+    fs.mkdirSync(path.dirname(targetFile), { recursive: true });
+    fs.writeFileSync(targetFile, 'original');
+
+    const checksums = { 'vs/workbench/workbench.desktop.main.js': 'patched-checksum' };
+    fs.writeFileSync(path.join(appPath, 'product.json'), JSON.stringify({ version: '2.0.0', commit: 'new', checksums }));
+    fs.writeFileSync(path.join(appPath, 'product.json.original'), JSON.stringify({ ...backupFields, checksums: { 'vs/workbench/workbench.desktop.main.js': 'backup-checksum' } }));
+    return targetFile;
+}
+
+test('restoreProduct 在备份与当前版本一致时还原 product.json', () => {
+    withTempDir(appPath => {
+        const targetFile = createProduct(appPath, { version: '2.0.0', commit: 'new' });
+
+        assert.strictEqual(ChecksumManager.restoreProduct(appPath, [targetFile]), true);
+        const product = JSON.parse(fs.readFileSync(path.join(appPath, 'product.json'), 'utf-8'));
+        assert.strictEqual(product.checksums['vs/workbench/workbench.desktop.main.js'], 'backup-checksum');
+        assert.strictEqual(fs.existsSync(path.join(appPath, 'product.json.original')), false);
+    });
+});
+
+test('restoreProduct 丢弃过期的备份并按当前文件重新计算校验和', () => {
+    withTempDir(appPath => {
+        const targetFile = createProduct(appPath, { version: '1.0.0', commit: 'old' });
+
+        assert.strictEqual(ChecksumManager.restoreProduct(appPath, [targetFile]), true);
+        const product = JSON.parse(fs.readFileSync(path.join(appPath, 'product.json'), 'utf-8'));
+        assert.strictEqual(product.version, '2.0.0');
+        assert.strictEqual(product.checksums['vs/workbench/workbench.desktop.main.js'], ChecksumManager.computeChecksum('original'));
+        assert.strictEqual(fs.existsSync(path.join(appPath, 'product.json.original')), false);
+    });
+});
+
+test('Cursor 更新后重新建立备份时删除旧备份及其清单文件', () => {
+    withTempDir(dir => {
+        const targetFile = path.join(dir, 'workbench.desktop.main.js');
+        fs.writeFileSync(targetFile, 'out.label="Settings";');
+        const oldBackup = BackupManager.prepareBackup(targetFile, '1.0.0', {});
+        assert.strictEqual(fs.existsSync(BackupManager.getManifestPath(oldBackup)), true);
+
+        fs.writeFileSync(targetFile, 'out.label="Settings";out.title="Chat";');
+        const newBackup = BackupManager.prepareBackup(targetFile, '1.1.0', {});
+
+        assert.notStrictEqual(newBackup, oldBackup);
+        assert.deepStrictEqual(fs.readdirSync(dir).sort(), [
+            'workbench.desktop.main.js',
+            path.basename(newBackup),
+            path.basename(BackupManager.getManifestPath(newBackup)),
+            path.basename(BackupManager.getStateFile(targetFile))
+        ].sort());
+    });
+});
+
+const PRISTINE = 'out.a="Settings";out.b="Chat";out.c="Open";out.d="Close";out.e="Save";';
+const PATCHED = 'out.a="设置";out.b="聊天";out.c="打开";out.d="关闭";out.e="保存";';
+const BACKUP_TRANSLATIONS = { 'Settings': '设置', 'Chat': '聊天', 'Open': '打开', 'Close': '关闭', 'Save': '保存' };
+
+test('备份按版本与内容哈希命名，并写入清单与补丁状态', () => {
+    withTempDir(dir => {
+        const targetFile = path.join(dir, 'workbench.desktop.main.js');
+        fs.writeFileSync(targetFile, PRISTINE);
+        const hash = BackupManager.hashContent(PRISTINE);
+
+        const backupFile = BackupManager.prepareBackup(targetFile, '1.0.0', BACKUP_TRANSLATIONS);
+
+        assert.strictEqual(path.basename(backupFile), `workbench.desktop.main.js.1.0.0.${hash.slice(0, 12)}.original`);
+        assert.strictEqual(fs.readFileSync(backupFile, 'utf-8'), PRISTINE);
+        const manifest = JSON.parse(fs.readFileSync(BackupManager.getManifestPath(backupFile), 'utf-8'));
+        assert.deepStrictEqual({ ...manifest, createdAt: null }, {
+            file: path.basename(backupFile), hash, size: Buffer.byteLength(PRISTINE), version: '1.0.0', createdAt: null
+        });
+        const state = BackupManager.loadState(targetFile);
+        assert.deepStrictEqual([state.version, state.backup, state.originalHash, state.patchedHash], ['1.0.0', path.basename(backupFile), hash, null]);
+        assert.strictEqual(BackupManager.verifyManifest(backupFile, '1.0.0').valid, true);
+        assert.match(BackupManager.verifyManifest(backupFile, '1.1.0').issues.join('\n'), /与已安装版本 \(1\.1\.0\) 不一致/);
+
+        fs.writeFileSync(backupFile, PATCHED);
+        assert.match(BackupManager.verifyManifest(backupFile, '1.0.0').issues.join('\n'), /哈希与清单记录不一致/);
+    });
+});
+
+test('目标文件为原始文件或上次汉化输出时沿用已有备份', () => {
+    withTempDir(dir => {
+        const targetFile = path.join(dir, 'workbench.desktop.main.js');
+        fs.writeFileSync(targetFile, PRISTINE);
+        const backupFile = BackupManager.prepareBackup(targetFile, '1.0.0', BACKUP_TRANSLATIONS);
+        assert.strictEqual(BackupManager.prepareBackup(targetFile, '1.0.0', BACKUP_TRANSLATIONS), backupFile);
+
+        fs.writeFileSync(targetFile, PATCHED);
+        BackupManager.recordPatched(targetFile, PATCHED, { mode: 'direct', hitCounts: { 'Settings': 1, 'Chat': 0 } });
+        assert.strictEqual(BackupManager.prepareBackup(targetFile, '1.0.0', BACKUP_TRANSLATIONS), backupFile);
+        assert.deepStrictEqual(BackupManager.loadState(targetFile).replaced, { 'Settings': 1 });
+        assert.strictEqual(fs.readFileSync(backupFile, 'utf-8'), PRISTINE);
+    });
+});
+
+test('拒绝备份已汉化的文件', () => {
+    withTempDir(dir => {
+        const targetFile = path.join(dir, 'workbench.desktop.main.js');
+        for (const content of [PATCHED, 'out.a="Settings\\n设置";']) {
+            fs.writeFileSync(targetFile, content);
+
+            assert.strictEqual(BackupManager.prepareBackup(targetFile, '1.0.0', BACKUP_TRANSLATIONS), null, content);
+            assert.deepStrictEqual(fs.readdirSync(dir), ['workbench.desktop.main.js'], content);
+        }
+    });
+});
+
+test('旧格式备份与目标文件相同或目标文件已汉化时迁移为带版本的备份', () => {
+    withTempDir(dir => {
+        const targetFile = path.join(dir, 'workbench.desktop.main.js');
+        const legacyFile = `${targetFile}.original`;
+        for (const [content, version] of [[PRISTINE, '1.0.0'], [PATCHED, 'unknown']]) {
+            fs.writeFileSync(legacyFile, PRISTINE);
+            fs.writeFileSync(targetFile, content);
+
+            const backupFile = BackupManager.prepareBackup(targetFile, '1.0.0', BACKUP_TRANSLATIONS);
+
+            assert.strictEqual(fs.existsSync(legacyFile), false);
+            assert.strictEqual(fs.readFileSync(backupFile, 'utf-8'), PRISTINE);
+            assert.strictEqual(BackupManager.loadState(targetFile).version, version);
+            BackupManager.removeBackup(targetFile, backupFile);
+        }
+    });
+});
+
+test('旧格式备份与未汉化的目标文件不一致时以目标文件重新建立备份', () => {
+    withTempDir(dir => {
+        const targetFile = path.join(dir, 'workbench.desktop.main.js');
+        const legacyFile = `${targetFile}.original`;
+        const updated = `${PRISTINE}out.f="Help";`;
+        fs.writeFileSync(legacyFile, PRISTINE);
+        fs.writeFileSync(targetFile, updated);
+
+        const backupFile = BackupManager.prepareBackup(targetFile, '1.1.0', BACKUP_TRANSLATIONS);
+
+        assert.strictEqual(fs.existsSync(legacyFile), false);
+        assert.strictEqual(fs.readFileSync(backupFile, 'utf-8'), updated);
+        assert.strictEqual(BackupManager.loadState(targetFile).version, '1.1.0');
+    });
+});
+
+test('checkSyntax 对 ES 模块改用 node --check 检查并给出错误位置', () => {
+    assert.strictEqual(FileUtils.checkSyntax('import fs from "fs";\nexport const a = 1;', FIXTURE).valid, true);
+
+    const esm = FileUtils.checkSyntax('import fs from "fs";\nexport const a = ;', FIXTURE);
+    assert.strictEqual(esm.valid, false);
+    assert.deepStrictEqual(esm.location, { line: 2, column: 18, offset: 38 });
+
+    const script = FileUtils.checkSyntax('const a = 1;\nconst b = ;', FIXTURE);
+    assert.strictEqual(script.valid, false);
+    assert.deepStrictEqual(script.location, { line: 2, column: 11, offset: 23 });
+});
+
+test('finalizeTranslation 写入的内容无法通过语法检查时从备份回滚', () => {
+    withTempDir(dir => {
+        const targetFile = path.join(dir, 'workbench.desktop.main.js');
+        fs.writeFileSync(targetFile, PRISTINE);
+        const backupFile = BackupManager.prepareBackup(targetFile, '1.0.0', BACKUP_TRANSLATIONS);
+
+        assert.strictEqual(PatchApplier.finalizeTranslation(targetFile, 'out.a="设置;', backupFile), false);
+        assert.strictEqual(fs.readFileSync(targetFile, 'utf-8'), PRISTINE);
+        assert.strictEqual(BackupManager.loadState(targetFile).patchedHash, null);
+
+        assert.strictEqual(PatchApplier.finalizeTranslation(targetFile, PATCHED, backupFile), true);
+        assert.strictEqual(fs.readFileSync(targetFile, 'utf-8'), PATCHED);
+        assert.strictEqual(BackupManager.loadState(targetFile).patchedHash, BackupManager.hashContent(PATCHED));
+    });
+});
\ No newline at end of file
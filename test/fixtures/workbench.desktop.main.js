@@ -0,0 +1,15 @@
+var out = {};
+(function(){out.doubleQuote={label:"Say \"Hello\""};})();
+(function(){out.singleQuote={label:'It\'s done'};})();
+(function(){out.backslash={label:"C:\\Users\\me"};})();
+(function(){out.unicode={label:"Caf\u00e9 menu"};})();
+(function(){out.codePoint={label:"Rocket \u{1F680} launch"};})();
+(function(){out.hex={label:"Tab\x09separated"};})();
+(function(){out.continuation={label:"Line one \
+continued"};})();
+(function(){out.newline={label:"First line\nSecond line"};})();
+(function(){out.template={label:`Multi
+line template`};})();
+(function(){out.calls=0;out.counter={label:`Indexed ${++out.calls} files`};})();
+(function(){out.apiKey={label:"Anthropic API Key",children:'Google API Key'};})();
+(function(){out.unchanged={label:"Not translated"};})();
\ No newline at end of file
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Glossary } = require('../scripts/glossary.js');
+
+const GLOSSARY = [
+    Glossary.normalizeTerm('Rule', '规则'),
+    Glossary.normalizeTerm('Plan', { target: ['方案', '计划'], exceptions: { 'Pro Plan': '沿用官方套餐名称' } })
+];
+
+test('原文包含术语（不区分大小写，含复数）时译文须使用规定的译法', () => {
+    assert.deepStrictEqual(Glossary.checkEntry(GLOSSARY, 'rules', 'Add project rules', '添加项目守则'), [
+        { term: 'Rule', group: 'rules', source: 'Add project rules', translation: '添加项目守则', expected: ['规则'] }
+    ]);
+    assert.deepStrictEqual(Glossary.checkEntry(GLOSSARY, 'rules', 'Add project rules', '添加项目规则'), []);
+    assert.deepStrictEqual(Glossary.checkEntry(GLOSSARY, 'plans', 'Upgrade your plan', '升级你的计划'), []);
+    assert.deepStrictEqual(Glossary.checkEntry(GLOSSARY, 'rules', 'Overruled', '已否决'), []);
+});
+
+test('变体中的每个译文分别检查，登记为例外的词条不检查', () => {
+    const violations = Glossary.checkEntry(GLOSSARY, 'plans', 'Plan mode', [{ value: '规划模式', scope: { anchor: 'plan' } }, '方案模式']);
+
+    assert.deepStrictEqual(violations.map(violation => violation.translation), ['规划模式']);
+    assert.deepStrictEqual(Glossary.checkEntry(GLOSSARY, 'plans', 'Pro Plan', 'Pro 套餐'), []);
+});
+
+test('groupByTerm 按术语整理不一致之处，术语未指定译法时抛出', () => {
+    const violations = [
+        ...Glossary.checkEntry(GLOSSARY, 'rules', 'Rules', '守则'),
+        ...Glossary.checkEntry(GLOSSARY, 'plans', 'Free Plan', '免费套餐')
+    ];
+
+    assert.deepStrictEqual(Glossary.groupByTerm(violations), {
+        Rule: { expected: ['规则'], entries: [{ group: 'rules', source: 'Rules', translation: '守则' }] },
+        Plan: { expected: ['方案', '计划'], entries: [{ group: 'plans', source: 'Free Plan', translation: '免费套餐' }] }
+    });
+    assert.throws(() => Glossary.normalizeTerm('Agent', { target: [] }), /术语 "Agent" 未指定译法/);
+});
\ No newline at end of file
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { JsonReader } = require('../scripts/json-reader.js');
+
+test('parse 记录重复键的行号、列号与第一次出现的行号', () => {
+    const content = '{\n  "a": 1,\n  "b": {\n    "x": 1,\n    "x": 2\n  },\n  "a": 3\n}';
+    const { value, duplicates } = JsonReader.parse(content);
+
+    assert.deepStrictEqual(value, { a: 3, b: { x: 2 } });
+    assert.deepStrictEqual(duplicates, [
+        { path: ['b'], key: 'x', line: 5, column: 5, firstLine: 4 },
+        { path: [], key: 'a', line: 7, column: 3, firstLine: 2 }
+    ]);
+});
+
+test('parse 的位置不计入 BOM 并兼容 CRLF 换行', () => {
+    const { duplicates } = JsonReader.parse('\ufeff{"a": 1, "a": 2,\r\n "b": 1, "b": 2}');
+
+    assert.deepStrictEqual(duplicates.map(({ line, column }) => ({ line, column })), [{ line: 1, column: 10 }, { line: 2, column: 10 }]);
+});
+
+test('parse 语法错误时给出行号与列号', () => {
+    assert.throws(() => JsonReader.parse('{\n  "a": 1,\n  "b": 2,\n}', 'test.json'), error => {
+        assert.deepStrictEqual(error.location, { line: 3, column: 9 });
+        assert.match(error.message, /test\.json:3:9: 最后一项之后多了逗号/);
+        return true;
+    });
+});
+
+test('parseConfig 遇到重复键时抛出并列出全部重复', () => {
+    assert.deepStrictEqual(JsonReader.parseConfig('{"a": 1}'), { a: 1 });
+    assert.throws(() => JsonReader.parseConfig('{\n"a": 1,\n"a": 2,\n"b": 1,\n"b": 2\n}', 'config.json'), error => {
+        assert.strictEqual(error.message.split('\n').length, 2);
+        assert.match(error.message, /config\.json:3:1: 顶层的键 "a" 与第 2 行重复/);
+        return true;
+    });
+});
\ No newline at end of file
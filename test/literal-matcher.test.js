@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { LiteralMatcher } = require('../scripts/literal-matcher.js');
+
+test('decodeLiteral 解码各类转义', () => {
+    const cases = [
+        ['Say \\"Hello\\"', 'Say "Hello"'],
+        ['It\\\'s done', 'It\'s done'],
+        ['C:\\\\Users\\\\me', 'C:\\Users\\me'],
+        ['Caf\\u00e9', 'Caf\u00e9'],
+        ['Rocket \\u{1F680}', 'Rocket \u{1F680}'],
+        ['Tab\\x09separated', 'Tab\tseparated'],
+        ['Line one \\\ncontinued', 'Line one continued'],
+        ['Line one \\\r\ncontinued', 'Line one continued'],
+        ['First\\nSecond', 'First\nSecond'],
+        ['\\0', '\0'],
+        ['\\$\\{x\\}', '${x}']
+    ];
+    for (const [raw, expected] of cases) {
+        assert.strictEqual(LiteralMatcher.decodeLiteral(raw), expected, raw);
+    }
+});
+
+test('decodeLiteral 拒绝非法字面量', () => {
+    for (const raw of ['bad\\x4', 'bad\\u12', 'bad\\u{110000}', 'octal\\12', 'trailing\\', 'raw\nnewline']) {
+        assert.strictEqual(LiteralMatcher.decodeLiteral(raw), null, JSON.stringify(raw));
+    }
+});
+
+test('decodeLiteral 在模板字符串中允许直接换行并统一换行符', () => {
+    assert.strictEqual(LiteralMatcher.decodeLiteral('Multi\r\nline', true), 'Multi\nline');
+    assert.strictEqual(LiteralMatcher.decodeLiteral('Multi\nline', true), 'Multi\nline');
+});
+
+test('encodeLiteral 按引号转义', () => {
+    assert.strictEqual(LiteralMatcher.encodeLiteral('说 "你好"', '"'), '说 \\"你好\\"');
+    assert.strictEqual(LiteralMatcher.encodeLiteral('说 "你好"', '\''), '说 "你好"');
+    assert.strictEqual(LiteralMatcher.encodeLiteral('it\'s', '\''), 'it\\\'s');
+    assert.strictEqual(LiteralMatcher.encodeLiteral('C:\\用户', '"'), 'C:\\\\用户');
+    assert.strictEqual(LiteralMatcher.encodeLiteral('`${x}`', '`'), '\\`\\${x}\\`');
+    assert.strictEqual(LiteralMatcher.encodeLiteral('第一行\n第二行\t\u2028', '"'), '第一行\\n第二行\\t\\u2028');
+    assert.strictEqual(LiteralMatcher.encodeLiteral('\u0001', '"'), '\\x01');
+    assert.strictEqual(LiteralMatcher.encodeLiteral('火箭 \u{1F680}', '"'), '火箭 \u{1F680}');
+});
+
+test('encodeLiteral 的结果可以被 decodeLiteral 与 JS 引擎还原', () => {
+    const text = 'Quote " \' ` \\ ${x} 换行\n回车\r制表\t\u2028\u0001 \u{1F680}';
+    for (const quote of ['"', '\'', '`']) {
+        const encoded = LiteralMatcher.encodeLiteral(text, quote);
+        assert.strictEqual(LiteralMatcher.decodeLiteral(encoded, quote === '`'), text, quote);
+        assert.strictEqual(eval(`${quote}${encoded}${quote}`), text, quote);
+    }
+});
+
+// 使相邻的两处字面量相距超过作用域范围
+const FILLER = 'n.x=0;'.repeat(10);
+
+test('同一原文的多处出现按作用域选用不同变体，未被作用域覆盖时使用无作用域的变体', () => {
+    const matcher = new LiteralMatcher({
+        'Open': [
+            { value: '已打开', scope: { anchor: 'isOpen', within: 20 } },
+            { value: '打开文件', scope: { pattern: 'openFile\\(', within: 20 } },
+            '打开'
+        ]
+    });
+    const content = [
+        'a={isOpen:1,label:"Open"};',
+        'b={label:"Open",run:()=>openFile()};',
+        'c={label:"Open"};'
+    ].join(FILLER);
+
+    const result = matcher.replace(content, 'direct');
+
+    assert.deepStrictEqual(matcher.invalidEntries, []);
+    assert.strictEqual(result.content, [
+        'a={isOpen:1,label:"已打开"};',
+        'b={label:"打开文件",run:()=>openFile()};',
+        'c={label:"打开"};'
+    ].join(FILLER));
+});
+
+test('锚点超出 within 范围时不适用该变体，没有无作用域的变体时保留原文', () => {
+    const matcher = new LiteralMatcher({
+        'Open': [{ value: '已打开', scope: { anchor: 'isOpen', within: 10 } }]
+    });
+    const content = `a={label:"Open",isOpen:1};b={isOpen:1,${'x:0,'.repeat(5)}label:"Open"};`;
+
+    const result = matcher.replace(content, 'direct');
+
+    assert.strictEqual(result.content, `a={label:"已打开",isOpen:1};b={isOpen:1,${'x:0,'.repeat(5)}label:"Open"};`);
+    assert.strictEqual(result.replacementsCount, 1);
+});
\ No newline at end of file
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+const { LocaleManager, DEFAULT_LOCALE } = require('../scripts/locale-manager.js');
+
+test('normalize 规范化语言代码', () => {
+    assert.strictEqual(LocaleManager.normalize('zh_TW'), 'zh-tw');
+    assert.strictEqual(LocaleManager.normalize(' ja '), 'ja');
+    assert.strictEqual(LocaleManager.normalize('sr-Latn-RS'), 'sr-latn-rs');
+    assert.strictEqual(LocaleManager.normalize(undefined), DEFAULT_LOCALE);
+});
+
+test('normalize 拒绝无效的语言代码', () => {
+    for (const locale of ['../x', 'zh-cn/../../etc', 'x', 'zh--cn', 'zh-cn.json', 'chinese']) {
+        assert.throws(() => LocaleManager.normalize(locale), /不是有效的语言代码/, locale);
+        assert.strictEqual(LocaleManager.isValid(locale), false, locale);
+    }
+});
+
+test('parseArgs 取出 --locale 并保留其余参数', () => {
+    assert.deepStrictEqual(LocaleManager.parseArgs(['fast', '--locale', 'zh_TW']), { locale: 'zh-tw', args: ['fast'] });
+    assert.deepStrictEqual(LocaleManager.parseArgs(['--locale=ja', 'fix']), { locale: 'ja', args: ['fix'] });
+    assert.deepStrictEqual(LocaleManager.parseArgs([]), { locale: DEFAULT_LOCALE, args: [] });
+});
+
+test('parseArgs 遇到缺失或无效的 --locale 时报错退出', () => {
+    const script = `require(${JSON.stringify(path.join(__dirname, '..', 'scripts', 'locale-manager.js'))}).LocaleManager.parseArgs(process.argv.slice(1))`;
+    for (const args of [['--locale=../x'], ['--locale='], ['--locale'], ['--locale', '']]) {
+        const result = spawnSync(process.execPath, ['-e', script, '--', ...args], { encoding: 'utf-8' });
+        assert.strictEqual(result.status, 1, args.join(' '));
+        assert.match(result.stderr, /^参数无效: /, args.join(' '));
+    }
+});
\ No newline at end of file
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { PlaceholderChecker } = require('../scripts/placeholder-checker.js');
+
+/**
+ * 只取问题的类型与标记，便于比较
+ * @param {string} source 原文
+ * @param {string} translation 译文
+ * @returns {string[]}
+ */
+function problems(source, translation) {
+    return PlaceholderChecker.compare(source, translation).map(({ kind, token }) => `${kind} ${token}`);
+}
+
+test('报告译文缺少的 ${x}、{0} 与 HTML 标签', () => {
+    assert.deepStrictEqual(problems('Indexed ${count} files', '已索引文件'), ['missing ${count}']);
+    assert.deepStrictEqual(problems('Deleted {0} of {1} items', '已删除 {0} 项'), ['missing {1}']);
+    assert.deepStrictEqual(problems('Click <b>here</b> to continue', '点击此处继续'), ['missing <b>', 'missing </b>']);
+    assert.deepStrictEqual(problems('See [the docs](https://cursor.com/docs)', '参见[文档](https://cursor.com)'), [
+        'extra [文档](https://cursor.com)',
+        'missing [the docs](https://cursor.com/docs)'
+    ]);
+});
+
+test('报告原文中没有的占位符', () => {
+    assert.deepStrictEqual(problems('Open file', '打开 {0} 文件'), ['extra {0}']);
+});
+
+test('允许调整可重排占位符的顺序，但不允许调整 %s 的顺序或打乱标签嵌套', () => {
+    assert.deepStrictEqual(problems('Move {0} to {1}', '将 {0} 移动到 {1}'), []);
+    assert.deepStrictEqual(problems('From ${a} to ${b}', '到 ${b}，从 ${a}'), []);
+    assert.deepStrictEqual(problems('Press [Ctrl+K] to open', '按 [Ctrl+K] 打开'), []);
+    assert.deepStrictEqual(problems('Copied %s to %d places', '已复制到 %d 处: %s'), ['reordered %d %s']);
+    assert.deepStrictEqual(problems('Copied %1$s to %2$s', '复制到 %2$s: %1$s'), []);
+    assert.deepStrictEqual(problems('Copied %1$s to %2$s', '已复制 %1$s'), ['missing %2$s']);
+    assert.deepStrictEqual(problems('<b><i>Bold</i></b>', '<b><i>粗体</b></i>'), ['reordered <b> <i> </b> </i>']);
+});
+
+test('checkEntry 检查全部变体并生成描述', () => {
+    const found = PlaceholderChecker.checkEntry('Indexed ${count} files', [
+        { value: '已索引 ${count} 个文件', scope: { anchor: 'index' } },
+        '已索引文件'
+    ]);
+
+    assert.deepStrictEqual(found, [{ kind: 'missing', type: 'template', token: '${count}', translation: '已索引文件' }]);
+    assert.strictEqual(PlaceholderChecker.describe(found[0]), '译文缺少模板占位符 ${count}');
+});
\ No newline at end of file
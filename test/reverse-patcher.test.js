@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { BackupManager } = require('../scripts/apply.js');
+const { ReversePatcher } = require('../scripts/reverse-patcher.js');
+
+test('旧版本双语模式为译文与原文相同的词条写入的 "原文\\n原文" 可以还原', () => {
+    const translations = { 'Anthropic API Key': 'Anthropic API Key', 'Settings': '设置' };
+    const patched = 'a={label:"Anthropic API Key\\nAnthropic API Key",title:"Settings\\n设置"};';
+
+    const result = ReversePatcher.reverse(patched, translations);
+
+    assert.strictEqual(result.content, 'a={label:"Anthropic API Key",title:"Settings"};');
+    assert.deepStrictEqual(result.reversed, { 'Anthropic API Key': 1, 'Settings': 1 });
+});
+
+test('checkPristine 报告残留的 "原文\\n原文"', () => {
+    const leftover = BackupManager.checkPristine('a={label:"Anthropic API Key\\nAnthropic API Key"};', null);
+    assert.strictEqual(leftover.pristine, false);
+    assert.match(leftover.reasons.join('\n'), /原文\\n原文/);
+
+    assert.strictEqual(BackupManager.checkPristine('a={label:"Anthropic API Key\\nOther"};', null).pristine, true);
+});
\ No newline at end of file
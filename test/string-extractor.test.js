@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { StringExtractor } = require('../scripts/string-extractor.js');
+
+const CONTENT = [
+    'a={label:"Open Settings"};',
+    'b={title:"Open Settings",children:`Indexed ${n} files`};',
+    'c={label:"Open File",description:`Removed ${n} of ${m} items.`};',
+    'if(e.kind==="Show Panel")f();',
+    'g={href:"https://cursor.com/docs",id:"workbench.action.openSettings",title:"设置"};',
+    'h.textContent="Settings";'
+].join('\n');
+
+test('extract 只保留未被翻译覆盖的界面文本，并跳过高风险位置、网址、标识符与已翻译文本', () => {
+    const result = StringExtractor.extract(CONTENT, {
+        'Open File': '打开文件',
+        'Indexed ${count} files': '已索引 ${count} 个文件'
+    });
+
+    assert.deepStrictEqual(result.untranslated.map(item => item.text).sort(), ['Open Settings', 'Removed ${0} of ${1} items.', 'Settings']);
+    assert.strictEqual(result.total, 5);
+    assert.strictEqual(result.covered, 2);
+
+    const openSettings = result.untranslated.find(item => item.text === 'Open Settings');
+    assert.strictEqual(openSettings.count, 2);
+    assert.deepStrictEqual([...openSettings.contexts], ['displayProperty']);
+    assert.strictEqual(result.untranslated[0].text, 'Removed ${0} of ${1} items.');
+});
+
+test('scoreText 排除单个小写单词、代码与 CSS', () => {
+    for (const text of ['open', 'a => b', 'display: none;', '12px', 'camelCase', 'MAX_VALUE', ' Padded']) {
+        assert.strictEqual(StringExtractor.scoreText(text), 0, text);
+    }
+    assert.ok(StringExtractor.scoreText('Open the settings file.') > StringExtractor.scoreText('Settings'));
+});
+
+test('getLineNumbers 计算各位置所在的行号', () => {
+    const lines = StringExtractor.getLineNumbers(CONTENT, [CONTENT.indexOf('Show Panel'), 0, CONTENT.indexOf('Settings";')]);
+
+    assert.deepStrictEqual([...lines.entries()].sort((a, b) => a[0] - b[0]).map(([, line]) => line), [1, 4, 6]);
+});
\ No newline at end of file
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { TranslationEntry } = require('../scripts/translation-entry.js');
+
+test('findDuplicateSources 区分相同的重复与冲突，并标出采用的译文', () => {
+    const duplicates = TranslationEntry.findDuplicateSources({
+        general: { 'Open': '打开', 'Run': '运行' },
+        chat: { 'Open': '打开', 'Run': '执行' }
+    });
+
+    assert.deepStrictEqual(duplicates, [
+        { source: 'Open', entries: [{ group: 'chat', value: '打开' }, { group: 'general', value: '打开' }], conflict: false, previousGroup: null },
+        { source: 'Run', entries: [{ group: 'chat', value: '执行' }, { group: 'general', value: '运行' }], conflict: true, previousGroup: null }
+    ]);
+});
+
+test('findDuplicateSources 标出 fallback 优先级调整后采用的译文发生变化的冲突', () => {
+    const [duplicate] = TranslationEntry.findDuplicateSources({
+        general: { 'Open': '打开' },
+        fallback: { 'Open': '开启' }
+    });
+
+    assert.strictEqual(duplicate.entries[0].group, 'general');
+    assert.strictEqual(duplicate.previousGroup, 'fallback');
+});
\ No newline at end of file
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { TranslationExchange } = require('../scripts/translation-exchange.js');
+const { LocaleManager } = require('../scripts/locale-manager.js');
+const { XliffConverter } = require('../scripts/xliff-converter.js');
+const { PoConverter } = require('../scripts/po-converter.js');
+const { SpreadsheetConverter } = require('../scripts/spreadsheet-converter.js');
+
+/**
+ * 把翻译文件、未翻译清单与 yes 文件指向临时目录
+ * @param {Object} t 测试上下文
+ * @param {{translations: Object, untranslated?: Object, user?: Object}} files 各文件内容
+ * @returns {{translationFile: string, untranslatedFile: string, userFile: string}}
+ */
+function useTempFiles(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-i18n-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const paths = {
+        translationFile: path.join(dir, 'zh-cn.json'),
+        untranslatedFile: path.join(dir, 'no.json'),
+        userFile: path.join(dir, 'yes-zh-cn.json')
+    };
+    fs.writeFileSync(paths.translationFile, JSON.stringify(files.translations));
+    fs.writeFileSync(paths.untranslatedFile, JSON.stringify(files.untranslated || {}));
+    if (files.user) {
+        fs.writeFileSync(paths.userFile, JSON.stringify(files.user));
+    }
+    t.mock.method(LocaleManager, 'getTranslationFile', () => paths.translationFile);
+    t.mock.method(LocaleManager, 'getUntranslatedFile', () => paths.untranslatedFile);
+    t.mock.method(LocaleManager, 'getUserFile', () => paths.userFile);
+    return paths;
+}
+
+test('stageUnits 报告覆盖翻译文件或 yes 文件中已有译文的导入', t => {
+    const { userFile } = useTempFiles(t, {
+        translations: { general: { 'Open': '打开', 'Close': '关闭', 'Save': 'Save', 'Run': '运行' } },
+        user: { general: { 'Close': '关掉' } }
+    });
+
+    const result = TranslationExchange.stageUnits('zh-cn', [
+        { group: 'general', source: 'Open', target: '开启', state: 'translated' },
+        { group: 'general', source: 'Close', target: '合上', state: 'translated' },
+        { group: 'general', source: 'Save', target: '保存', state: 'translated' },
+        { group: 'general', source: 'Run', target: '执行', state: 'initial' }
+    ]);
+
+    assert.deepStrictEqual(result.conflicts, [
+        { group: 'general', source: 'Open', previous: '打开', imported: '开启', file: 'zh-cn.json' },
+        { group: 'general', source: 'Close', previous: '关掉', imported: '合上', file: 'yes-zh-cn.json' }
+    ]);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(userFile, 'utf-8')), {
+        general: { 'Close': '合上', 'Open': '开启', 'Save': '保存', 'Run': { value: '执行', fuzzy: true } }
+    });
+});
+
+// 原文与译文包含引号、逗号、制表符、换行、反斜杠与 XML 特殊字符
+const EXCHANGE_FILES = {
+    translations: {
+        general: {
+            'Say "Hello", world': '说 "你好"，世界',
+            'First line\nSecond line': '第一行\n第二行',
+            'Tab\tseparated, value': '制表符\t分隔，值',
+            'Use <b>bold</b> & \'more\'': '使用 <b>粗体</b> & \'更多\'',
+            'C:\\Users': 'C:\\用户',
+            'Open': { value: '打开', forbid: ['argument'], comment: '菜单中的"打开"' }
+        }
+    },
+    untranslated: { pending: { 'Not yet "translated",\nsecond\tline': 'Not yet "translated",\nsecond\tline' } }
+};
+// 译员修改的译文，以及为未翻译文本填写的译文
+const EDITED = {
+    general: { 'Say "Hello", world': '说："你好"，世界' },
+    pending: { 'Not yet "translated",\nsecond\tline': '尚未"翻译"，\n第二\t行' }
+};
+
+/**
+ * 模拟译员在导出的单元中修改译文
+ * @param {Array} units TranslationExchange.collectUnits 的结果
+ * @returns {Array}
+ */
+function editUnits(units) {
+    return units.map(unit => {
+        const target = EDITED[unit.group] && EDITED[unit.group][unit.source];
+        return target ? { ...unit, target, state: 'translated', fuzzy: false } : unit;
+    });
+}
+
+/**
+ * 导出后原样导入不产生任何改动，修改后导入只写入修改过的译文
+ * @param {Object} t 测试上下文
+ * @param {{extension: string, build: function(Array): string, parse: function(string): Array, importFile: function(string): boolean}} format 格式
+ */
+function assertRoundTrip(t, format) {
+    const { userFile } = useTempFiles(t, EXCHANGE_FILES);
+    t.mock.method(console, 'log', () => {});
+    const units = TranslationExchange.collectUnits('zh-cn');
+    const file = path.join(path.dirname(userFile), `zh-cn.${format.extension}`);
+
+    fs.writeFileSync(file, format.build(units));
+    assert.deepStrictEqual(
+        format.parse(fs.readFileSync(file, 'utf-8')).map(({ group, source, target }) => ({ group, source, target })),
+        units.map(({ group, source, target }) => ({ group, source, target }))
+    );
+    assert.strictEqual(format.importFile(file), true);
+    assert.strictEqual(fs.existsSync(userFile), false);
+
+    fs.writeFileSync(file, format.build(editUnits(units)));
+    assert.strictEqual(format.importFile(file), true);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(userFile, 'utf-8')), EDITED);
+}
+
+test('XLIFF 导出后再导入保持原文与译文不变', t => {
+    assertRoundTrip(t, {
+        extension: 'xlf',
+        build: units => XliffConverter.build('zh-cn', units),
+        parse: content => XliffConverter.parse(content).units,
+        importFile: file => XliffConverter.importFile({ locale: 'zh-cn', file, merge: false })
+    });
+});
+
+test('PO 导出后再导入保持带引号与换行的原文与译文不变', t => {
+    assertRoundTrip(t, {
+        extension: 'po',
+        build: units => PoConverter.build('zh-cn', units),
+        parse: content => PoConverter.parse(content).units,
+        importFile: file => PoConverter.importFile({ locale: 'zh-cn', file, merge: false })
+    });
+});
+
+test('PO 多行字符串按行拆分，译者备注与 fuzzy 标记可以还原', () => {
+    const content = PoConverter.build('zh-cn', [
+        { group: 'general', source: 'First line\nSecond "line"', target: '第一行\n第二"行"', state: 'initial', fuzzy: true, comment: '备注一\n备注二', hasOptions: false }
+    ]);
+
+    assert.match(content, /msgid ""\n"First line\\n"\n"Second \\"line\\""/);
+    assert.deepStrictEqual(PoConverter.parse(content), {
+        language: 'zh_CN',
+        units: [{ group: 'general', source: 'First line\nSecond "line"', target: '第一行\n第二"行"', state: 'initial', comment: '备注一\n备注二' }],
+        errors: []
+    });
+});
+
+for (const [format, delimiter] of [['csv', ','], ['tsv', '\t']]) {
+    test(`${format.toUpperCase()} 导出后再导入保持含逗号、引号、制表符与换行的文本不变`, t => {
+        assertRoundTrip(t, {
+            extension: format,
+            build: units => SpreadsheetConverter.build(units, {}, delimiter),
+            parse: content => SpreadsheetConverter.validate(
+                SpreadsheetConverter.parse(content.replace(/^\ufeff/, ''), delimiter),
+                TranslationExchange.getKnownSources('zh-cn')
+            ).units,
+            importFile: file => SpreadsheetConverter.importFile({ locale: 'zh-cn', file, format, merge: false })
+        });
+    });
+}
+
+test('表格字段中的分隔符、引号与换行按 RFC 4180 加引号', () => {
+    const content = SpreadsheetConverter.build([
+        { group: 'general', source: 'Say "Hi", then\nleave', target: '说 "嗨"', state: 'translated', fuzzy: false, comment: '' }
+    ], {}, ',');
+
+    assert.strictEqual(content, '\ufeffgroup,source,translation,status,notes,hits\r\ngeneral,"Say ""Hi"", then\nleave","说 ""嗨""",translated,,\r\n');
+    assert.deepStrictEqual(SpreadsheetConverter.parse(content.slice(1), ',')[1], {
+        fields: ['general', 'Say "Hi", then\nleave', '说 "嗨"', 'translated', '', ''],
+        line: 2
+    });
+    assert.throws(() => SpreadsheetConverter.parse('group,source\r\ngeneral,"unclosed', ','), /第 2 行的引号未闭合/);
+});
\ No newline at end of file
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { TextSimilarity } = require('../scripts/text-similarity.js');
+const { TranslationMemory } = require('../scripts/translation-memory.js');
+
+const GROUPS = {
+    files: {
+        'Open the settings file': '打开设置文件',
+        'Delete the project': '删除项目',
+        'Rename the project': { value: '重命名项目', fuzzy: true },
+        'Cursor Tab': 'Cursor Tab'
+    },
+    archived: {
+        'Open the settings file': '打开设置档',
+        'Close the old panel': '关闭旧面板'
+    }
+};
+
+test('similarity 综合字符编辑距离与单词重合度', () => {
+    assert.strictEqual(TextSimilarity.levenshtein('kitten', 'sitting'), 3);
+    assert.strictEqual(TextSimilarity.dice(['open', 'file'], ['open', 'folder']), 0.5);
+    assert.strictEqual(TextSimilarity.similarity('Open File', 'Open File'), 1);
+    assert.ok(TextSimilarity.similarity('Open the settings file', 'Open the settings files') > TextSimilarity.similarity('Open the settings file', 'Close the panel'));
+});
+
+test('findSimilar 只比较共享非常见单词的候选，并按相似度降序排列', () => {
+    const index = TextSimilarity.createIndex(['Open the settings file', 'Open the settings folder', 'Close the panel', 'Open File']);
+
+    const matches = TextSimilarity.findSimilar('Open the settings files', index, { threshold: 0.6 });
+
+    assert.deepStrictEqual(matches.map(match => match.text), ['Open the settings file', 'Open the settings folder']);
+    assert.ok(matches[0].score > matches[1].score);
+    assert.deepStrictEqual(TextSimilarity.findSimilar('the and of', index, { threshold: 0 }), []);
+});
+
+test('翻译记忆跳过草稿与未翻译的词条，同一原文优先使用未归档的译文', () => {
+    const memory = new TranslationMemory(TranslationMemory.collectUnits(GROUPS, 'zh-cn'));
+
+    assert.deepStrictEqual([...memory.units.keys()].sort(), ['Close the old panel', 'Delete the project', 'Open the settings file']);
+    assert.deepStrictEqual(memory.suggest('Open the settings files').map(({ source, target, group }) => ({ source, target, group })), [
+        { source: 'Open the settings file', target: '打开设置文件', group: 'files' }
+    ]);
+});
+
+test('fillDrafts 把最相似的译文写为 fuzzy 草稿，不覆盖已有词条', () => {
+    const memory = new TranslationMemory(TranslationMemory.collectUnits(GROUPS, 'zh-cn'));
+    const untranslated = TranslationMemory.findUntranslated({
+        general: { 'Delete the projects': '', 'Close the old panels': '', 'Open the settings file': '' },
+        chat: { 'Open the settings files': '' }
+    }, GROUPS, 'zh-cn');
+    assert.deepStrictEqual(untranslated.map(item => item.text), ['Delete the projects', 'Close the old panels', 'Open the settings files']);
+
+    const userGroups = { chat: { 'Open the settings files': '打开设置文件们' } };
+    const added = TranslationMemory.fillDrafts(userGroups, untranslated.map(item => ({ ...item, suggestions: memory.suggest(item.text) })));
+
+    assert.strictEqual(added, 2);
+    assert.deepStrictEqual(userGroups, {
+        chat: { 'Open the settings files': '打开设置文件们' },
+        files: { 'Delete the projects': { value: '删除项目', fuzzy: true } },
+        general: { 'Close the old panels': { value: '关闭旧面板', fuzzy: true } }
+    });
+});
\ No newline at end of file
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MatchHistory } = require('../scripts/match-history.js');
+const { TranslationPruner } = require('../scripts/translation-pruner.js');
+const { LocaleManager } = require('../scripts/locale-manager.js');
+
+// 'Old' 在最近三个版本中都未找到，'Moved' 在 0.9.0 中仍然命中
+const HISTORY = {
+    'zh-cn': {
+        '0.9.0': { matched: ['Open', 'Moved'], notFound: ['Old'] },
+        '0.10.0': { matched: ['Open'], notFound: ['Old', 'Moved'] },
+        '0.10.1': { matched: ['Open'], notFound: ['Old', 'Moved'] },
+        '0.8.0': { matched: ['Open', 'Old'], notFound: ['Moved'] }
+    }
+};
+const GROUPS = {
+    general: { 'Open': '打开', 'Old': '旧功能' },
+    legacy: { 'Moved': '已移动' },
+    archived: { 'Removed': '已删除' }
+};
+
+test('record 按语言与版本记录匹配结果，版本未知时不记录', t => {
+    let saved = null;
+    t.mock.method(MatchHistory, 'load', () => ({}));
+    t.mock.method(MatchHistory, 'save', history => {
+        saved = history;
+        return true;
+    });
+
+    assert.strictEqual(MatchHistory.record('zh-cn', 'unknown', { 'Open': '打开' }, []), false);
+    assert.strictEqual(saved, null);
+
+    assert.strictEqual(MatchHistory.record('zh-CN', '0.10.1', { 'Open': '打开', 'Old': '旧功能' }, ['Old'], { 'Open': 3, 'Old': 0 }), true);
+    assert.deepStrictEqual({ ...saved['zh-cn']['0.10.1'], recordedAt: null }, {
+        recordedAt: null, matched: ['Open'], notFound: ['Old'], hits: { 'Open': 3 }
+    });
+});
+
+test('findStale 按版本号取最近的版本，只返回在这些版本中都未找到的原文', t => {
+    t.mock.method(MatchHistory, 'load', () => HISTORY);
+
+    assert.deepStrictEqual(MatchHistory.getVersions('zh-cn', HISTORY), ['0.10.1', '0.10.0', '0.9.0', '0.8.0']);
+    assert.deepStrictEqual(MatchHistory.findStale('zh-cn', 3), { versions: ['0.10.1', '0.10.0', '0.9.0'], stale: new Set(['Old']) });
+    assert.deepStrictEqual(MatchHistory.findStale('zh-cn', 2).stale, new Set(['Old', 'Moved']));
+    assert.deepStrictEqual(MatchHistory.findStale('zh-cn', 5).stale, new Set());
+});
+
+test('过时词条只在指定 --archive 时移入 archived 分组', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-i18n-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const translationFile = path.join(dir, 'zh-cn.json');
+    fs.writeFileSync(translationFile, JSON.stringify(GROUPS, null, 2));
+    t.mock.method(LocaleManager, 'getTranslationFile', () => translationFile);
+    t.mock.method(MatchHistory, 'load', () => HISTORY);
+    t.mock.method(console, 'log', () => {});
+
+    assert.strictEqual(TranslationPruner.run({ locale: 'zh-cn', versions: 2, archive: false }), true);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(translationFile, 'utf-8')), GROUPS);
+
+    assert.strictEqual(TranslationPruner.run({ locale: 'zh-cn', versions: 2, archive: true }), true);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(translationFile, 'utf-8')), {
+        general: { 'Open': '打开' },
+        archived: { 'Removed': '已删除', 'Old': '旧功能', 'Moved': '已移动' }
+    });
+});
\ No newline at end of file
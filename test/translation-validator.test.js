@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const TranslationValidator = require('../scripts/translation-validator.js');
+
+test('受保护术语词条的译文与原文一致时不报告问题', () => {
+    const validator = new TranslationValidator({ quiet: true });
+    const violations = validator.checkProtectedTerms({
+        tab: { 'Tab': 'Tab', 'Cursor Tab': 'Cursor Tab' },
+        models: { 'Anthropic API Key': 'Anthropic API Key' }
+    });
+
+    assert.deepStrictEqual(violations, []);
+});
+
+test('受保护术语被翻译或从译文中丢失时报告问题', () => {
+    const validator = new TranslationValidator({ quiet: true });
+    const violations = validator.checkProtectedTerms({
+        tab: { 'Tab': '标签页' },
+        models: { 'Anthropic API Key': 'Anthropic API 密钥' }
+    });
+
+    assert.deepStrictEqual(violations.map(violation => violation.path), ['tab.Tab', 'models.Anthropic API Key']);
+    assert.match(violations[0].reason, /译文应与原文一致/);
+    assert.match(violations[1].reason, /API Key/);
+});
\ No newline at end of file
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { TypographyLinter } = require('../scripts/typography-linter.js');
+const { PlaceholderChecker } = require('../scripts/placeholder-checker.js');
+
+const config = TypographyLinter.loadConfig('zh-cn');
+
+test('quote-style 自动修复不改动 HTML 属性中的引号', () => {
+    const source = 'Click <a href="x">here</a>';
+    const translation = '点击<a href="x">这里</a>';
+
+    assert.strictEqual(TypographyLinter.fix(source, translation, config), translation);
+    assert.deepStrictEqual(TypographyLinter.lint(source, translation, config).filter(problem => problem.rule === 'quote-style'), []);
+});
+
+test('quote-style 自动修复只转换标记之外成对的直引号', () => {
+    const source = 'Click <a href="x">"here"</a>';
+    const fixed = TypographyLinter.fix(source, '点击<a href="x">"这里"</a>', config);
+
+    assert.strictEqual(fixed, '点击<a href="x">“这里”</a>');
+    assert.deepStrictEqual(PlaceholderChecker.compare(source, fixed), []);
+});
+
+test('quote-style 标记之外的直引号不成对时不修复', () => {
+    const translation = '点击<a href="x">这里</a> "未闭合';
+    assert.strictEqual(TypographyLinter.fix('Click <a href="x">here</a> "open', translation, config), translation);
+});
\ No newline at end of file
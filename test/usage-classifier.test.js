@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { UsageClassifier } = require('../scripts/usage-classifier.js');
+const { LiteralMatcher } = require('../scripts/literal-matcher.js');
+
+/**
+ * 对代码片段中第一个与 literal 相同的字符串字面量分类
+ * @param {string} content 代码片段
+ * @param {string} literal 含引号的字面量
+ * @returns {{context: string, category: string}}
+ */
+function classify(content, literal) {
+    const start = content.indexOf(literal);
+    assert.notStrictEqual(start, -1, `${content} 中找不到 ${literal}`);
+    return UsageClassifier.classify(content, start, start + literal.length);
+}
+
+const CASES = [
+    // 高风险位置
+    ['if(e.kind==="Open File")return;', '"Open File"', 'comparison', 'risky'],
+    ['if("Open File"!==t.label)return;', '"Open File"', 'comparison', 'risky'],
+    ['switch(t){case"Open File":return 1}', '"Open File"', 'caseLabel', 'risky'],
+    ['const n={"Open File":1,b:2};', '"Open File"', 'propertyKey', 'risky'],
+    ['if("Open File"in n)return;', '"Open File"', 'propertyKey', 'risky'],
+    ['return e.map["Open File"];', '"Open File"', 'memberAccess', 'risky'],
+    ['w.addEventListener("click",f);', '"click"', 'eventName', 'risky'],
+    ['(0,i.createElement)("div",null);', '"div"', 'elementType', 'risky'],
+    ['const n={id:"workbench.action.open",title:"Open File"};', '"workbench.action.open"', 'identifier', 'risky'],
+    ['(0,r.localize)("openFile","Open File");', '"openFile"', 'identifier', 'risky'],
+    ['const s=require("fs");', '"fs"', 'moduleName', 'risky'],
+    // 展示位置
+    ['(0,i.jsx)("span",{className:"x",children:"Open File"});', '"Open File"', 'jsxChild', 'display'],
+    ['(0,i.createElement)("span",null,"Open File");', '"Open File"', 'jsxChild', 'display'],
+    ['const n={id:"a",label:"Open File"};', '"Open File"', 'displayProperty', 'display'],
+    ['n.textContent="Open File";', '"Open File"', 'displayAssignment', 'display'],
+    ['(0,r.localize)("openFile","Open File");', '"Open File"', 'localizeArgument', 'display'],
+    // 中性位置
+    ['o.show("Open File");', '"Open File"', 'argument', 'neutral'],
+    ['const n={a:1,foo:"Open File"};', '"Open File"', 'propertyValue', 'neutral'],
+    ['let n;n="Open File";', '"Open File"', 'assignment', 'neutral'],
+    ['const n=e?"Open File":"Close";', '"Open File"', 'ternary', 'neutral'],
+    ['const n=e?"Close":"Open File";', '"Open File"', 'ternary', 'neutral'],
+    ['function f(){return"Open File"}', '"Open File"', 'return', 'neutral'],
+    ['const n=["Open File","Close"];', '"Open File"', 'arrayElement', 'neutral'],
+    ['const n=t+"Open File";', '"Open File"', 'concatenation', 'neutral']
+];
+
+test('classify 按前后记号判断用途与类别', () => {
+    for (const [content, literal, context, category] of CASES) {
+        assert.deepStrictEqual(classify(content, literal), { context, category }, content);
+    }
+});
+
+test('高风险位置默认跳过，展示位置默认替换，中性位置只替换短语', () => {
+    const matcher = new LiteralMatcher({ 'Open File': '打开文件', 'Open': '打开' });
+    const content = 'if(e==="Open File")a();const n={label:"Open File"};o.show("Open File");o.show("Open");';
+
+    const result = matcher.replace(content, 'direct');
+
+    assert.strictEqual(result.content, 'if(e==="Open File")a();const n={label:"打开文件"};o.show("打开文件");o.show("Open");');
+    assert.deepStrictEqual(result.skipped.map(({ original, context }) => [original, context]), [
+        ['Open File', 'comparison'],
+        ['Open', 'argument']
+    ]);
+});
+
+test('force 与 forbid 覆盖默认的用途判断', () => {
+    const matcher = new LiteralMatcher({
+        'Open File': { value: '打开文件', force: ['comparison'], forbid: ['displayProperty'] },
+        'Open': { value: '打开', force: ['argument'] }
+    });
+    const content = 'if(e==="Open File")a();const n={label:"Open File"};o.show("Open");';
+
+    const result = matcher.replace(content, 'direct');
+
+    assert.strictEqual(result.content, 'if(e==="打开文件")a();const n={label:"Open File"};o.show("打开");');
+    assert.deepStrictEqual(matcher.invalidEntries, []);
+});
+
+test('force 与 forbid 中的未知用途被记录为无效', () => {
+    const matcher = new LiteralMatcher({ 'Open File': { value: '打开文件', force: ['heading'] } });
+
+    assert.deepStrictEqual(matcher.invalidEntries, [{ original: 'Open File', reason: '未知的用途: heading' }]);
+});
\ No newline at end of file
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { VersionDiff } = require('../scripts/version-diff.js');
+
+const TRANSLATIONS = { 'Show Panel': '显示面板', 'Chat': '聊天', 'Open the settings file': '打开设置文件' };
+const OLD_CONTENT = 'a={label:"Open the settings file",title:"Show Panel",description:"Keep this text unchanged."};b={label:"Chat"};';
+const NEW_CONTENT = 'a={label:"Open the settings files",description:"Keep this text unchanged."};b={label:"Start a new conversation",tooltip:"Chat"};';
+
+test('compare 区分新增、删除与改写的文本，并列出失效的翻译与需要新增的翻译', () => {
+    const result = VersionDiff.compare(OLD_CONTENT, NEW_CONTENT, TRANSLATIONS);
+
+    assert.deepStrictEqual(result.added, [{ text: 'Start a new conversation', count: 1, translated: false }]);
+    assert.deepStrictEqual(result.removed, [{ text: 'Show Panel', count: 1, translated: true }]);
+    assert.deepStrictEqual(result.reworded.map(({ from, to }) => ({ from, to })), [{ from: 'Open the settings file', to: 'Open the settings files' }]);
+    assert.deepStrictEqual(result.deadTranslations, [
+        { original: 'Open the settings file', rewordedTo: 'Open the settings files' },
+        { original: 'Show Panel', rewordedTo: null }
+    ]);
+    assert.deepStrictEqual(result.needsTranslation, [
+        { text: 'Open the settings files', count: 1, rewordedFrom: 'Open the settings file' },
+        { text: 'Start a new conversation', count: 1, rewordedFrom: null }
+    ]);
+});
+
+test('相同版本之间没有差异，仅由翻译覆盖的单个单词同样计入对比', () => {
+    const result = VersionDiff.compare(OLD_CONTENT, OLD_CONTENT, TRANSLATIONS);
+
+    assert.strictEqual(result.stats.oldStrings, 4);
+    assert.deepStrictEqual([result.stats.added, result.stats.removed, result.stats.reworded, result.stats.deadTranslations], [0, 0, 0, 0]);
+});
+
+test('pairRewordings 按相似度从高到低一对一配对', () => {
+    const pairs = VersionDiff.pairRewordings(
+        ['Open the settings file', 'Open the settings folder'],
+        ['Open the settings files'],
+        0.5
+    );
+
+    assert.deepStrictEqual(pairs.map(({ from, to }) => ({ from, to })), [{ from: 'Open the settings file', to: 'Open the settings files' }]);
+});
\ No newline at end of file
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { TraditionalChineseGenerator } = require('../scripts/zh-tw-generator.js');
+
+const TABLE = {
+    phrases: { '文件': '檔案', '文件夹': '資料夾', '软件': '軟體' },
+    characters: { '开': '開', '设': '設', '软': '軟', '档': '檔', '夹': '夾', '个': '個' },
+    maxPhraseLength: 3
+};
+
+test('词语按最长匹配优先转换，其余逐字转换且转换结果不会被再次转换', () => {
+    assert.strictEqual(TraditionalChineseGenerator.convertText('打开文件夹', TABLE), '打開資料夾');
+    assert.strictEqual(TraditionalChineseGenerator.convertText('打开文件', TABLE), '打開檔案');
+    assert.strictEqual(TraditionalChineseGenerator.convertText('软件设置', TABLE), '軟體設置');
+    assert.strictEqual(TraditionalChineseGenerator.convertText('档', { ...TABLE, characters: { '档': '檔', '檔': '×' } }), '檔');
+});
+
+test('模板占位符原样保留', () => {
+    assert.strictEqual(TraditionalChineseGenerator.convertText('已打开 ${count} 个文件', TABLE), '已打開 ${count} 個檔案');
+    assert.strictEqual(TraditionalChineseGenerator.convertText('${文件}文件', TABLE), '${文件}檔案');
+});
+
+test('词条对象与变体数组只转换译文，其他选项保持不变', () => {
+    const groups = {
+        files: {
+            'Open File': '打开文件',
+            'Open': { value: '打开', forbid: ['argument'] },
+            'Folder': [{ value: '文件夹', scope: { anchor: 'isDir' } }, '文件']
+        }
+    };
+
+    assert.deepStrictEqual(TraditionalChineseGenerator.convertGroups(groups, TABLE), {
+        files: {
+            'Open File': '打開檔案',
+            'Open': { value: '打開', forbid: ['argument'] },
+            'Folder': [{ value: '資料夾', scope: { anchor: 'isDir' } }, '檔案']
+        }
+    });
+});
+
+test('zh-tw.overrides.json 中的词条始终覆盖生成结果', () => {
+    const generated = TraditionalChineseGenerator.convertGroups({
+        files: { 'Open File': '打开文件', 'Folder': [{ value: '文件夹', scope: { anchor: 'isDir' } }, '文件'] },
+        settings: { 'Settings': '设置' }
+    }, TABLE);
+    const overridden = [];
+
+    const result = TraditionalChineseGenerator.applyOverrides(generated, {
+        files: { 'Folder': '資料夾' },
+        settings: { 'Settings': '設定', 'Preferences': '偏好設定' }
+    }, overridden);
+
+    assert.deepStrictEqual(result, {
+        files: { 'Open File': '打開檔案', 'Folder': '資料夾' },
+        settings: { 'Settings': '設定', 'Preferences': '偏好設定' }
+    });
+    assert.deepStrictEqual(overridden, ['files.Folder', 'settings.Settings', 'settings.Preferences']);
+});
\ No newline at end of file